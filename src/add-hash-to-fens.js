@@ -4,13 +4,42 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { Worker } from 'worker_threads';
+import { createInterface } from 'readline';
 import { fileURLToPath } from 'url';
+import loadConfig, { HASH_SCHEMES } from './lib/config.js';
+import { hashSchemeLine, parseHashSchemeLine } from './lib/position-hash.js';
+import { parseFenRulesLabel } from './lib/fen-normalize.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const config = loadConfig();
+
+/**
+ * Options : --scheme <schéma> (défaut : config positionHash)
+ */
+function parseArgs(args) {
+  const index = args.indexOf('--scheme');
+  const scheme = index === -1 ? config.positionHash : args[index + 1];
+
+  if (!HASH_SCHEMES.includes(scheme)) {
+    throw new Error(`--scheme attend un de ${HASH_SCHEMES.join(', ')} (reçu ${scheme || 'rien'})`);
+  }
+
+  return { scheme };
+}
+
+/**
+ * (Re)calcule la colonne hash de fens-all.tsv avec le schéma demandé.
+ * Entrée sans colonne hash (fen en première colonne) ou déjà hachée (colonne remplacée) ;
+ * la sortie commence par la ligne "#hash=<schéma> fen=<règles>" : les FENs ne sont pas renormalisés,
+ * les règles de normalisation sont reprises de l'en-tête d'entrée (omises s'il n'en a pas).
+ */
 class AddHashProcessor {
-  constructor() {
+  constructor({ scheme }) {
+    this.scheme = scheme;
+    // Règles de normalisation lues dans l'en-tête d'entrée (countTotalLines)
+    this.fenRules = null;
     this.inputFile = path.join(__dirname, 'output', 'fens-all.tsv');
     this.outputFile = path.join(__dirname, 'output', 'fens-all-hashed.tsv');
 
@@ -29,13 +58,25 @@ class AddHashProcessor {
 
     return new Promise((resolve, reject) => {
       let lineCount = 0;
+      let headerLines = 0;
+      let columnsRead = false;
       const stream = fs.createReadStream(this.inputFile, { encoding: 'utf8' });
-      const { createInterface } = require('readline');
       const rl = createInterface({ input: stream });
 
-      rl.on('line', () => lineCount++);
+      rl.on('line', (line) => {
+        lineCount++;
+        if (columnsRead) return;
+
+        headerLines++;
+        if (line.startsWith('#')) {
+          this.fenRules = parseFenRulesLabel(line) ?? this.fenRules;
+        } else {
+          this.hasHashColumn = line.startsWith('hash\t');
+          columnsRead = true;
+        }
+      });
       rl.on('close', () => {
-        this.totalLines = Math.max(0, lineCount - 1);
+        this.totalLines = Math.max(0, lineCount - headerLines);
         console.log(`📊 ${this.totalLines.toLocaleString()} positions trouvées\n`);
         resolve(this.totalLines);
       });
@@ -49,6 +90,7 @@ class AddHashProcessor {
     console.log(`📁 Input: ${this.inputFile}`);
     console.log(`📄 Output: ${this.outputFile}`);
     console.log(`🧵 Workers: ${this.numWorkers}`);
+    console.log(`🔑 Schéma: ${this.scheme}${this.hasHashColumn ? ' (colonne hash existante remplacée)' : ''}`);
     console.log(`📦 Batch size: ${this.batchSize}`);
     console.log(`🚦 Max queue size: ${this.maxQueueSize}\n`);
 
@@ -56,6 +98,7 @@ class AddHashProcessor {
     this.startTime = Date.now();
 
     const outputStream = fs.createWriteStream(this.outputFile, { encoding: 'utf8' });
+    outputStream.write(hashSchemeLine(this.scheme, this.fenRules) + '\n');
     outputStream.write('hash\tfen\toccurrence\twhite\tblack\tdraw\n');
 
     const workers = [];
@@ -113,6 +156,8 @@ class AddHashProcessor {
 
       worker.postMessage({
         lines: batch,
+        scheme: this.scheme,
+        replaceHash: this.hasHashColumn,
         batchId: Math.random().toString(36)
       });
 
@@ -156,6 +201,11 @@ class AddHashProcessor {
 
       for (const line of lines) {
         if (isFirstLine) {
+          const previousScheme = parseHashSchemeLine(line);
+          if (previousScheme) {
+            console.log(`🔁 Hash existant (${previousScheme}) recalculé en ${this.scheme}`);
+            continue;
+          }
           isFirstLine = false;
           continue;
         }
@@ -236,7 +286,7 @@ class AddHashProcessor {
   }
 
   async run() {
-    console.log('🚀 Hash Processor - Ajout de cityHash64');
+    console.log(`🚀 Hash Processor - Ajout du hash ${this.scheme}`);
     console.log('=========================================');
     console.log(`📁 Input: ${this.inputFile}`);
     console.log(`📁 Output: ${this.outputFile}`);
@@ -258,7 +308,15 @@ class AddHashProcessor {
   }
 }
 
-const processor = new AddHashProcessor();
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const processor = new AddHashProcessor(options);
 processor.run().catch((error) => {
   console.error('\n💥 CRASH PRINCIPAL:', error);
   console.error('Stack:', error.stack);
@@ -4,6 +4,7 @@ import { existsSync } from 'fs'
 import https from 'https'
 import path from 'path'
 import { Chess } from 'chess.js'
+import { normalizeFen, fenRulesLabel } from '../lib/fen-normalize.js'
 
 
 const remoteFiles = ['a', 'b', 'c', 'd', 'e']
@@ -45,7 +46,8 @@ const ensureFolder = async folderPath => {
 
 const processFilesWithFen = filesContent => {
   const positions = new Map()
-  const header = 'eco\tname\tpgn\tfen\tply'
+  // FENs normalisés comme ceux de fen.js (config fenNormalization), règles notées en première ligne
+  const header = `#fen=${fenRulesLabel()}\neco\tname\tpgn\tfen\tply`
 
   for (const lines of filesContent) {
     for (let index = 0; index < lines.length; index++) {
@@ -67,7 +69,7 @@ const processFilesWithFen = filesContent => {
         try {
           chess.move(san)
           playedSans.push(san)
-          const fullFen = chess.fen().trim()
+          const fullFen = normalizeFen(chess.fen())
           const ply = i + 1
           const partialPgn = playedSans
             .map((s, j) => (j % 2 === 0 ? `${Math.floor(j / 2) + 1}. ${s}` : s))
@@ -2,15 +2,19 @@
 
 import fs from 'fs';
 import path from 'path';
-import { createReadStream, createWriteStream } from 'fs';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
 import { fileURLToPath } from 'url';
+import loadConfig from './lib/config.js';
+import { readGames } from './lib/pgn-reader.js';
+import { writeSources, sourcesFile } from './lib/pgn-sources.js';
+import { writeGameCount, countFile } from './lib/game-count.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
-const configPath = path.join(__dirname, '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
 
 /**
  * Script de compilation PGN - Réunit plusieurs fichiers PGN en un seul
@@ -26,6 +30,10 @@ class PGNCompiler {
       totalSizeMB: 0,
       errors: 0
     };
+
+    // Provenance : plage d'octets de chaque fichier d'entrée dans la sortie (<sortie>.sources.json)
+    this.bytesWritten = 0;
+    this.sources = [];
   }
 
   /**
@@ -66,6 +74,12 @@ class PGNCompiler {
       }
 
       writeStream.end();
+      await once(writeStream, 'finish');
+
+      writeSources(outputFile, this.sources);
+      console.log(`🧭 Provenance des parties: ${path.basename(sourcesFile(outputFile))}`);
+      writeGameCount(outputFile, this.stats.totalGames);
+      console.log(`🔢 Nombre de parties: ${path.basename(countFile(outputFile))}`);
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
       await this.showFinalStats(outputFile, duration);
@@ -108,51 +122,42 @@ class PGNCompiler {
   }
 
   /**
-   * Traite un fichier et l'ajoute au flux de sortie
+   * Traite un fichier et l'ajoute au flux de sortie (parties découpées par pgn-reader)
    */
   async processFile(inputFile, writeStream) {
-    return new Promise((resolve, reject) => {
-      const readStream = createReadStream(inputFile, { encoding: 'utf8' });
-
-      let gameCount = 0;
-      let processedSize = 0;
-      const fileStats = fs.statSync(inputFile);
-      const fileSizeMB = (fileStats.size / (1024 * 1024)).toFixed(1);
-
-      readStream.on('data', (chunk) => {
-        processedSize += chunk.length;
+    let gameCount = 0;
+    let nextProgress = 10 * 1024 * 1024;
+    const fileStats = fs.statSync(inputFile);
+    const fileSizeMB = (fileStats.size / (1024 * 1024)).toFixed(1);
+    const start = this.bytesWritten;
 
+    try {
+      for await (const game of readGames(inputFile)) {
+        gameCount++;
 
-        const gameMatches = chunk.match(/\[Event /g);
-        if (gameMatches) {
-          gameCount += gameMatches.length;
+        const text = game.raw + '\n\n';
+        this.bytesWritten += Buffer.byteLength(text);
+        if (!writeStream.write(text)) {
+          await once(writeStream, 'drain');
         }
 
 
-        writeStream.write(chunk);
-
-
-        if (processedSize % (10 * 1024 * 1024) === 0) {
+        const processedSize = game.byteOffset + game.byteLength;
+        if (processedSize >= nextProgress) {
           const progress = ((processedSize / fileStats.size) * 100).toFixed(1);
           process.stdout.write(`\r  📈 Progrès: ${progress}% (${gameCount} parties)`);
+          nextProgress += 10 * 1024 * 1024;
         }
-      });
-
-      readStream.on('end', () => {
-
-        writeStream.write('\n');
-
-        this.stats.totalGames += gameCount;
-        console.log(`\n  ✅ ${path.basename(inputFile)}: ${gameCount.toLocaleString()} parties (${fileSizeMB} MB)`);
-        resolve();
-      });
+      }
+    } catch (error) {
+      console.error(`❌ Erreur lecture ${inputFile}: ${error.message}`);
+      this.stats.errors++;
+      throw error;
+    }
 
-      readStream.on('error', (error) => {
-        console.error(`❌ Erreur lecture ${inputFile}: ${error.message}`);
-        this.stats.errors++;
-        reject(error);
-      });
-    });
+    this.stats.totalGames += gameCount;
+    this.sources.push({ file: path.basename(inputFile), start, end: this.bytesWritten, games: gameCount });
+    console.log(`\n  ✅ ${path.basename(inputFile)}: ${gameCount.toLocaleString()} parties (${fileSizeMB} MB)`);
   }
 
   /**
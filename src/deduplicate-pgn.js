@@ -2,20 +2,37 @@
 
 import fs from 'fs';
 import path from 'path';
-import { createReadStream, createWriteStream } from 'fs';
-import { createInterface } from 'readline';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { readGames } from './lib/pgn-reader.js';
+import { movesKey, headerScore } from './lib/game-key.js';
+import { readSources, writeSources, sourceIndexAt } from './lib/pgn-sources.js';
+import { writeGameCount } from './lib/game-count.js';
+import ExternalDedup, { estimateHashMemoryMB } from './lib/external-dedup.js';
+import loadConfig from './lib/config.js';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const config = loadConfig();
+
 /**
  * Script de déduplication PGN
- * Usage: node deduplicate-pgn.js <fichier.pgn>
+ * Usage: node deduplicate-pgn.js <fichier.pgn> [--mode headers|moves] [--match-date] [--match-players] [--memory-budget MB]
+ *  - headers : clé Site/Date/White/Black/Elo, première copie gardée
+ *  - moves : clé suite de coups + résultat (game-key.js), copie aux en-têtes les plus riches gardée (2 passages)
+ * Si les hashs estimés dépassent dedup.memoryBudgetMB, les clés sont triées sur disque (external-dedup.js, 2 passages)
  */
 
 class PgnDeduplicator {
-  constructor(inputFile) {
+  constructor(inputFile, {
+    mode = config.dedup.mode,
+    matchDate = config.dedup.matchDate,
+    matchPlayers = config.dedup.matchPlayers,
+    memoryBudgetMB = config.dedup.memoryBudgetMB
+  } = {}) {
     if (!inputFile) {
       throw new Error('Fichier d\'entrée requis');
     }
@@ -29,6 +46,11 @@ class PgnDeduplicator {
     }
 
     this.inputFile = inputFile;
+    this.mode = mode;
+    this.keyOptions = { matchDate, matchPlayers };
+    this.memoryBudgetMB = memoryBudgetMB;
+    this.tempDir = path.join(__dirname, 'temp', 'dedup', path.basename(inputFile, '.pgn'));
+    this.external = null;
     this.outputFile = this.generateOutputFilename(inputFile);
     this.outputDir = path.join(__dirname, '..', 'output');
 
@@ -38,6 +60,10 @@ class PgnDeduplicator {
     this.currentChunk = new Set();
     this.hashChunks.push(this.currentChunk);
 
+    // Mode moves : clé → index de la copie gardée (Maps découpées comme les Sets), score d'en-têtes par partie
+    this.winnerChunks = [new Map()];
+    this.scores = [];
+
     this.stats = {
       totalGames: 0,
       uniqueGames: 0,
@@ -56,37 +82,31 @@ class PgnDeduplicator {
   /**
    * Génère un hash pour une partie (optimisé pour Chess.com)
    */
-  generateGameHash(pgn) {
-    if (!pgn || typeof pgn !== 'string') {
+  generateGameHash(headers) {
+    if (!headers) {
       return null;
     }
 
 
-    const linkMatch = pgn.match(/\[Link "https:\/\/www\.chess\.com\/game\/live\/(\d+)"\]/);
+    const linkMatch = (headers.Link || '').match(/^https:\/\/www\.chess\.com\/game\/live\/(\d+)$/);
     if (linkMatch) {
 
       return `chesscom-${linkMatch[1]}`;
     }
 
-    const whiteMatch = pgn.match(/\[White "([^"]+)"\]/);
-    const blackMatch = pgn.match(/\[Black "([^"]+)"\]/);
-    const dateMatch = pgn.match(/\[Date "([^"]+)"\]/);
-    const siteMatch = pgn.match(/\[Site "([^"]+)"\]/);
-    const whiteEloMatch = pgn.match(/\[WhiteElo "([^"]+)"\]/);
-    const blackEloMatch = pgn.match(/\[BlackElo "([^"]+)"\]/);
-    if (!whiteMatch || !blackMatch || !dateMatch) {
+    if (!headers.White || !headers.Black || !headers.Date) {
       return `unique-${Date.now()}-${Math.random()}`;
     }
 
 
 
     const hashComponents = [
-      siteMatch?.[1] || '',
-      dateMatch[1],
-      whiteMatch[1],
-      blackMatch[1],
-      whiteEloMatch?.[1] || '',
-      blackEloMatch?.[1] || ''
+      headers.Site || '',
+      headers.Date,
+      headers.White,
+      headers.Black,
+      headers.WhiteElo || '',
+      headers.BlackElo || ''
     ];
 
     const hashString = hashComponents.join('-');
@@ -124,11 +144,145 @@ class PgnDeduplicator {
     this.currentChunk.add(hash);
   }
 
+  /**
+   * Index de la copie gardée pour une clé (mode moves)
+   */
+  getWinner(key) {
+    for (const chunk of this.winnerChunks) {
+      const index = chunk.get(key);
+      if (index !== undefined) {
+        return index;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Enregistre la copie gardée pour une clé, dans le chunk qui la contient déjà ou dans le dernier
+   */
+  setWinner(key, index) {
+    for (const chunk of this.winnerChunks) {
+      if (chunk.has(key)) {
+        chunk.set(key, index);
+        return;
+      }
+    }
+
+    let current = this.winnerChunks[this.winnerChunks.length - 1];
+    if (current.size >= this.CHUNK_SIZE) {
+      current = new Map();
+      this.winnerChunks.push(current);
+    }
+    current.set(key, index);
+  }
+
+  /**
+   * Mode moves, 1er passage : pour chaque clé, la copie aux en-têtes les plus riches (la première en cas d'égalité)
+   * et la source de chaque partie (provenance de compil.js)
+   */
+  async selectByMoves(inputFile, sources) {
+    console.log('🔄 Passage 1/2: clés par suite de coups et richesse des en-têtes...');
+    this.gameSources = [];
+
+    let index = -1;
+    let lastProgressUpdate = Date.now();
+
+    for await (const game of readGames(inputFile)) {
+      index++;
+      this.gameSources.push(sources ? Math.max(0, sourceIndexAt(sources, game.byteOffset)) : 0);
+
+      const key = movesKey(game, this.keyOptions);
+      const score = key === null ? 0 : headerScore(game.headers);
+      this.scores.push(score);
+
+      if (key !== null) {
+        const best = this.getWinner(key);
+        if (best === undefined || score > this.scores[best]) {
+          this.setWinner(key, index);
+        }
+      }
+
+      const now = Date.now();
+      if (now - lastProgressUpdate > 2000) {
+        const progress = (((game.byteOffset + game.byteLength) / this.stats.totalBytes) * 100).toFixed(1);
+        process.stdout.write(`\r🔄 Passage 1/2: ${progress}% | Parties: ${(index + 1).toLocaleString()}`);
+        lastProgressUpdate = now;
+      }
+    }
+
+    console.log(`\n✅ ${(index + 1).toLocaleString()} parties lues, ${this.getTotalHashCount().toLocaleString()} suites de coups distinctes`);
+    console.log('🔄 Passage 2/2: écriture des copies gardées...');
+  }
+
+  /**
+   * Clés sur disque si l'estimation (80 octets par hash, 96 en mode moves) dépasse dedup.memoryBudgetMB
+   */
+  needsDisk(totalBytes) {
+    const estimatedMB = estimateHashMemoryMB(totalBytes, this.mode === 'moves' ? 96 : 80);
+    console.log(`💾 Hashs estimés: ~${Math.round(estimatedMB).toLocaleString()} MB pour un budget de ${this.memoryBudgetMB.toLocaleString()} MB`);
+    return estimatedMB > this.memoryBudgetMB;
+  }
+
+  /**
+   * Clé d'une partie pour le tri sur disque (base64, sans tabulation) ; null si la partie est toujours gardée
+   */
+  externalKey(game) {
+    if (this.mode === 'moves') {
+      return movesKey(game, this.keyOptions);
+    }
+
+    const gameHash = this.generateGameHash(game.headers);
+    if (!gameHash || gameHash.startsWith('unique-')) {
+      return null;
+    }
+    return crypto.createHash('md5').update(gameHash).digest('base64');
+  }
+
+  /**
+   * Clés sur disque, 1er passage : runs triés puis fusion K-way (external-dedup.js),
+   * copies retirées notées dans un bitmap consulté au passage d'écriture
+   */
+  async collectKeysOnDisk(inputFile, sources) {
+    console.log(`🔄 Passage 1/2: clés triées sur disque (${path.relative(process.cwd(), this.tempDir)})...`);
+    this.external = new ExternalDedup(this.tempDir, this.memoryBudgetMB);
+
+    let index = -1;
+    let lastProgressUpdate = Date.now();
+
+    for await (const game of readGames(inputFile)) {
+      index++;
+
+      const key = this.externalKey(game);
+      if (key === null) {
+        if (this.mode === 'moves') {
+          this.stats.withoutMoves++;
+        }
+      } else {
+        const score = this.mode === 'moves' ? headerScore(game.headers) : 0;
+        const source = sources ? Math.max(0, sourceIndexAt(sources, game.byteOffset)) : 0;
+        await this.external.add(key, score, index, source);
+      }
+
+      const now = Date.now();
+      if (now - lastProgressUpdate > 2000) {
+        const progress = (((game.byteOffset + game.byteLength) / this.stats.totalBytes) * 100).toFixed(1);
+        process.stdout.write(`\r🔄 Passage 1/2: ${progress}% | Parties: ${(index + 1).toLocaleString()} | Runs: ${this.external.stats.runs}`);
+        lastProgressUpdate = now;
+      }
+    }
+
+    console.log('\n🔄 Fusion K-way des runs triés...');
+    await this.external.resolve(index + 1);
+
+    console.log(`✅ ${(index + 1).toLocaleString()} parties lues, ${this.external.stats.keys.toLocaleString()} clés distinctes (${this.external.stats.runs} runs)`);
+    console.log('🔄 Passage 2/2: écriture des copies gardées...');
+  }
+
   /**
    * Obtient le nombre total de hashs stockés
    */
   getTotalHashCount() {
-    return this.hashChunks.reduce((total, chunk) => total + chunk.size, 0);
+    return [...this.hashChunks, ...this.winnerChunks].reduce((total, chunk) => total + chunk.size, 0);
   }
 
   /**
@@ -136,7 +290,7 @@ class PgnDeduplicator {
    */
   getMemoryStats() {
     const totalHashes = this.getTotalHashCount();
-    const chunksCount = this.hashChunks.length;
+    const chunksCount = this.mode === 'moves' ? this.winnerChunks.length : this.hashChunks.length;
     const estimatedMemoryMB = Math.round((totalHashes * 80) / (1024 * 1024));
 
     return {
@@ -156,11 +310,15 @@ class PgnDeduplicator {
     this.hashChunks = [];
     this.currentChunk = new Set();
     this.hashChunks.push(this.currentChunk);
+    this.winnerChunks = [new Map()];
+    this.scores = [];
+    this.gameSources = [];
+    this.external = null;
   }
 
   /**
    * Déduplique un fichier PGN en streaming (optimisé pour les gros fichiers)
-   * Utilise la détection par [Event pour une robustesse maximale
+   * Découpage des parties par le lecteur partagé (pgn-reader)
    */
   async deduplicateFile(inputFile) {
     const fileName = path.basename(inputFile);
@@ -181,30 +339,43 @@ class PgnDeduplicator {
       totalGames: 0,
       uniqueGames: 0,
       duplicateGames: 0,
+      withoutMoves: 0,
       processedBytes: 0,
       totalBytes: fileStats.size
     };
 
+    // Provenance (compil.js) : parties gardées / retirées par source et octets écrits pour la nouvelle provenance
+    const sources = readSources(inputFile);
+    const sourceStats = (sources ? sources.map(source => source.file) : [fileName])
+      .map(file => ({ file, kept: 0, removed: 0, bytes: 0 }));
+    const crossSources = new Map();
+
+    console.log(`🔑 Mode: ${this.mode === 'moves'
+      ? `suite de coups + résultat${this.keyOptions.matchDate ? ' + année' : ''}${this.keyOptions.matchPlayers ? ' + noms des joueurs' : ''}`
+      : 'en-têtes (Site, Date, joueurs, Elo)'}`);
+    if (sources) {
+      console.log(`🧭 Provenance: ${sources.map(source => source.file).join(', ')}`);
+    }
+
+    if (this.needsDisk(fileStats.size)) {
+      await this.collectKeysOnDisk(inputFile, sources);
+    } else if (this.mode === 'moves') {
+      await this.selectByMoves(inputFile, sources);
+    }
+
 
     const tempFile = inputFile + '.temp';
     const writeStream = createWriteStream(tempFile, { encoding: 'utf8' });
 
 
-    const readStream = createReadStream(inputFile, { encoding: 'utf8' });
-    const rl = createInterface({
-      input: readStream,
-      crlfDelay: Infinity
-    });
-
-    console.log('🔄 Traitement en streaming (détection par [ID)...');
+    console.log('🔄 Traitement en streaming (découpage pgn-reader)...');
 
-    let currentGame = '';
-    let lineCount = 0;
     let lastProgressUpdate = Date.now();
+    let index = -1;
 
-    for await (const line of rl) {
-      lineCount++;
-      this.stats.processedBytes += Buffer.byteLength(line + '\n', 'utf8');
+    for await (const game of readGames(inputFile)) {
+      index++;
+      this.stats.processedBytes = game.byteOffset + game.byteLength;
 
 
       const now = Date.now();
@@ -215,49 +386,44 @@ class PgnDeduplicator {
         lastProgressUpdate = now;
       }
 
+      this.stats.totalGames++;
 
-      if (line.startsWith('[ID ')) {
-
-        if (currentGame.trim() !== '') {
-          this.stats.totalGames++;
-
-          const gameHash = this.generateGameHash(currentGame);
-
-          if (gameHash) {
-            if (this.hasHash(gameHash)) {
-
-              this.stats.duplicateGames++;
-            } else {
+      const source = sourceStats[sources ? Math.max(0, sourceIndexAt(sources, game.byteOffset)) : 0];
+      let keep;
 
-              this.addHash(gameHash);
-              this.stats.uniqueGames++;
+      if (this.external) {
+        keep = !this.external.isRemoved(index);
+      } else if (this.mode === 'moves') {
+        const key = movesKey(game, this.keyOptions);
+        const winner = key === null ? index : this.getWinner(key);
+        keep = winner === index;
 
-
-              writeStream.write(currentGame);
-            }
-          }
+        if (key === null) {
+          this.stats.withoutMoves++;
+        } else if (!keep) {
+          const pair = `${sourceStats[this.gameSources[winner]].file} ← ${source.file}`;
+          crossSources.set(pair, (crossSources.get(pair) || 0) + 1);
         }
-
-
-        currentGame = line + '\n';
       } else {
-
-        currentGame += line + '\n';
+        const gameHash = this.generateGameHash(game.headers);
+        keep = !this.hasHash(gameHash);
+        if (keep) {
+          this.addHash(gameHash);
+        }
       }
-    }
-
 
-    if (currentGame.trim() !== '') {
-      this.stats.totalGames++;      const gameHash = this.generateGameHash(currentGame);
+      if (keep) {
+        this.stats.uniqueGames++;
+        source.kept++;
 
-      if (gameHash) {
-        if (this.hasHash(gameHash)) {
-          this.stats.duplicateGames++;
-        } else {
-          this.addHash(gameHash);
-          this.stats.uniqueGames++;
-          writeStream.write(currentGame);
+        const text = game.raw + '\n\n';
+        source.bytes += Buffer.byteLength(text);
+        if (!writeStream.write(text)) {
+          await once(writeStream, 'drain');
         }
+      } else {
+        this.stats.duplicateGames++;
+        source.removed++;
       }
     }
 
@@ -276,6 +442,23 @@ class PgnDeduplicator {
     const backupFile = inputFile + '.backup';
     await fs.promises.rename(inputFile, backupFile);
     await fs.promises.rename(tempFile, inputFile);
+    writeGameCount(inputFile, this.stats.uniqueGames);
+
+    if (this.external && this.mode === 'moves') {
+      for (const [pair, count] of this.external.crossSources) {
+        const [kept, removed] = pair.split('\t');
+        crossSources.set(`${sourceStats[kept].file} ← ${sourceStats[removed].file}`, count);
+      }
+    }
+
+    if (sources) {
+      let offset = 0;
+      writeSources(inputFile, sourceStats.map(({ file, kept, bytes }) => {
+        const range = { file, start: offset, end: offset + bytes, games: kept };
+        offset += bytes;
+        return range;
+      }));
+    }
 
     console.log('\n✅ DÉDUPLICATION TERMINÉE !');
     console.log('===========================');
@@ -286,12 +469,33 @@ class PgnDeduplicator {
     if (this.stats.totalGames > 0) {
       console.log(`📊 Taux de doublons: ${((this.stats.duplicateGames / this.stats.totalGames) * 100).toFixed(2)}%`);
     }
+    if (this.stats.withoutMoves > 0) {
+      console.log(`📊 Parties sans coups (gardées): ${this.stats.withoutMoves.toLocaleString()}`);
+    }
 
+    if (sources) {
+      console.log('\n🧭 PROVENANCE DES COPIES GARDÉES:');
+      for (const { file, kept, removed } of sourceStats) {
+        console.log(`   ${file}: ${kept.toLocaleString()} gardées, ${removed.toLocaleString()} doublons retirés`);
+      }
+    }
+    if (crossSources.size > 0) {
+      console.log('🔁 Doublons par source (copie gardée ← copie retirée):');
+      for (const [pair, count] of [...crossSources].sort((a, b) => b[1] - a[1])) {
+        console.log(`   ${pair}: ${count.toLocaleString()}`);
+      }
+    }
 
-    const memoryStats = this.getMemoryStats();
-    console.log(`📊 Chunks mémoire utilisés: ${memoryStats.chunksCount}`);
-    console.log(`📊 Hashs stockés: ${memoryStats.totalHashes.toLocaleString()}`);
-    console.log(`📊 Mémoire estimée: ${memoryStats.estimatedMemoryMB} MB`);
+
+    if (this.external) {
+      const { keys, runs, phases } = this.external.stats;
+      console.log(`📊 Clés triées sur disque: ${keys.toLocaleString()} distinctes (${runs} runs, ${phases} paliers de fusion intermédiaires)`);
+    } else {
+      const memoryStats = this.getMemoryStats();
+      console.log(`📊 Chunks mémoire utilisés: ${memoryStats.chunksCount}`);
+      console.log(`📊 Hashs stockés: ${memoryStats.totalHashes.toLocaleString()}`);
+      console.log(`📊 Mémoire estimée: ${memoryStats.estimatedMemoryMB} MB`);
+    }
 
 
     try {
@@ -326,11 +530,18 @@ function showHelp() {
 ╰─────────────────────────────────────────────────────────────╯
 
 Usage:
-  node deduplicate-pgn.js <fichier.pgn>
+  node deduplicate-pgn.js <fichier.pgn> [--mode headers|moves] [--match-date] [--match-players] [--memory-budget MB]
 
 Arguments:
   fichier.pgn     Le fichier PGN à déduplicquer
 
+Options (défaut : config dedup.*):
+  --mode headers  Clé Site/Date/White/Black/Elo, première copie gardée
+  --mode moves    Clé suite de coups + résultat, copie aux en-têtes les plus riches gardée
+  --match-date    (moves) L'année doit aussi correspondre
+  --match-players (moves) Les noms de famille des joueurs doivent aussi correspondre
+  --memory-budget MB  Au-delà, clés triées sur disque (src/temp/dedup) au lieu des Sets en mémoire (0 = toujours)
+
 Exemples:
   node deduplicate-pgn.js output/twic.pgn
   node deduplicate-pgn.js final-dataset.pgn
@@ -344,6 +555,33 @@ Exemple: "twic.pgn" → "twic-deduplicated.pgn"
 async function main() {
   try {
     const args = process.argv.slice(2);
+    const options = {};
+
+    const modeIndex = args.indexOf('--mode');
+    if (modeIndex !== -1) {
+      options.mode = args[modeIndex + 1];
+      if (!['headers', 'moves'].includes(options.mode)) {
+        console.error(`❌ Erreur: --mode attend headers ou moves (reçu ${options.mode || 'rien'})`);
+        process.exit(1);
+      }
+      args.splice(modeIndex, 2);
+    }
+    const budgetIndex = args.indexOf('--memory-budget');
+    if (budgetIndex !== -1) {
+      const value = args[budgetIndex + 1];
+      if (!/^\d+$/.test(value || '')) {
+        console.error(`❌ Erreur: --memory-budget attend un nombre de MB (reçu ${value || 'rien'})`);
+        process.exit(1);
+      }
+      options.memoryBudgetMB = parseInt(value);
+      args.splice(budgetIndex, 2);
+    }
+    for (const [flag, key] of [['--match-date', 'matchDate'], ['--match-players', 'matchPlayers']]) {
+      if (args.includes(flag)) {
+        options[key] = true;
+        args.splice(args.indexOf(flag), 1);
+      }
+    }
 
 
     if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
@@ -361,10 +599,10 @@ async function main() {
 
     console.log('🧹 SCRIPT DE DÉDUPLICATION PGN STREAMING');
     console.log('=========================================');
-    console.log('✨ Détection robuste par [Event]');
+    console.log('✨ Découpage des parties par le lecteur PGN partagé');
     console.log(`🎯 Fichier d'entrée: ${inputFile}`);
 
-    const deduplicator = new PgnDeduplicator(inputFile);
+    const deduplicator = new PgnDeduplicator(inputFile, options);
 
 
     const startTime = Date.now();
@@ -382,18 +620,21 @@ async function main() {
 }
 
 
-process.on('uncaughtException', (error) => {
-  console.error('\n❌ ERREUR FATALE:', error.message);
-  process.exit(1);
-});
+if (process.argv[1] && process.argv[1].endsWith('deduplicate-pgn.js')) {
+  process.on('uncaughtException', (error) => {
+    console.error('\n❌ ERREUR FATALE:', error.message);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('\n❌ ERREUR:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('\n❌ ERREUR:', reason);
+    process.exit(1);
+  });
 
+  main().catch(error => {
+    console.error('❌ ERREUR:', error.message);
+    process.exit(1);
+  });
+}
 
-main().catch(error => {
-  console.error('❌ ERREUR:', error.message);
-  process.exit(1);
-});
+export default PgnDeduplicator;
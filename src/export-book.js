@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { createInterface } from 'readline';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import MergeWorker from './lib/merge-worker.js';
+import { polyglotKey } from './lib/position-hash.js';
+import { parseFenRulesLabel } from './lib/fen-normalize.js';
+import { polyglotMove, bookWeights, encodeEntries, ENTRY_SIZE } from './lib/polyglot-book.js';
+import loadConfig from './lib/config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const config = loadConfig();
+
+const OPTION_FLAGS = [
+  ['--min-occurrence', 'minOccurrence'],
+  ['--max-ply', 'maxPly'],
+  ['--min-elo', 'minElo'],
+  ['--max-elo', 'maxElo']
+];
+
+// Règles de normalisation sans lesquelles la clé Polyglot ne se déduit pas du FEN de moves-all.tsv
+const REQUIRED_FEN_RULES = ['castling:keep', 'flip:off'];
+
+/**
+ * Arguments : [moves-all.tsv] [--output fichier.bin] [--min-occurrence N] [--max-ply N] [--min-elo N] [--max-elo N]
+ * (défaut : moves-all.tsv de src/output, livre nommé comme le PGN final du dataset, section book de la config)
+ */
+function parseArgs(args) {
+  const datasetFileName = config.withOnlineGame ? config.finalPGNFileName : config.officialPGNFileName;
+  const options = {
+    inputFile: args.length > 0 && !args[0].startsWith('--') ? path.resolve(args[0]) : path.join(__dirname, 'output', 'moves-all.tsv'),
+    outputFile: path.join(__dirname, 'output', datasetFileName.replace(/\.pgn$/, '') + '.bin'),
+    minOccurrence: config.book.minOccurrence,
+    maxPly: config.book.maxPly,
+    minElo: config.book.minElo,
+    maxElo: config.book.maxElo
+  };
+
+  for (const [flag, key] of OPTION_FLAGS) {
+    const index = args.indexOf(flag);
+    if (index === -1) continue;
+
+    const value = args[index + 1];
+    if (!/^\d+$/.test(value || '')) {
+      throw new Error(`${flag} attend un entier (reçu ${value || 'rien'})`);
+    }
+    options[key] = parseInt(value);
+  }
+
+  const outputIndex = args.indexOf('--output');
+  if (outputIndex !== -1) {
+    if (!args[outputIndex + 1]) {
+      throw new Error('--output attend un fichier .bin');
+    }
+    options.outputFile = path.resolve(args[outputIndex + 1]);
+  }
+
+  if (options.minElo !== null && options.maxElo !== null && options.maxElo < options.minElo) {
+    throw new Error(`Elo maximum ${options.maxElo} inférieur à l'Elo minimum ${options.minElo}`);
+  }
+
+  return options;
+}
+
+/**
+ * Export d'un livre d'ouvertures Polyglot (.bin) depuis la table d'arêtes position → coup moves-all.tsv (fen.js, generateMoves)
+ *  1. Arêtes retenues : vues dans une partie d'échecs standard avant le demi-coup maxPly (min_ply) et dont l'Elo
+ *     moyen est dans la tranche ; chacune est ramenée à la clé Polyglot de son FEN, au coup Polyglot et aux
+ *     résultats pour le joueur au trait, agrégée en mémoire puis écrite en chunks triés par clé dans src/temp/book
+ *     (book.chunkSize arêtes distinctes) : moves-all.tsv est trié par hash de position, pas par clé Polyglot
+ *  2. Fusion k-way des chunks : arêtes de même clé additionnées, coups joués moins de minOccurrence fois écartés,
+ *     poids d'après le nombre de parties et le score (polyglot-book.js), entrées écrites dans l'ordre des clés
+ */
+class BookExporter {
+  constructor(options) {
+    this.options = options;
+    this.inputFile = options.inputFile;
+    this.outputFile = options.outputFile;
+    this.tempDir = path.join(__dirname, 'temp', 'book');
+
+    this.chunkSize = config.book.chunkSize;
+
+    this.chunkFiles = [];
+    // "clé \t coup" → [win, loss, draw]
+    this.edges = new Map();
+    this.stats = { edges: 0, used: 0, nonStandard: 0, beyondPly: 0, outOfBand: 0, positions: 0, entries: 0, rareMoves: 0 };
+  }
+
+  /**
+   * Refuse une table dont les FENs ne donnent pas la clé Polyglot de la position jouée
+   * (droits de roque retirés, positions trait aux noirs retournées) ou sans colonne min_ply
+   */
+  assertHeader(schemeLine, columnsLine) {
+    const fenRules = parseFenRulesLabel(schemeLine || '');
+    const missingRules = REQUIRED_FEN_RULES.filter(rule => !fenRules?.split(',').includes(rule));
+    if (missingRules.length > 0) {
+      throw new Error(`${path.basename(this.inputFile)}: FENs normalisés avec ${fenRules || 'des règles non enregistrées'}, le livre demande ${missingRules.join(' et ')} (fenNormalization). Régénérez le fichier avec generateFens`);
+    }
+    if (!columnsLine?.split('\t').includes('min_ply')) {
+      throw new Error(`${path.basename(this.inputFile)}: colonne min_ply absente. Régénérez le fichier avec generateFens`);
+    }
+  }
+
+  /**
+   * Arête retenue pour le livre : jouée dans une partie standard avant maxPly, Elo moyen dans la tranche
+   */
+  acceptEdge(averageElo, minPly) {
+    if (minPly === '') {
+      this.stats.nonStandard++;
+      return false;
+    }
+    if (parseInt(minPly) >= this.options.maxPly) {
+      this.stats.beyondPly++;
+      return false;
+    }
+
+    const { minElo, maxElo } = this.options;
+    const elo = parseInt(averageElo);
+    if ((minElo !== null || maxElo !== null) && (isNaN(elo) || (minElo !== null && elo < minElo) || (maxElo !== null && elo > maxElo))) {
+      this.stats.outOfBand++;
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Ajoute une arête de moves-all.tsv (hash, fen, coup UCI, parties, résultats, Elo moyen, premier demi-coup)
+   * Clé et coup en hexadécimal à largeur fixe : l'ordre du texte est celui des clés pour le tri et la fusion des chunks
+   */
+  addEdge(fen, move, white, black, draw) {
+    const key = polyglotKey(fen).toString(16).padStart(16, '0');
+    const edgeKey = `${key}\t${polyglotMove(fen, move).toString(16).padStart(4, '0')}`;
+    const whiteToMove = fen.split(' ')[1] === 'w';
+
+    const counts = this.edges.get(edgeKey) || [0, 0, 0];
+    counts[0] += parseInt(whiteToMove ? white : black);
+    counts[1] += parseInt(whiteToMove ? black : white);
+    counts[2] += parseInt(draw);
+    this.edges.set(edgeKey, counts);
+  }
+
+  /**
+   * Trie les arêtes agrégées en mémoire et les écrit dans un chunk
+   */
+  async flushChunk() {
+    if (this.edges.size === 0) return;
+
+    const sorted = [...this.edges.keys()].sort();
+    const chunkFile = path.join(this.tempDir, `book_chunk_${this.chunkFiles.length}.tmp`);
+    const writeStream = fs.createWriteStream(chunkFile, { encoding: 'utf8', highWaterMark: 8 * 1024 * 1024 });
+    for (const edgeKey of sorted) {
+      if (!writeStream.write(`${edgeKey}\t${this.edges.get(edgeKey).join('\t')}\n`)) {
+        await once(writeStream, 'drain');
+      }
+    }
+    await new Promise((resolve, reject) => writeStream.end(error => (error ? reject(error) : resolve())));
+
+    this.edges.clear();
+    this.chunkFiles.push(chunkFile);
+    console.log(`   💾 Chunk ${this.chunkFiles.length}: ${sorted.length.toLocaleString()} arêtes (${this.stats.used.toLocaleString()} arêtes de moves-all.tsv)`);
+  }
+
+  /**
+   * Lit moves-all.tsv et produit les chunks triés par clé Polyglot
+   */
+  async buildChunks() {
+    const lines = createInterface({ input: fs.createReadStream(this.inputFile, { encoding: 'utf8', highWaterMark: 2 * 1024 * 1024 }) });
+    const header = [];
+
+    for await (const line of lines) {
+      if (header.length < 2) {
+        header.push(line);
+        if (header.length === 2) this.assertHeader(...header);
+        continue;
+      }
+      if (!line) continue;
+
+      this.stats.edges++;
+      const [, fen, move, , white, black, draw, averageElo, minPly] = line.split('\t');
+      if (!this.acceptEdge(averageElo, minPly)) continue;
+
+      this.stats.used++;
+      this.addEdge(fen, move, white, black, draw);
+      if (this.edges.size >= this.chunkSize) {
+        await this.flushChunk();
+      }
+    }
+
+    if (header.length < 2) this.assertHeader(...header);
+    await this.flushChunk();
+  }
+
+  /**
+   * Arêtes fusionnées des chunks, additionnées, dans l'ordre des clés puis des coups
+   */
+  async *mergeEdges() {
+    let current = null;
+
+    for await (const line of new MergeWorker().mergeSortedLines(this.chunkFiles)) {
+      const [key, move, win, loss, draw] = line.split('\t');
+
+      if (current && current.key === key && current.move === move) {
+        current.win += parseInt(win);
+        current.loss += parseInt(loss);
+        current.draw += parseInt(draw);
+        continue;
+      }
+
+      if (current) yield current;
+      current = { key, move, win: parseInt(win), loss: parseInt(loss), draw: parseInt(draw) };
+    }
+
+    if (current) yield current;
+  }
+
+  /**
+   * Écrit les entrées d'une position (coups assez joués, pondérés)
+   */
+  async writePosition(writeStream, key, moves) {
+    const frequent = moves.filter(({ count }) => count >= this.options.minOccurrence);
+    this.stats.rareMoves += moves.length - frequent.length;
+
+    const weighted = bookWeights(frequent);
+    if (weighted.length === 0) return;
+
+    this.stats.positions++;
+    this.stats.entries += weighted.length;
+    if (!writeStream.write(encodeEntries(BigInt(`0x${key}`), weighted))) {
+      await once(writeStream, 'drain');
+    }
+  }
+
+  async writeBook() {
+    const tempOutput = this.outputFile + '.tmp';
+    const writeStream = fs.createWriteStream(tempOutput, { highWaterMark: 8 * 1024 * 1024 });
+
+    let key = null;
+    let moves = [];
+    for await (const edge of this.mergeEdges()) {
+      if (edge.key !== key) {
+        if (key) await this.writePosition(writeStream, key, moves);
+        key = edge.key;
+        moves = [];
+      }
+      moves.push({ move: parseInt(edge.move, 16), count: edge.win + edge.loss + edge.draw, win: edge.win, loss: edge.loss, draw: edge.draw });
+    }
+    if (key) await this.writePosition(writeStream, key, moves);
+
+    await new Promise((resolve, reject) => writeStream.end(error => (error ? reject(error) : resolve())));
+    await fs.promises.rename(tempOutput, this.outputFile);
+  }
+
+  cleanupChunks() {
+    fs.rmSync(this.tempDir, { recursive: true, force: true });
+  }
+
+  async run() {
+    const { minOccurrence, maxPly, minElo, maxElo } = this.options;
+
+    console.log('📖 EXPORT DU LIVRE D\'OUVERTURES POLYGLOT');
+    console.log('==========================================');
+    console.log(`📁 Input:  ${this.inputFile}`);
+    console.log(`📄 Output: ${this.outputFile}`);
+    console.log(`🔢 Occurrences minimum: ${minOccurrence} | Demi-coups maximum: ${maxPly}`);
+    console.log(`🎯 Tranche d'Elo: ${minElo ?? '-'} → ${maxElo ?? '-'}\n`);
+
+    if (!fs.existsSync(this.inputFile)) {
+      throw new Error(`Fichier introuvable: ${this.inputFile} (table d'arêtes de generateFens, generateMoves requis)`);
+    }
+
+    console.time('⏱️  Export du livre');
+    this.cleanupChunks();
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+
+    try {
+      await this.buildChunks();
+      console.log(`🔄 Fusion de ${this.chunkFiles.length} chunks triés...`);
+      await this.writeBook();
+    } finally {
+      this.cleanupChunks();
+    }
+
+    console.timeEnd('⏱️  Export du livre');
+    console.log('\n📊 STATISTIQUES:');
+    console.log(`   ♟️  Arêtes position → coup lues: ${this.stats.edges.toLocaleString()} (retenues: ${this.stats.used.toLocaleString()})`);
+    if (this.stats.nonStandard > 0) {
+      console.log(`   ⏭️  Seulement en variantes ou depuis une position [FEN]: ${this.stats.nonStandard.toLocaleString()}`);
+    }
+    if (this.stats.beyondPly > 0) {
+      console.log(`   🔢 Au-delà de ${maxPly} demi-coups: ${this.stats.beyondPly.toLocaleString()}`);
+    }
+    if (this.stats.outOfBand > 0) {
+      console.log(`   🎯 Hors tranche d'Elo: ${this.stats.outOfBand.toLocaleString()}`);
+    }
+    console.log(`   📖 Positions du livre: ${this.stats.positions.toLocaleString()} (${this.stats.entries.toLocaleString()} entrées, ${(this.stats.entries * ENTRY_SIZE / 1024 / 1024).toFixed(1)} MB)`);
+    console.log(`   🔢 Coups sous ${minOccurrence} occurrences écartés: ${this.stats.rareMoves.toLocaleString()}`);
+  }
+}
+
+if (process.argv[1] && process.argv[1].endsWith('export-book.js')) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  new BookExporter(options).run().catch(error => {
+    console.error(`❌ Erreur export du livre: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default BookExporter;
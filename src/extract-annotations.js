@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { readGames } from './lib/pgn-reader.js';
+import { extractMoveAnnotations } from './lib/annotations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ANNOTATIONS_HEADER = 'gameId\tply\tmove\teval_cp\teval_mate\tclock\ttime_spent';
+
+const args = process.argv.slice(2);
+
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+⏱️  Extracteur d'annotations %eval / %clk
+========================================
+
+Usage: node extract-annotations.js [fichier.pgn]
+
+Arguments:
+  fichier.pgn    Fichier PGN source (optionnel)
+                 Par défaut: output/lichess-eval.pgn
+
+Description:
+  Lit les commentaires [%eval ...] et [%clk ...] de chaque coup et écrit
+  une ligne par demi-coup : évaluation (centipions ou mat), temps restant
+  et temps passé sur le coup (en secondes, incrément du TimeControl compris).
+  Les parties sans aucune annotation sont ignorées.
+
+Sortie:
+  <fichier>-annotations.tsv (${ANNOTATIONS_HEADER.split('\t').join(', ')})
+
+Exemple:
+  node extract-annotations.js output/chessmont.pgn
+  → Génère output/chessmont-annotations.tsv
+`);
+  process.exit(0);
+}
+
+const inputFile = args.length > 0 && !args[0].startsWith('--')
+  ? path.resolve(args[0])
+  : path.join(__dirname, 'output', 'lichess-eval.pgn');
+
+if (!fs.existsSync(inputFile)) {
+  console.error(`❌ Fichier introuvable: ${inputFile}`);
+  process.exit(1);
+}
+
+const outputFile = inputFile.replace(/\.pgn$/, '-annotations.tsv');
+
+console.log('⏱️  EXTRACTION DES ANNOTATIONS %eval / %clk');
+console.log('==========================================');
+console.log(`📁 Input:  ${inputFile}`);
+console.log(`📄 Output: ${outputFile}\n`);
+
+const formatValue = (value) => (value === null ? '' : value);
+
+const processFile = async () => {
+  console.time('⏱️  Extraction');
+
+  const writeStream = fs.createWriteStream(outputFile, {
+    encoding: 'utf8',
+    highWaterMark: 16 * 1024 * 1024
+  });
+
+  writeStream.on('error', (error) => {
+    console.error(`\n❌ Erreur écriture: ${error.message}`);
+    process.exit(1);
+  });
+
+  writeStream.write(ANNOTATIONS_HEADER + '\n');
+
+  let gamesProcessed = 0;
+  let gamesAnnotated = 0;
+  let gamesWithoutId = 0;
+  let pliesWritten = 0;
+  let lastLogTime = Date.now();
+
+  for await (const { headers, movetext } of readGames(inputFile)) {
+    gamesProcessed++;
+
+    const moves = extractMoveAnnotations(movetext, headers.TimeControl);
+    const annotated = moves.some(move => move.cp !== null || move.mate !== null || move.clock !== null);
+
+    if (annotated && !headers.ID) {
+      gamesWithoutId++;
+    } else if (annotated) {
+      gamesAnnotated++;
+      let lines = '';
+      for (const move of moves) {
+        lines += `${headers.ID}\t${move.ply}\t${move.san}\t${formatValue(move.cp)}\t${formatValue(move.mate)}\t${formatValue(move.clock)}\t${formatValue(move.timeSpent)}\n`;
+      }
+      pliesWritten += moves.length;
+
+      if (!writeStream.write(lines)) {
+        await once(writeStream, 'drain');
+      }
+    }
+
+    const now = Date.now();
+    if (now - lastLogTime > 1000) {
+      process.stdout.write(`\r⏱️  Parties: ${gamesProcessed.toLocaleString()} | Annotées: ${gamesAnnotated.toLocaleString()} | Demi-coups: ${pliesWritten.toLocaleString()}`);
+      lastLogTime = now;
+    }
+  }
+
+  writeStream.end();
+  await once(writeStream, 'finish');
+
+  console.log(`\n\n✅ Extraction terminée !`);
+  console.log(`📊 Parties lues: ${gamesProcessed.toLocaleString()}`);
+  console.log(`⏱️  Parties annotées: ${gamesAnnotated.toLocaleString()}`);
+  console.log(`♟️  Demi-coups écrits: ${pliesWritten.toLocaleString()}`);
+  if (gamesWithoutId > 0) {
+    console.log(`⚠️  Parties annotées sans tag [ID] ignorées: ${gamesWithoutId.toLocaleString()}`);
+  }
+  console.log(`📄 Fichier généré: ${outputFile}`);
+  console.timeEnd('⏱️  Extraction');
+};
+
+processFile().catch((error) => {
+  console.error(`\n❌ Erreur lecture: ${error.message}`);
+  process.exit(1);
+});
@@ -5,13 +5,18 @@ import path from 'path';
 import os from 'os';
 import { Worker } from 'worker_threads';
 import { fileURLToPath } from 'url';
+import loadConfig from './lib/config.js';
+import { readGames } from './lib/pgn-reader.js';
+import { hashSchemeLine, assertHashScheme, hashDigits } from './lib/position-hash.js';
+import { fenRulesLabel } from './lib/fen-normalize.js';
+import { getGameCount } from './lib/game-count.js';
+import MergeWorker from './lib/merge-worker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
-const configPath = path.join(__dirname, '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
 
 /**
  * Pool de workers pour exécuter les merges K-way en parallèle
@@ -28,19 +33,19 @@ class MergeWorkerPool {
   /**
    * Execute un merge K-way dans un worker thread séparé
    */
-  async executeMerge(inputFiles, outputFile, isFirstPhase = false) {
+  async executeMerge(inputFiles, outputFile, isFirstPhase = false, kind = 'positions') {
     return new Promise((resolve, reject) => {
 
       if (this.activeWorkers.size >= this.maxWorkers) {
-        this.queue.push({ inputFiles, outputFile, isFirstPhase, resolve, reject });
+        this.queue.push({ inputFiles, outputFile, isFirstPhase, kind, resolve, reject });
         return;
       }
 
-      this._startWorker(inputFiles, outputFile, isFirstPhase, resolve, reject);
+      this._startWorker(inputFiles, outputFile, isFirstPhase, kind, resolve, reject);
     });
   }
 
-  _startWorker(inputFiles, outputFile, isFirstPhase, resolve, reject) {
+  _startWorker(inputFiles, outputFile, isFirstPhase, kind, resolve, reject) {
     const worker = new Worker(this.workerPath);
     this.activeWorkers.add(worker);
 
@@ -57,7 +62,8 @@ class MergeWorkerPool {
     worker.postMessage({
       inputFiles,
       outputFile,
-      isFirstPhase
+      isFirstPhase,
+      kind
     });
   }
 
@@ -76,7 +82,7 @@ class MergeWorkerPool {
 
     if (this.queue.length > 0) {
       const next = this.queue.shift();
-      this._startWorker(next.inputFiles, next.outputFile, next.isFirstPhase, next.resolve, next.reject);
+      this._startWorker(next.inputFiles, next.outputFile, next.isFirstPhase, next.kind, next.resolve, next.reject);
     }
   }
 
@@ -114,6 +120,24 @@ class FenProcessor {
     this.tempDir = path.join(__dirname, '..', 'src/temp');
     this.outputDir = path.join(__dirname, 'output');
 
+    // Schéma de hash (position-hash.js) : première ligne des fichiers produits, noté dans temp/ pour --resume
+    this.hashScheme = config.positionHash;
+    this.hashSchemeFile = path.join(this.tempDir, 'hash-scheme.txt');
+
+    // Évaluations Lichess (import-evals.js) jointes par hash pendant le merge final
+    this.evalsFile = path.join(this.outputDir, 'evals.tsv');
+    this.withEvals = config.evals.enabled;
+    this.evalsMatched = 0;
+
+    // Annotations %eval / %clk de chaque position ajoutées à l'index pgi
+    this.withAnnotations = config.annotations.inPgi;
+
+    // Arêtes position → coup (generateMoves) : chunks moves_chunk_*, même tri externe et merge que les positions
+    this.withMoves = config.generateMoves;
+    this.movesFile = path.join(this.outputDir, 'moves-all.tsv');
+    this.hashDigits = hashDigits(this.hashScheme);
+    this.movesProcessed = 0;
+
 
     this.numWorkers = os.cpus().length;
     this.batchSize = 16;
@@ -143,55 +167,89 @@ class FenProcessor {
 
 
     this.chunkWriteStream = null;
+    this.movesWriteStream = null;
     this.indexWriteStream = null;
   }
 
   /**
-   * Compte le nombre total de parties (optimisé depuis game-checker)
+   * En-tête des fichiers fens-*.tsv : schéma de hash puis colonnes (colonnes d'évaluation si evals.enabled)
    */
-  async countTotalGames() {
-    console.log(`🔍 Comptage rapide des parties dans ${this.inputFile}...`);
-
-    // const fd = fs.openSync(this.inputFile, 'r');
-    // const stats = fs.statSync(this.inputFile);
-    // const fileSize = stats.size;
-    // this.fileSize = fileSize;
-
-    // console.log(`📊 Taille du fichier: ${(fileSize / 1024 / 1024 / 1024).toFixed(2)} GB`);
+  tsvHeader() {
+    return hashSchemeLine(this.hashScheme) + '\n' + 'hash\tfen\toccurrence\twhite\tblack\tdraw' + (this.withEvals ? '\teval_depth\teval_cp\teval_mate\teval_move' : '') + '\n';
+  }
 
-    // let buffer = '';
-    // let position = 0;
-    // let gameCount = 0;
-    // const SCAN_CHUNK_SIZE = 8 * 1024 * 1024;
+  /**
+   * Refuse de fusionner des hashs d'un autre schéma : evals.tsv joint au merge final, chunks triés repris par --resume
+   */
+  checkHashSchemes() {
+    console.log(`🔑 Schéma de hash: ${this.hashScheme} (FEN ${fenRulesLabel()})`);
 
-    // while (position < fileSize) {
-    //   const readBuffer = Buffer.alloc(Math.min(SCAN_CHUNK_SIZE, fileSize - position));
-    //   const bytesRead = fs.readSync(fd, readBuffer, 0, readBuffer.length, position);
+    if (this.withEvals && fs.existsSync(this.evalsFile)) {
+      assertHashScheme([this.evalsFile], this.hashScheme);
+    }
+    if (this.resumeMode) {
+      if (!fs.existsSync(this.hashSchemeFile)) {
+        throw new Error(`${this.hashSchemeFile} introuvable : schéma des chunks triés inconnu, relancez sans --resume`);
+      }
+      assertHashScheme([this.hashSchemeFile], this.hashScheme);
+    }
+  }
 
-    //   if (bytesRead === 0) break;
+  /**
+   * Ouvre evals.tsv (trié par hash) pour la jointure du merge final
+   */
+  async openEvalReader() {
+    if (!this.withEvals) return null;
 
-    //   buffer += readBuffer.toString('utf8', 0, bytesRead);
-    //   position += bytesRead;
+    if (!fs.existsSync(this.evalsFile)) {
+      console.warn(`⚠️  ${this.evalsFile} introuvable (node src/import-evals.js) : FENs générés sans évaluations`);
+      this.withEvals = false;
+      return null;
+    }
 
-    //   const lines = buffer.split('\n');
-    //   buffer = lines.pop() || '';
+    const { createInterface } = await import('readline');
+    const lines = createInterface({ input: fs.createReadStream(this.evalsFile, { encoding: 'utf8', highWaterMark: 2 * 1024 * 1024 }) })[Symbol.asyncIterator]();
+    const reader = { lines, current: null };
+    await lines.next(); // schéma de hash (vérifié par checkHashSchemes)
+    await lines.next(); // en-tête
+    await this.readNextEval(reader);
+    return reader;
+  }
 
-    //   for (const line of lines) {
-    //     if (line.startsWith('[ID ')) {
-    //       gameCount++;
-    //     }
-    //   }
+  async readNextEval(reader) {
+    const { value, done } = await reader.lines.next();
+    if (done || !value) {
+      reader.current = null;
+      return;
+    }
+    const separator = value.indexOf('\t');
+    reader.current = { hash: BigInt(value.slice(0, separator)), columns: value.slice(separator) };
+  }
 
-    //   if (gameCount % 100000 === 0 && gameCount > 0) {
-    //     const progress = (position / fileSize * 100).toFixed(1);
-    //     process.stdout.write(`\r🔍 Scan: ${gameCount.toLocaleString()} parties trouvées (${progress}%)`);
-    //   }
-    // }
+  /**
+   * Colonnes d'évaluation d'une position : les deux fichiers sont triés par hash croissant,
+   * le lecteur avance jusqu'au hash demandé (jointure par fusion, sans charger evals.tsv en mémoire)
+   */
+  async evalColumns(reader, hash) {
+    if (!reader) return '';
 
-    // fs.closeSync(fd);
+    const target = BigInt(hash);
+    while (reader.current && reader.current.hash < target) {
+      await this.readNextEval(reader);
+    }
+    if (reader.current && reader.current.hash === target) {
+      this.evalsMatched++;
+      return reader.current.columns;
+    }
+    return '\t\t\t\t';
+  }
 
-    this.totalGames = 24191495;
-    console.log(`\n📊 ${this.totalGames.toLocaleString()} parties trouvées dans le fichier`);
+  /**
+   * Nombre exact de parties (game-count.js) : compte enregistré par compil.js, deduplicate-pgn.js ou game-checker.js,
+   * sinon scan parallèle des tags [ID
+   */
+  async countTotalGames() {
+    this.totalGames = await getGameCount(this.inputFile);
 
     const estimatedPositions = Math.round(this.totalGames * 87.67);
     const estimatedChunks = Math.ceil(estimatedPositions / this.chunkSize);
@@ -201,6 +259,16 @@ class FenProcessor {
     return this.totalGames;
   }
 
+  /**
+   * Colonnes eval_cp, eval_mate, clock, time_spent d'une position de l'index (vides sans annotation)
+   */
+  annotationColumns(annotation) {
+    if (!annotation) return '\t\t\t\t';
+    return [annotation.cp, annotation.mate, annotation.clock, annotation.timeSpent]
+      .map(value => (value === null ? '' : value))
+      .reduce((columns, value) => `${columns}\t${value}`, '');
+  }
+
   /**
    * Initialise un nouveau chunk de sortie
    */
@@ -213,6 +281,11 @@ class FenProcessor {
     const chunkFile = path.join(this.tempDir, `chunk_${this.chunkIndex}.tmp`);
     this.chunkWriteStream = fs.createWriteStream(chunkFile, { encoding: 'utf8' });
 
+    if (this.withMoves) {
+      const movesChunkFile = path.join(this.tempDir, `moves_chunk_${this.chunkIndex}.tmp`);
+      this.movesWriteStream = fs.createWriteStream(movesChunkFile, { encoding: 'utf8' });
+    }
+
 
     if (!this.indexWriteStream) {
       const outputDir = path.dirname(this.positionIndexFile);
@@ -221,20 +294,22 @@ class FenProcessor {
       }
 
       this.indexWriteStream = fs.createWriteStream(this.positionIndexFile, { encoding: 'utf8' });
-      this.indexWriteStream.write('hashFen\tfen\tgameId\tmaxElo\tofficial\tdate\n');
+      this.indexWriteStream.write(hashSchemeLine(this.hashScheme) + '\n');
+      this.indexWriteStream.write('hashFen\tfen\tgameId\tmaxElo\tofficial\tdate' + (this.withAnnotations ? '\teval_cp\teval_mate\tclock\ttime_spent' : '') + '\n');
     }
 
     this.positionsInCurrentChunk = 0;
   }
 
   /**
-   * Écrit les positions dans les chunks avec rotation
+   * Écrit les positions (et les arêtes position → coup) dans les chunks avec rotation
    */
-  writePositionsToChunk(positions) {
+  writePositionsToChunk(positions, edges = []) {
     for (const position of positions) {
 
       if (this.positionsInCurrentChunk >= this.chunkSize) {
         this.chunkWriteStream.end();
+        this.movesWriteStream?.end();
         this.chunkIndex++;
         this.initChunk();
       }
@@ -245,13 +320,23 @@ class FenProcessor {
 
 
       if (position.gameId) {
-        const indexLine = `${position.hashFen}\t${position.fen}\t${position.gameId}\t${position.maxElo}\t${position.official}\t${position.date}\n`;
-        this.indexWriteStream.write(indexLine);
+        const indexLine = `${position.hashFen}\t${position.fen}\t${position.gameId}\t${position.maxElo}\t${position.official}\t${position.date}`;
+        this.indexWriteStream.write(indexLine + (this.withAnnotations ? this.annotationColumns(position.annotation) : '') + '\n');
       }
 
       this.positionsInCurrentChunk++;
       this.positionsProcessed++;
     }
+
+    if (this.withMoves && edges.length > 0) {
+      // Hash à largeur fixe : les chunks d'arêtes se trient et se fusionnent en texte (merge-worker.js mergeEdges)
+      let lines = '';
+      for (const edge of edges) {
+        lines += `${edge.hashFen.padStart(this.hashDigits, '0')}|${edge.move}|${edge.fen}|${edge.result}|${edge.elo}|${edge.ply ?? ''}\n`;
+      }
+      this.movesWriteStream.write(lines);
+      this.movesProcessed += edges.length;
+    }
   }
 
   /**
@@ -272,12 +357,14 @@ class FenProcessor {
     this.startTime = Date.now();
 
     this.initChunk();
+    fs.writeFileSync(this.hashSchemeFile, hashSchemeLine(this.hashScheme) + '\n', 'utf8');
 
 
     const workers = [];
     const workerStates = [];
     const batchQueue = [];
     let isStreamingComplete = false;
+    let resumeReading = null;
     let activeTasks = 0; for (let i = 0; i < this.numWorkers; i++) {
       const worker = new Worker('./src/lib/fen-worker.js');
       workers.push(worker);
@@ -289,7 +376,7 @@ class FenProcessor {
 
         if (message.success) {
 
-          this.writePositionsToChunk(message.result.positions);
+          this.writePositionsToChunk(message.result.positions, message.result.edges);
 
           this.gamesProcessedCount += message.result.processedGames;
 
@@ -333,9 +420,10 @@ class FenProcessor {
       });
 
 
-      if (streamPaused && batchQueue.length < this.maxQueueSize / 2) {
-        streamPaused = false;
-        stream.resume();
+      if (resumeReading && batchQueue.length < this.maxQueueSize / 2) {
+        const resume = resumeReading;
+        resumeReading = null;
+        resume();
       }
     };
     let promiseResolve = null;
@@ -347,6 +435,9 @@ class FenProcessor {
       if (this.chunkWriteStream) {
         this.chunkWriteStream.end();
       }
+      if (this.movesWriteStream) {
+        this.movesWriteStream.end();
+      }
       if (this.indexWriteStream) {
         this.indexWriteStream.end();
       }
@@ -355,6 +446,9 @@ class FenProcessor {
       console.timeEnd('⏱️  Extraction PGN');
       console.log(`✅ Parties traitées: ${this.gamesProcessedCount.toLocaleString()}/${this.totalGames.toLocaleString()}`);
       console.log(`📝 ${this.positionsProcessed.toLocaleString()} positions extraites dans ${this.chunkIndex + 1} chunks`);
+      if (this.withMoves) {
+        console.log(`♟️  ${this.movesProcessed.toLocaleString()} arêtes position → coup extraites`);
+      }
       console.log(`🎯 Index final créé: ${this.positionIndexFile}`);
 
 
@@ -364,93 +458,47 @@ class FenProcessor {
     };
 
 
+    const done = new Promise((resolve) => {
+      promiseResolve = resolve;
+    });
+
     const READ_CHUNK_SIZE = 1024 * 1024;
     const stream = fs.createReadStream(this.inputFile, {
-      encoding: 'utf8',
       highWaterMark: READ_CHUNK_SIZE
     });
 
-    let buffer = '';
-    let currentGame = '';
-    let inGame = false;
     let currentBatch = [];
-    let processedBytes = 0;
-    let streamPaused = false;
-
-    stream.on('data', (chunk) => {
-      processedBytes += Buffer.byteLength(chunk, 'utf8');
-      this.processedBytes = processedBytes;
-
-      buffer += chunk;
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('[ID ')) {
-
-          if (inGame && currentGame.trim()) {
-            currentBatch.push(currentGame);
-
-            if (currentBatch.length >= this.batchSize) {
-              batchQueue.push([...currentBatch]);
-              currentBatch = [];
-
-
-              if (!streamPaused && batchQueue.length >= this.maxQueueSize) {
-                streamPaused = true;
-                stream.pause();
-              }
 
-              processNextBatch();
-            }
-          }
-
-          currentGame = line + '\n';
-          inGame = true;
-        } else {
-          currentGame += line + '\n';
-        }
-      }
-    });
-
-    stream.on('end', () => {
-
-      if (buffer.trim()) {
-        const line = buffer.trim();
-        if (line.startsWith('[ID ')) {
-          if (inGame && currentGame.trim()) {
-            currentBatch.push(currentGame);
+    try {
+      for await (const game of readGames(stream)) {
+        this.processedBytes = game.byteOffset + game.byteLength;
+        currentBatch.push(game.raw + '\n\n');
+
+        if (currentBatch.length >= this.batchSize) {
+          batchQueue.push(currentBatch);
+          currentBatch = [];
+          processNextBatch();
+
+          // File pleine : la lecture reprend quand les workers l'ont vidée de moitié
+          if (batchQueue.length >= this.maxQueueSize) {
+            await new Promise(resolve => { resumeReading = resolve; });
           }
-          currentGame = line + '\n';
-          inGame = true;
-        } else {
-          currentGame += line + '\n';
         }
       }
-
-      if (inGame && currentGame.trim()) {
-        currentBatch.push(currentGame);
-      }
-
-      if (currentBatch.length > 0) {
-        batchQueue.push(currentBatch);
-      }
-
-      isStreamingComplete = true;
-      processNextBatch();
-    });
-
-    stream.on('error', (error) => {
+    } catch (error) {
       console.error('❌ Erreur de lecture du fichier:', error);
       workers.forEach(worker => worker.terminate());
       throw error;
-    });
-    return new Promise((resolve, reject) => {
+    }
 
-      promiseResolve = resolve;
+    if (currentBatch.length > 0) {
+      batchQueue.push(currentBatch);
+    }
 
-      stream.on('error', reject);
-    });
+    isStreamingComplete = true;
+    processNextBatch();
+
+    return done;
   }
 
   /**
@@ -494,7 +542,7 @@ class FenProcessor {
    * Traite un chunk : TRI ALPHABÉTIQUE OPTIMISÉ MÉMOIRE
    */
 
-  async processSingleChunk(chunkFile) {
+  async processSingleChunk(chunkFile, byHash = true) {
     return new Promise(async (resolve, reject) => {
       const sortedFile = chunkFile.replace('.tmp', '_sorted.tmp');
 
@@ -514,11 +562,12 @@ class FenProcessor {
 
       rl.on('close', () => {
         try {
-          lines.sort((a, b) => {
+          // Chunks d'arêtes : hash à largeur fixe, l'ordre des chaînes suffit
+          lines.sort(byHash ? (a, b) => {
             const hashA = BigInt(a.split('|')[0]);
             const hashB = BigInt(b.split('|')[0]);
             return hashA < hashB ? -1 : hashA > hashB ? 1 : 0;
-          });
+          } : undefined);
 
           const writeStream = fs.createWriteStream(sortedFile, {
             encoding: 'utf8',
@@ -559,16 +608,17 @@ class FenProcessor {
 
   /**
    * Traite tous les chunks en parallèle pour les trier avec système de queue
+   * prefix : chunk_ (positions) ou moves_chunk_ (arêtes)
    */
-  async processAllChunks() {
-    console.log(`\n🔄 Tri des chunks...`);
+  async processAllChunks(prefix = 'chunk_') {
+    console.log(`\n🔄 Tri des chunks ${prefix}*...`);
     console.time('⏱️  Tri des chunks');
 
     if (!fs.existsSync(this.tempDir)) {
       throw new Error(`Dossier temporaire non trouvé: ${this.tempDir}`);
     }
     const chunkFiles = fs.readdirSync(this.tempDir)
-      .filter(file => file.startsWith('chunk_') && file.endsWith('.tmp') && !file.includes('_sorted'))
+      .filter(file => file.startsWith(prefix) && file.endsWith('.tmp') && !file.includes('_sorted'))
       .sort((a, b) => {
         const numA = parseInt(a.match(/chunk_(\d+)\.tmp/)?.[1] || 0);
         const numB = parseInt(b.match(/chunk_(\d+)\.tmp/)?.[1] || 0);
@@ -604,7 +654,7 @@ class FenProcessor {
         workerStates[availableWorkerIndex] = false;
         activeTasks++;
 
-        this.processSingleChunk(chunkFile)
+        this.processSingleChunk(chunkFile, prefix === 'chunk_')
           .then(sortedFile => {
             sortedFiles.push(sortedFile);
             completedChunks++;
@@ -637,8 +687,9 @@ class FenProcessor {
 
   /**
    * Système multi-phases de K-way merge avec réduction progressive
+   * kind : positions (fens-*.tsv) ou moves (moves-all.tsv)
    */
-   async multiPhaseKWayMerge(sortedFiles, keepSortedFiles = true) {
+   async multiPhaseKWayMerge(sortedFiles, keepSortedFiles = true, kind = 'positions') {
     console.log(`\n🚀 DÉBUT DU SYSTÈME MULTI-PHASES DE K-WAY MERGE AVEC WORKERS`);
     console.log(`📊 Input initial: ${sortedFiles.length} chunks triés`);
     console.log(`🛡️  Conservation des fichiers _sorted: ${keepSortedFiles ? 'OUI' : 'NON'}`);
@@ -649,14 +700,15 @@ class FenProcessor {
     let phaseNumber = 1;
 
     // FORCER LA PHASE 1 pour convertir le format fen|result vers fen\toccurrence\twhite\tblack\tdraw
-    // même si on a peu de fichiers
-    const mustRunPhase1 = true;
+    // même si on a peu de fichiers (les arêtes lisent les deux formats)
+    const mustRunPhase1 = kind === 'positions';
+    const unit = kind === 'moves' ? 'arêtes' : 'positions';
 
     while (currentFiles.length > this.chunksPerMerge || (phaseNumber === 1 && mustRunPhase1)) {
       console.log(`\n🔄 === PHASE ${phaseNumber} ===`);
       console.log(`📂 Input: ${currentFiles.length} chunks`);
 
-      const phaseDir = path.join(this.tempDir, `phase${phaseNumber}`);
+      const phaseDir = path.join(this.tempDir, `${kind === 'moves' ? 'moves-' : ''}phase${phaseNumber}`);
       if (!fs.existsSync(phaseDir)) {
         fs.mkdirSync(phaseDir, { recursive: true });
       }
@@ -686,7 +738,8 @@ class FenProcessor {
         const result = await this.mergeWorkerPool.executeMerge(
           task.batch,
           task.outputFile,
-          task.isFirstPhase
+          task.isFirstPhase,
+          kind
         );
 
 
@@ -696,7 +749,7 @@ class FenProcessor {
 
         const duration = Date.now() - startTime;
 
-        console.log(`   ✅ Merge batch ${task.mergeIndex}: ${task.batch.length} fichiers → ${result.positionsWritten.toLocaleString()} positions (${(duration/1000).toFixed(1)}s) [Worker ${result.workerId}]`);
+        console.log(`   ✅ Merge batch ${task.mergeIndex}: ${task.batch.length} fichiers → ${result.positionsWritten.toLocaleString()} ${unit} (${(duration/1000).toFixed(1)}s) [Worker ${result.workerId}]`);
 
         return task.outputFile;
       });
@@ -724,7 +777,7 @@ class FenProcessor {
 
     console.log(`\n🏁 === PHASE FINALE ===`);
 
-    const finalResult = await this.kWayMergeFinal(currentFiles);
+    const finalResult = kind === 'moves' ? await this.writeMovesFile(currentFiles) : await this.kWayMergeFinal(currentFiles);
 
 
     for (const file of currentFiles) {
@@ -776,6 +829,8 @@ class FenProcessor {
         await this.readNextLine(reader);
       }
 
+      const evalReader = await this.openEvalReader();
+
       let currentFen = null;
       let currentStats = { occurrence: 0, white: 0, black: 0, draw: 0 };
 
@@ -817,7 +872,8 @@ class FenProcessor {
         const minReaders = currentPositions.filter(pos => pos.hash === minHash).map(pos => pos.reader);
 
         if (currentFen !== null && currentFen.hash !== minHash) {
-          const line = `${currentFen.hash}\t${currentFen.fen}\t${currentStats.occurrence}\t${currentStats.white}\t${currentStats.black}\t${currentStats.draw}\n`;
+          const evalColumns = await this.evalColumns(evalReader, currentFen.hash);
+          const line = `${currentFen.hash}\t${currentFen.fen}\t${currentStats.occurrence}\t${currentStats.white}\t${currentStats.black}\t${currentStats.draw}${evalColumns}\n`;
 
           if (currentStats.occurrence >= 10) {
             partitionStreams['10plus'].write(line);
@@ -849,7 +905,8 @@ class FenProcessor {
       }
 
       if (currentFen !== null) {
-        const line = `${currentFen.hash}\t${currentFen.fen}\t${currentStats.occurrence}\t${currentStats.white}\t${currentStats.black}\t${currentStats.draw}\n`;
+        const evalColumns = await this.evalColumns(evalReader, currentFen.hash);
+        const line = `${currentFen.hash}\t${currentFen.fen}\t${currentStats.occurrence}\t${currentStats.white}\t${currentStats.black}\t${currentStats.draw}${evalColumns}\n`;
 
         if (currentStats.occurrence >= 10) {
           partitionStreams['10plus'].write(line);
@@ -863,6 +920,9 @@ class FenProcessor {
       for (const reader of readers) {
         reader.readStream.destroy();
       }
+      if (evalReader) {
+        await evalReader.lines.return();
+      }
 
       for (const stream of Object.values(partitionStreams)) {
         stream.end();
@@ -874,6 +934,9 @@ class FenProcessor {
       const finalElapsed = (Date.now() - mergeStartTime) / 1000;
       const finalElapsedStr = this.formatTime(finalElapsed);
       console.log(`\n✅ K-way merge final terminé: ${totalLinesProcessed.toLocaleString()} lignes → ${positionsWritten.toLocaleString()} positions uniques en ${finalElapsedStr}`);
+      if (evalReader) {
+        console.log(`🧮 Évaluations jointes: ${this.evalsMatched.toLocaleString()}/${positionsWritten.toLocaleString()} positions`);
+      }
 
     } catch (error) {
       console.error('❌ Erreur lors du K-way merge final:', error.message);
@@ -884,6 +947,49 @@ class FenProcessor {
     return { positionsWritten };
   }
 
+  /**
+   * Phase finale des arêtes : moves-all.tsv (hash, fen, coup UCI, parties, résultats, Elo moyen, premier demi-coup),
+   * trié par hash puis par coup
+   */
+  async writeMovesFile(inputFiles) {
+    console.log(`🔄 K-way merge final de ${inputFiles.length} fichiers d'arêtes vers ${path.basename(this.movesFile)}...`);
+
+    const tempOutput = this.movesFile + '.tmp';
+    const writeStream = fs.createWriteStream(tempOutput, { encoding: 'utf8', highWaterMark: 8 * 1024 * 1024 });
+    writeStream.write(hashSchemeLine(this.hashScheme) + '\n' + 'hash\tfen\tmove\tcount\twhite\tblack\tdraw\tavg_elo\tmin_ply\n');
+
+    let positionsWritten = 0;
+    let buffer = '';
+    for await (const edge of new MergeWorker().mergeEdges(inputFiles)) {
+      const averageElo = edge.eloCount > 0 ? Math.round(edge.eloSum / edge.eloCount) : '';
+      buffer += `${BigInt(edge.hash)}\t${edge.fen}\t${edge.move}\t${edge.count}\t${edge.white}\t${edge.black}\t${edge.draw}\t${averageElo}\t${edge.minPly ?? ''}\n`;
+      positionsWritten++;
+
+      if (buffer.length >= 4 * 1024 * 1024) {
+        if (!writeStream.write(buffer)) {
+          await new Promise(resolve => writeStream.once('drain', resolve));
+        }
+        buffer = '';
+      }
+    }
+
+    await new Promise((resolve, reject) => writeStream.end(buffer, error => (error ? reject(error) : resolve())));
+    await fs.promises.rename(tempOutput, this.movesFile);
+
+    console.log(`✅ ${positionsWritten.toLocaleString()} arêtes uniques écrites dans ${path.basename(this.movesFile)}`);
+    return { positionsWritten };
+  }
+
+  /**
+   * Tri, merge et écriture de moves-all.tsv depuis les chunks moves_chunk_*
+   */
+  async generateMovesFile() {
+    console.log(`\n♟️  GÉNÉRATION DE ${path.basename(this.movesFile)}`);
+    await this.processAllChunks('moves_chunk_');
+    const sortedFiles = await this.getSortedFiles('moves_chunk_');
+    return this.multiPhaseKWayMerge(sortedFiles, true, 'moves');
+  }
+
   /**
    * Calcule les statistiques finales
    */
@@ -898,7 +1004,9 @@ class FenProcessor {
         const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
         const rl = createInterface({ input: stream });
 
-        rl.on('line', () => lineCount++);
+        rl.on('line', (line) => {
+          if (!line.startsWith('#')) lineCount++;
+        });
         rl.on('close', () => resolve(Math.max(0, lineCount - 1)));
         rl.on('error', reject);
       });
@@ -1154,6 +1262,7 @@ class FenProcessor {
     console.time('⏱️  Traitement complet');
 
     try {
+      this.checkHashSchemes();
       await this.countTotalGames();
       if (!this.resumeMode)
         await this.processPgnFileMultithread();
@@ -1162,6 +1271,7 @@ class FenProcessor {
 
 
       const mergeResult = await this.multiPhaseKWayMerge(sortedFiles, true);
+      const movesResult = this.withMoves ? await this.generateMovesFile() : null;
 
 
       await this.sort10PlusOccByOccurrence();
@@ -1195,6 +1305,9 @@ class FenProcessor {
       console.log(`   📄 fens-withoutone.tsv (${finalResult.withoutOneCount.toLocaleString()} positions)`);
       console.log(`   📄 fens-onlyrecurrent.tsv (${finalResult.onlyRecurrentCount.toLocaleString()} positions)`);
       console.log(`   🎯 Index: ${this.positionIndexFile}`);
+      if (movesResult) {
+        console.log(`   ♟️  ${path.basename(this.movesFile)} (${movesResult.positionsWritten.toLocaleString()} arêtes position → coup)`);
+      }
 
       const fensAllFile = path.join(this.outputDir, 'fens-all.tsv');
       if (fs.existsSync(fensAllFile)) {
@@ -1239,7 +1352,7 @@ class FenProcessor {
       if (!fs.existsSync(this.outputDir)) {
         fs.mkdirSync(this.outputDir, { recursive: true });
       }
-      fs.writeFileSync(fensOnlyRecurrentFile, 'fen\toccurrence\twhite\tblack\tdraw\n', { encoding: 'utf8' });
+      fs.writeFileSync(fensOnlyRecurrentFile, this.tsvHeader(), { encoding: 'utf8' });
       return;
     }
 
@@ -1268,7 +1381,7 @@ class FenProcessor {
     }
 
     const writeStream = fs.createWriteStream(fensOnlyRecurrentFile, { encoding: 'utf8' });
-    writeStream.write('hash\tfen\toccurrence\twhite\tblack\tdraw\n');
+    writeStream.write(this.tsvHeader());
 
     for (const line of lines) {
       writeStream.write(line + '\n');
@@ -1298,7 +1411,7 @@ class FenProcessor {
 
     console.log('📄 Création de fens-withoutone.tsv...');
     const withoutOneStream = fs.createWriteStream(fensWithoutOneFile, { encoding: 'utf8' });
-    withoutOneStream.write('hash\tfen\toccurrence\twhite\tblack\tdraw\n');
+    withoutOneStream.write(this.tsvHeader());
 
 
     if (fs.existsSync(fensOnlyRecurrentFile)) {
@@ -1308,6 +1421,7 @@ class FenProcessor {
 
       let isFirstLine = true;
       for await (const line of rl) {
+        if (line.startsWith('#')) continue;
         if (isFirstLine) {
           isFirstLine = false;
           continue;
@@ -1331,7 +1445,7 @@ class FenProcessor {
 
     console.log('📄 Création de fens-all.tsv...');
     const allStream = fs.createWriteStream(fensAllFile, { encoding: 'utf8' });
-    allStream.write('hash\tfen\toccurrence\twhite\tblack\tdraw\n');
+    allStream.write(this.tsvHeader());
     if (fs.existsSync(fensWithoutOneFile)) {
       const { createInterface } = await import('readline');
       const fileStream = fs.createReadStream(fensWithoutOneFile, { encoding: 'utf8' });
@@ -1339,6 +1453,7 @@ class FenProcessor {
 
       let isFirstLine = true;
       for await (const line of rl) {
+        if (line.startsWith('#')) continue;
         if (isFirstLine) {
           isFirstLine = false;
           continue;
@@ -1394,13 +1509,15 @@ class FenProcessor {
     console.log('🧹 Nettoyage des dossiers de phases...');
 
     try {
-      let phaseNumber = 1;
-      let phaseDir = path.join(this.tempDir, `phase${phaseNumber}`);
-
-      while (fs.existsSync(phaseDir)) {
-        fs.rmSync(phaseDir, { recursive: true, force: true });
-        phaseNumber++;
-        phaseDir = path.join(this.tempDir, `phase${phaseNumber}`);
+      for (const prefix of ['', 'moves-']) {
+        let phaseNumber = 1;
+        let phaseDir = path.join(this.tempDir, `${prefix}phase${phaseNumber}`);
+
+        while (fs.existsSync(phaseDir)) {
+          fs.rmSync(phaseDir, { recursive: true, force: true });
+          phaseNumber++;
+          phaseDir = path.join(this.tempDir, `${prefix}phase${phaseNumber}`);
+        }
       }
 
       console.log('✅ Dossiers de phases nettoyés');
@@ -1435,9 +1552,9 @@ class FenProcessor {
   }
 
   /**
-    * Récupère les fichiers _sorted
+    * Récupère les fichiers _sorted (chunk_ : positions, moves_chunk_ : arêtes)
    */
-  async getSortedFiles() {
+  async getSortedFiles(prefix = 'chunk_') {
     console.log('\n🔄 REPRISE DU TRAITEMENT DEPUIS LES FICHIERS _SORTED');
 
     if (!fs.existsSync(this.tempDir)) {
@@ -1445,7 +1562,7 @@ class FenProcessor {
     }
 
     const sortedFiles = fs.readdirSync(this.tempDir)
-      .filter(file => file.includes('_sorted.tmp'))
+      .filter(file => file.startsWith(prefix) && file.includes('_sorted.tmp'))
       .sort((a, b) => {
         const numA = parseInt(a.match(/chunk_(\d+)_sorted\.tmp/)?.[1] || 0);
         const numB = parseInt(b.match(/chunk_(\d+)_sorted\.tmp/)?.[1] || 0);
@@ -1508,6 +1625,8 @@ Configuration actuelle:
 Fichiers générés:
   • temp/chunk_*.tmp        (chunks temporaires)
   • temp/chunk_*_sorted.tmp (chunks triés)
+  • temp/moves_chunk_*.tmp  (arêtes position → coup, si generateMoves)
+  • output/moves-all.tsv    (statistiques position → coup, si generateMoves)
   • output/${outputFileName}  (index FEN → Game ID)
 
 Performance:
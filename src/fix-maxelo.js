@@ -2,7 +2,9 @@
 
 import fs from 'fs';
 import path from 'path';
+import { once } from 'events';
 import { fileURLToPath } from 'url';
+import { readGames } from './lib/pgn-reader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -45,120 +47,84 @@ console.log('=========================');
 console.log(`📁 Input:  ${inputFile}`);
 console.log(`📄 Output: ${outputFile}\n`);
 
-const fixMaxElo = (gameText) => {
-  const whiteEloMatch = gameText.match(/\[WhiteElo "(\d+)"\]/);
-  const blackEloMatch = gameText.match(/\[BlackElo "(\d+)"\]/);
-
-  const whiteElo = whiteEloMatch ? parseInt(whiteEloMatch[1]) : 0;
-  const blackElo = blackEloMatch ? parseInt(blackEloMatch[1]) : 0;
+const fixMaxElo = ({ headers, raw }) => {
+  const whiteElo = parseInt(headers.WhiteElo) || 0;
+  const blackElo = parseInt(headers.BlackElo) || 0;
   const correctMaxElo = Math.max(whiteElo, blackElo);
 
   if (correctMaxElo > 3500) {
     return null;
   }
 
-  let fixed = gameText.replace(/\[MaxElo "[^"]*"\]\n?/g, '');
+  const fixed = raw.replace(/\[MaxElo "[^"]*"\]\n?/g, '');
+
+  if (!/\[Source "[^"]+"\]\n/.test(fixed)) {
+    return `[MaxElo "${correctMaxElo}"]\n${fixed}`;
+  }
 
-  fixed = fixed.replace(
+  return fixed.replace(
     /(\[Source "[^"]+"\]\n)/,
     `$1[MaxElo "${correctMaxElo}"]\n`
   );
-
-  return fixed;
 };
 
-const processFile = () => {
+const processFile = async () => {
   console.time('⏱️  Traitement');
 
-  const readStream = fs.createReadStream(inputFile, {
+  const writeStream = fs.createWriteStream(outputFile, {
     encoding: 'utf8',
     highWaterMark: 16 * 1024 * 1024
   });
 
-  const writeStream = fs.createWriteStream(outputFile, {
-    encoding: 'utf8',
-    highWaterMark: 16 * 1024 * 1024
+  writeStream.on('error', (error) => {
+    console.error(`\n❌ Erreur écriture: ${error.message}`);
+    process.exit(1);
   });
 
-  let buffer = '';
-  let currentGame = '';
-  let inGame = false;
   let gamesProcessed = 0;
   let gamesCorrected = 0;
   let gamesDeleted = 0;
   let lastLogTime = Date.now();
 
-  readStream.on('data', (chunk) => {
-    buffer += chunk;
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || '';
-
-    for (const line of lines) {
-      if (line.startsWith('[ID ')) {
-        if (inGame && currentGame.trim()) {
-          const oldMaxEloMatch = currentGame.match(/\[MaxElo "(\d+)"\]/);
-          const fixedGame = fixMaxElo(currentGame);
-
-          if (fixedGame === null) {
-            gamesDeleted++;
-          } else {
-            const newMaxEloMatch = fixedGame.match(/\[MaxElo "(\d+)"\]/);
-            writeStream.write(fixedGame + '\n\n');
-
-            if (oldMaxEloMatch && newMaxEloMatch && oldMaxEloMatch[1] !== newMaxEloMatch[1]) {
-              gamesCorrected++;
-            }
-          }
-
-          gamesProcessed++;
-
-          const now = Date.now();
-          if (now - lastLogTime > 1000) {
-            process.stdout.write(`\r🔧 Traitées: ${gamesProcessed.toLocaleString()} | Corrigées: ${gamesCorrected.toLocaleString()} | Supprimées: ${gamesDeleted.toLocaleString()}`);
-            lastLogTime = now;
-          }
-        }
-
-        currentGame = line + '\n';
-        inGame = true;
-      } else {
-        currentGame += line + '\n';
+  for await (const game of readGames(inputFile)) {
+    const fixedGame = fixMaxElo(game);
+
+    if (fixedGame === null) {
+      gamesDeleted++;
+    } else {
+      const oldMaxElo = game.headers.MaxElo;
+      const newMaxEloMatch = fixedGame.match(/\[MaxElo "(\d+)"\]/);
+
+      if (!writeStream.write(fixedGame + '\n\n')) {
+        await once(writeStream, 'drain');
       }
-    }
-  });
 
-  readStream.on('end', () => {
-    if (inGame && currentGame.trim()) {
-      const fixedGame = fixMaxElo(currentGame);
-      if (fixedGame === null) {
-        gamesDeleted++;
-      } else {
-        writeStream.write(fixedGame);
+      if (/^\d+$/.test(oldMaxElo || '') && newMaxEloMatch && oldMaxElo !== newMaxEloMatch[1]) {
+        gamesCorrected++;
       }
-      gamesProcessed++;
     }
 
-    writeStream.end();
+    gamesProcessed++;
 
-    writeStream.on('finish', () => {
-      console.log(`\n\n✅ Traitement terminé !`);
-      console.log(`📊 Parties traitées: ${gamesProcessed.toLocaleString()}`);
-      console.log(`🔧 Parties corrigées: ${gamesCorrected.toLocaleString()}`);
-      console.log(`🗑️  Parties supprimées (MaxElo > 3500): ${gamesDeleted.toLocaleString()}`);
-      console.log(`📄 Fichier généré: ${outputFile}`);
-      console.timeEnd('⏱️  Traitement');
-    });
-  });
+    const now = Date.now();
+    if (now - lastLogTime > 1000) {
+      process.stdout.write(`\r🔧 Traitées: ${gamesProcessed.toLocaleString()} | Corrigées: ${gamesCorrected.toLocaleString()} | Supprimées: ${gamesDeleted.toLocaleString()}`);
+      lastLogTime = now;
+    }
+  }
 
-  readStream.on('error', (error) => {
-    console.error(`\n❌ Erreur lecture: ${error.message}`);
-    process.exit(1);
-  });
+  writeStream.end();
+  await once(writeStream, 'finish');
 
-  writeStream.on('error', (error) => {
-    console.error(`\n❌ Erreur écriture: ${error.message}`);
-    process.exit(1);
-  });
+  console.log(`\n\n✅ Traitement terminé !`);
+  console.log(`📊 Parties traitées: ${gamesProcessed.toLocaleString()}`);
+  console.log(`🔧 Parties corrigées: ${gamesCorrected.toLocaleString()}`);
+  console.log(`🗑️  Parties supprimées (MaxElo > 3500): ${gamesDeleted.toLocaleString()}`);
+  console.log(`📄 Fichier généré: ${outputFile}`);
+  console.timeEnd('⏱️  Traitement');
 };
 
-processFile();
+processFile().catch((error) => {
+  console.error(`\n❌ Erreur lecture: ${error.message}`);
+  process.exit(1);
+});
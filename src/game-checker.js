@@ -5,13 +5,15 @@ import path from 'path';
 import { Worker } from 'worker_threads';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import loadConfig from './lib/config.js';
+import { readGames } from './lib/pgn-reader.js';
+import { readGameCount, writeGameCount } from './lib/game-count.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
-const configPath = path.join(__dirname, '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
 
 /**
  * Script de vérification et nettoyage PGN
@@ -47,7 +49,9 @@ class GameChecker {
       errors: {},
       startTime: null,
       fileSize: 0,
-      processedBytes: 0
+      processedBytes: 0,
+      // Nombre de parties enregistré (game-count.js), null : ETA estimée d'après la progression dans le fichier
+      expectedGames: null
     };
   }
 
@@ -80,6 +84,7 @@ class GameChecker {
 
     console.time('⏱️  Vérification totale');
     this.stats.startTime = Date.now();
+    this.stats.expectedGames = readGameCount(this.inputFile);
 
 
     const workers = [];
@@ -87,6 +92,7 @@ class GameChecker {
     const batchQueue = [];
     let isStreamingComplete = false;
     let activeTasks = 0;
+    let resumeReading = null;
 
     for (let i = 0; i < this.numWorkers; i++) {
       const worker = new Worker(path.join(__dirname, 'lib', 'game-checker-worker.js'));
@@ -157,16 +163,18 @@ class GameChecker {
 
       worker.postMessage({ batch, batchId: Math.random().toString(36) });
 
-      if (streamPaused && batchQueue.length < this.maxQueueSize / 2) {
-        streamPaused = false;
-        stream.resume();
+      if (resumeReading && batchQueue.length < this.maxQueueSize / 2) {
+        const resume = resumeReading;
+        resumeReading = null;
+        resume();
       }
     };
 
 
     const finishProcessing = async () => {
       workers.forEach(worker => worker.terminate());
-      cleanedStream.end();
+      // Fichier nettoyé complet avant de le mettre à la place de l'original et d'en enregistrer le nombre de parties
+      await new Promise(resolve => cleanedStream.end(resolve));
       logStream.end();
 
       console.log(`\n🎯 Traitement terminé: ${this.stats.totalGames.toLocaleString()} parties testées | ${this.stats.invalidGames} erreurs`);
@@ -182,114 +190,45 @@ class GameChecker {
     const fileSize = stats.size;
     this.stats.fileSize = fileSize;
 
-    const stream = fs.createReadStream(this.inputFile, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE });
+    const stream = fs.createReadStream(this.inputFile, { highWaterMark: READ_CHUNK_SIZE });
 
-    let buffer = '';
-    let currentGame = '';
-    let inGame = false;
     let currentBatch = [];
-    let processedBytes = 0;
-    let streamPaused = false;
-
-    stream.on('data', (chunk) => {
-      processedBytes += Buffer.byteLength(chunk, 'utf8');
-      this.stats.processedBytes = processedBytes;
-
-      buffer += chunk;
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('[Event ')) {
-          if (inGame && currentGame.trim()) {
-
-            if (currentGame.length > this.maxGameSize) {
-              console.log(`\n⚠️  Partie trop volumineuse ignorée (${(currentGame.length / 1024 / 1024).toFixed(2)} MB)`);
-              this.stats.skippedGames++;
-            } else {
-              currentBatch.push(currentGame);
-            }
-
-            if (currentBatch.length >= this.batchSize) {
-              batchQueue.push([...currentBatch]);
-              currentBatch = [];
-
-              if (!streamPaused && batchQueue.length >= this.maxQueueSize) {
-                streamPaused = true;
-                stream.pause();
-              }
 
-              processNextBatch();
-            }
-          }
-
-          currentGame = line + '\n';
-          inGame = true;
-        } else {
+    try {
+      for await (const game of readGames(stream, { maxGameSize: this.maxGameSize })) {
+        this.stats.processedBytes = game.byteOffset + game.byteLength;
 
-          if (currentGame.length + line.length + 1 > this.maxGameSize) {
-            console.log(`\n⚠️  Partie en cours trop volumineuse, ignorée`);
-            this.stats.skippedGames++;
-            currentGame = '';
-            inGame = false;
-          } else {
-            currentGame += line + '\n';
-          }
+        if (game.truncated) {
+          console.log(`\n⚠️  Partie trop volumineuse ignorée (${(game.byteLength / 1024 / 1024).toFixed(2)} MB)`);
+          this.stats.skippedGames++;
+          continue;
         }
-      }
-    });
 
-    stream.on('end', () => {
-      if (buffer.trim()) {
-        const line = buffer.trim();
-        if (line.startsWith('[Event ')) {
-          if (inGame && currentGame.trim()) {
-
-            if (currentGame.length > this.maxGameSize) {
-              console.log(`\n⚠️  Partie trop volumineuse ignorée (${(currentGame.length / 1024 / 1024).toFixed(2)} MB)`);
-              this.stats.skippedGames++;
-            } else {
-              currentBatch.push(currentGame);
-            }
-          }
-          currentGame = line + '\n';
-          inGame = true;
-        } else {
+        currentBatch.push(game.raw + '\n\n');
 
-          if (currentGame.length + line.length + 1 <= this.maxGameSize) {
-            currentGame += line + '\n';
-          } else {
-            console.log(`\n⚠️  Partie en cours trop volumineuse, ignorée`);
-            this.stats.skippedGames++;
-            currentGame = '';
-            inGame = false;
-          }
-        }
-      }
-
-      if (inGame && currentGame.trim()) {
+        if (currentBatch.length >= this.batchSize) {
+          batchQueue.push(currentBatch);
+          currentBatch = [];
+          processNextBatch();
 
-        if (currentGame.length > this.maxGameSize) {
-          console.log(`\n⚠️  Dernière partie trop volumineuse ignorée (${(currentGame.length / 1024 / 1024).toFixed(2)} MB)`);
-          this.stats.skippedGames++;
-        } else {
-          currentBatch.push(currentGame);
+          // File pleine : la lecture reprend quand les workers l'ont vidée de moitié
+          if (batchQueue.length >= this.maxQueueSize) {
+            await new Promise(resolve => { resumeReading = resolve; });
+          }
         }
       }
-
-      if (currentBatch.length > 0) {
-        batchQueue.push(currentBatch);
-      }
-
-      isStreamingComplete = true;
-      processNextBatch();
-    });
-
-    stream.on('error', (error) => {
+    } catch (error) {
       console.error('❌ Erreur de lecture du fichier:', error);
       workers.forEach(worker => worker.terminate());
       process.exit(1);
-    });
+    }
+
+    if (currentBatch.length > 0) {
+      batchQueue.push(currentBatch);
+    }
+
+    isStreamingComplete = true;
+    processNextBatch();
   }
 
   /**
@@ -315,6 +254,7 @@ class GameChecker {
       const backupFile = this.inputFile + '.backup';
       await fs.promises.rename(this.inputFile, backupFile);
       await fs.promises.rename(this.cleanedFile, this.inputFile);
+      writeGameCount(this.inputFile, this.stats.validGames);
 
       console.log(`✅ Fichier nettoyé: ${this.inputFile}`);
       console.log(`📁 Backup sauvé: ${backupFile}`);
@@ -375,7 +315,7 @@ class GameChecker {
   }
 
   /**
-   * Calcule l'ETA basé sur la progression dans le fichier
+   * Calcule l'ETA d'après le nombre de parties enregistré, sinon d'après la progression dans le fichier
    */
   calculateETA() {
     if (!this.stats.startTime || this.stats.totalGames === 0) return null;
@@ -383,7 +323,7 @@ class GameChecker {
     const progress = this.stats.processedBytes / this.stats.fileSize;
     if (progress === 0) return null;
 
-    const estimatedTotalGames = this.stats.totalGames / progress;
+    const estimatedTotalGames = this.stats.expectedGames ?? this.stats.totalGames / progress;
     const remainingGames = Math.max(0, estimatedTotalGames - this.stats.totalGames);
 
     if (remainingGames === 0) return null;
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { createInterface } from 'readline';
+import { once } from 'events';
+import { pipeline, Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import pkg from 'simple-zstd';
+const { ZSTDDecompress } = pkg;
+import WorkerPool from './lib/worker-pool.js';
+import LichessProcessor from './lib/lichess-processor.js';
+import loadConfig from './lib/config.js';
+import { hashSchemeLine } from './lib/position-hash.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const config = loadConfig();
+
+const EVALS_HEADER = 'hash\tdepth\tcp\tmate\tmove';
+
+/**
+ * Import de la base d'évaluations Lichess (lichess_db_eval.jsonl.zst) vers src/output/evals.tsv
+ * Les positions sont normalisées et hachées comme dans fen-worker.js (schéma positionHash et règles fenNormalization notés en première ligne), triées par hash (tri externe :
+ * chunks triés en mémoire dans src/temp/evals puis fusion k-way), une seule ligne par hash (la plus profonde).
+ * fen.js joint ensuite ce fichier aux FENs pendant son merge final, lui aussi dans l'ordre des hash.
+ */
+class EvalImporter {
+  constructor(source = null) {
+    this.source = source || config.evals.source || `${config.sources.lichess}/lichess_db_eval.jsonl.zst`;
+    this.outputFile = path.join(__dirname, 'output', 'evals.tsv');
+    this.tempDir = path.join(__dirname, 'temp', 'evals');
+
+    this.chunkSize = config.evals.chunkSize;
+    this.batchSize = 10000;
+
+    this.chunkFiles = [];
+    this.chunk = [];
+    this.stats = { positions: 0, invalid: 0, written: 0, duplicates: 0 };
+  }
+
+  /**
+   * Flux JSONL décompressé : URL (téléchargement avec reprise) ou fichier local (.jsonl ou .jsonl.zst)
+   */
+  openSource() {
+    const remote = /^https?:\/\//.test(this.source);
+    if (!remote && !fs.existsSync(this.source)) {
+      throw new Error(`Base d'évaluations introuvable: ${this.source}`);
+    }
+
+    const input = remote
+      ? Readable.from(new LichessProcessor({ dryRun: true }).downloadChunks(this.source))
+      : fs.createReadStream(this.source, { highWaterMark: 1024 * 1024 });
+
+    if (!this.source.endsWith('.zst')) {
+      return input;
+    }
+
+    const decompressStream = ZSTDDecompress();
+    pipeline(input, decompressStream, () => { });
+    return decompressStream;
+  }
+
+  /**
+   * Trie le chunk courant par hash et l'écrit dans src/temp/evals
+   */
+  async flushChunk() {
+    if (this.chunk.length === 0) return;
+
+    const sorted = this.chunk
+      .map(line => [BigInt(line.slice(0, line.indexOf('\t'))), line])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    this.chunk = [];
+
+    const chunkFile = path.join(this.tempDir, `evals_chunk_${this.chunkFiles.length}.tmp`);
+    const writeStream = fs.createWriteStream(chunkFile, { encoding: 'utf8', highWaterMark: 8 * 1024 * 1024 });
+    for (const [, line] of sorted) {
+      if (!writeStream.write(line + '\n')) {
+        await once(writeStream, 'drain');
+      }
+    }
+    await new Promise((resolve, reject) => writeStream.end(error => (error ? reject(error) : resolve())));
+
+    this.chunkFiles.push(chunkFile);
+    console.log(`   💾 Chunk ${this.chunkFiles.length}: ${sorted.length.toLocaleString()} positions (${this.stats.positions.toLocaleString()} lues)`);
+  }
+
+  /**
+   * Lit la base, fait analyser les lignes par les workers et produit les chunks triés
+   */
+  async buildChunks() {
+    const workerPool = new WorkerPool(path.join(__dirname, 'lib', 'eval-worker.js'));
+    const addEntries = ({ entries, invalid }) => {
+      this.stats.positions += entries.length;
+      this.stats.invalid += invalid;
+      for (const entry of entries) {
+        this.chunk.push(entry);
+      }
+    };
+
+    try {
+      const rl = createInterface({ input: this.openSource(), crlfDelay: Infinity });
+      let lines = [];
+
+      for await (const line of rl) {
+        lines.push(line);
+        if (lines.length < this.batchSize) continue;
+
+        await workerPool.submit({ lines }, addEntries);
+        lines = [];
+
+        if (this.chunk.length >= this.chunkSize) {
+          await this.flushChunk();
+        }
+      }
+
+      if (lines.length > 0) {
+        await workerPool.submit({ lines }, addEntries);
+      }
+      await workerPool.drain();
+      await this.flushChunk();
+    } finally {
+      await workerPool.shutdown();
+    }
+  }
+
+  /**
+   * Ligne suivante d'un chunk trié (hash converti pour la comparaison)
+   */
+  async advance(reader) {
+    const { value, done } = await reader.lines.next();
+    if (done) {
+      reader.current = null;
+      return;
+    }
+    const separator = value.indexOf('\t');
+    reader.current = { hash: BigInt(value.slice(0, separator)), line: value, depth: parseInt(value.slice(separator + 1)) || 0 };
+  }
+
+  /**
+   * Fusion k-way des chunks vers evals.tsv, une ligne par hash (évaluation la plus profonde)
+   */
+  async mergeChunks() {
+    const readers = [];
+    for (const file of this.chunkFiles) {
+      const reader = { lines: createInterface({ input: fs.createReadStream(file, { encoding: 'utf8', highWaterMark: 2 * 1024 * 1024 }) })[Symbol.asyncIterator](), current: null };
+      await this.advance(reader);
+      readers.push(reader);
+    }
+
+    const tempOutput = this.outputFile + '.tmp';
+    const writeStream = fs.createWriteStream(tempOutput, { encoding: 'utf8', highWaterMark: 8 * 1024 * 1024 });
+    writeStream.write(hashSchemeLine() + '\n' + EVALS_HEADER + '\n');
+
+    let best = null;
+    const writeBest = async () => {
+      this.stats.written++;
+      if (!writeStream.write(best.line + '\n')) {
+        await once(writeStream, 'drain');
+      }
+    };
+
+    while (true) {
+      let next = null;
+      for (const reader of readers) {
+        if (reader.current && (!next || reader.current.hash < next.current.hash)) {
+          next = reader;
+        }
+      }
+      if (!next) break;
+
+      const entry = next.current;
+      await this.advance(next);
+
+      if (best && best.hash === entry.hash) {
+        this.stats.duplicates++;
+        if (entry.depth > best.depth) best = entry;
+        continue;
+      }
+      if (best) await writeBest();
+      best = entry;
+    }
+    if (best) await writeBest();
+
+    await new Promise((resolve, reject) => writeStream.end(error => (error ? reject(error) : resolve())));
+    await fs.promises.rename(tempOutput, this.outputFile);
+  }
+
+  cleanupChunks() {
+    for (const file of this.chunkFiles) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  }
+
+  async run() {
+    console.log('🧮 IMPORT DES ÉVALUATIONS LICHESS');
+    console.log('==================================');
+    console.log(`📥 Source: ${this.source}`);
+    console.log(`📄 Sortie: ${this.outputFile}`);
+    console.log(`🔢 Chunk size: ${this.chunkSize.toLocaleString()} positions\n`);
+
+    console.time('⏱️  Import des évaluations');
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+
+    await this.buildChunks();
+    console.log(`🔄 Fusion de ${this.chunkFiles.length} chunks triés...`);
+    await this.mergeChunks();
+    this.cleanupChunks();
+
+    console.timeEnd('⏱️  Import des évaluations');
+    console.log('\n📊 STATISTIQUES:');
+    console.log(`   🧮 Positions évaluées lues: ${this.stats.positions.toLocaleString()}`);
+    console.log(`   🔢 Positions uniques écrites: ${this.stats.written.toLocaleString()}`);
+    console.log(`   🔁 Doublons (même hash, évaluation la plus profonde gardée): ${this.stats.duplicates.toLocaleString()}`);
+    if (this.stats.invalid > 0) {
+      console.log(`   ⚠️  Lignes ignorées (JSON invalide ou sans évaluation): ${this.stats.invalid.toLocaleString()}`);
+    }
+  }
+}
+
+if (process.argv[1] && process.argv[1].endsWith('import-evals.js')) {
+  const importer = new EvalImporter(process.argv[2]);
+  // Sortie explicite : un décompresseur zstd interrompu peut garder le processus ouvert
+  importer.run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`❌ Erreur import des évaluations: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+export default EvalImporter;
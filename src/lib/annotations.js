@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Annotations par coup des commentaires PGN : [%eval ...] (Lichess) et [%clk ...] (Lichess, Chess.com)
+ *   1. e4 { [%eval 0.17] [%clk 0:03:00] } 1... e5 { [%eval 0.19] [%clk 0:02:59.4] }
+ * Chaque commentaire est rattaché au dernier coup de la ligne principale (variantes ignorées).
+ */
+
+/**
+ * "[%eval 0.17]" → { cp: 17, mate: null }, "[%eval #-3]" → { cp: null, mate: -3 }, sinon null
+ */
+export function parseEval(comment) {
+  const match = comment.match(/\[%eval\s+(#?)([+-]?\d+(?:\.\d+)?)/);
+  if (!match) return null;
+
+  return match[1]
+    ? { cp: null, mate: parseInt(match[2]) }
+    : { cp: Math.round(parseFloat(match[2]) * 100), mate: null };
+}
+
+/**
+ * "[%clk 0:02:59.4]" → 179.4 (secondes restantes), sinon null
+ */
+export function parseClock(comment) {
+  const match = comment.match(/\[%clk\s+(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)\]/);
+  if (!match) return null;
+
+  return (parseInt(match[1] || '0') * 3600) + (parseInt(match[2]) * 60) + parseFloat(match[3]);
+}
+
+/**
+ * TimeControl "180+2" → { base: 180, increment: 2 } ; "-", "1/259200" (parties par correspondance) → null
+ */
+export function parseTimeControl(timeControl) {
+  const match = (timeControl || '').match(/^(\d+)(?:\+(\d+))?$/);
+  return match ? { base: parseInt(match[1]), increment: parseInt(match[2] || '0') } : null;
+}
+
+const RESULT_TOKEN = /^(1-0|0-1|1\/2-1\/2|\*)$/;
+
+/**
+ * Coups de la ligne principale avec le texte de leurs commentaires : [{ san, comment }]
+ */
+export function parseMovetext(movetext) {
+  const moves = [];
+  let depth = 0;
+  let i = 0;
+
+  while (i < movetext.length) {
+    const char = movetext[i];
+
+    if (char === '{') {
+      const end = movetext.indexOf('}', i);
+      const comment = movetext.slice(i + 1, end === -1 ? movetext.length : end);
+      if (depth === 0 && moves.length > 0) {
+        const last = moves[moves.length - 1];
+        last.comment = last.comment ? `${last.comment} ${comment}` : comment;
+      }
+      i = end === -1 ? movetext.length : end + 1;
+      continue;
+    }
+    if (char === ';') {
+      const end = movetext.indexOf('\n', i);
+      i = end === -1 ? movetext.length : end + 1;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      depth += char === '(' ? 1 : -1;
+      i++;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < movetext.length && !/[\s{}();]/.test(movetext[end])) end++;
+    const token = movetext.slice(i, end).replace(/^\d+\.+/, '');
+    i = end;
+
+    if (depth > 0 || !token || token.startsWith('$') || RESULT_TOKEN.test(token)) {
+      continue;
+    }
+    moves.push({ san: token.replace(/[!?]+$/, ''), comment: '' });
+  }
+
+  return moves;
+}
+
+const roundClock = (seconds) => Math.round(seconds * 10) / 10;
+
+/**
+ * Annotations de chaque demi-coup : { ply, san, cp, mate, clock, timeSpent }
+ *  - cp / mate : évaluation de la position après le coup (point de vue des Blancs)
+ *  - clock : temps restant du joueur après son coup, en secondes
+ *  - timeSpent : temps passé sur le coup (pendule précédente du joueur − pendule actuelle + incrément),
+ *    la pendule de départ vient du TimeControl ; pas d'incrément sur le premier coup de chaque joueur
+ *    (Lichess affiche alors la pendule de départ)
+ * Valeurs absentes : null
+ */
+export function extractMoveAnnotations(movetext, timeControl = '') {
+  const control = parseTimeControl(timeControl);
+  const lastClock = [control?.base ?? null, control?.base ?? null];
+
+  return parseMovetext(movetext).map(({ san, comment }, index) => {
+    const evaluation = parseEval(comment);
+    const clock = parseClock(comment);
+    const side = index % 2;
+
+    let timeSpent = null;
+    if (clock !== null && lastClock[side] !== null) {
+      const increment = index < 2 ? 0 : (control?.increment ?? 0);
+      timeSpent = roundClock(Math.max(0, lastClock[side] - clock + increment));
+    }
+    lastClock[side] = clock;
+
+    return {
+      ply: index + 1,
+      san,
+      cp: evaluation?.cp ?? null,
+      mate: evaluation?.mate ?? null,
+      clock,
+      timeSpent
+    };
+  });
+}
+
+/**
+ * Annotations ramenées aux positions (n coups → n + 1 positions, comme l'index pgi)
+ *  - cp / mate : évaluation de la position (commentaire du coup qui y mène)
+ *  - clock : temps restant du joueur au trait (pendule de départ du TimeControl si la partie a des %clk)
+ *  - timeSpent : temps qu'il a passé sur le coup joué depuis cette position (vide pour la position finale)
+ */
+export function positionAnnotations(moveAnnotations, timeControl = '') {
+  const clocked = moveAnnotations.some(move => move.clock !== null);
+  const base = clocked ? parseTimeControl(timeControl)?.base ?? null : null;
+  const positions = [];
+
+  for (let index = 0; index <= moveAnnotations.length; index++) {
+    const previous = moveAnnotations[index - 1];
+    const sameSide = moveAnnotations[index - 2];
+    positions.push({
+      cp: previous?.cp ?? null,
+      mate: previous?.mate ?? null,
+      clock: index < 2 ? base : sameSide.clock,
+      timeSpent: moveAnnotations[index]?.timeSpent ?? null
+    });
+  }
+
+  return positions;
+}
+
+export default extractMoveAnnotations;
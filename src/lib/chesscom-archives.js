@@ -3,15 +3,20 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import loadConfig from './config.js';
+import ChesscomClient from './chesscom-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const config = loadConfig();
+
 class ChesscomArchives {
   constructor() {
     this.usernamesFile = path.join(__dirname, '..', 'progress/chesscomusername.pv');
     this.archiveUrlsFile = path.join(__dirname, '..', 'progress/chesscom-archive-urls.pv');
     this.processedUsersFile = path.join(__dirname, '..', 'progress/chesscom-processed-users.pv');
+    this.client = ChesscomClient.shared();
   }
 
   /**
@@ -69,22 +74,14 @@ class ChesscomArchives {
    */
   async fetchUserArchives(username) {
     try {
-      const url = `https://api.chess.com/pub/player/${username}/games/archives`;
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'chessmont-dataset/1.0 (contact: contact@chessmont.com)'
-        }
-      });
+      const url = `${config.sources.chesscomApi}/pub/player/${username}/games/archives`;
+      const { status, data } = await this.client.getJson(url, { cache: true });
 
-      if (!response.ok) {
-        if (response.status === 404) {
-          console.warn(`⚠️  Joueur ${username} introuvable (404)`);
-          return [];
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (status === 404) {
+        console.warn(`⚠️  Joueur ${username} introuvable (404)`);
+        return [];
       }
 
-      const data = await response.json();
       return data.archives || [];
     } catch (error) {
       console.error(`❌ Erreur ${username}: ${error.message}`);
@@ -148,6 +145,80 @@ class ChesscomArchives {
     console.log(`📊 ${totalUrls} URLs d'archives récupérées`);
     console.log(`📁 URLs sauvegardées dans: ${this.archiveUrlsFile}`);
   }
+  /**
+   * Mois d'une archive (.../games/2024/01 → "2024-01"), null si l'URL n'en contient pas
+   */
+  static archiveMonth(url) {
+    const match = url.match(/\/games\/(\d{4})\/(\d{2})\/?$/);
+    return match ? `${match[1]}-${match[2]}` : null;
+  }
+
+  /**
+   * Joueur d'une archive (.../player/<username>/games/...)
+   */
+  static archiveUser(url) {
+    const match = url.match(/\/player\/([^/]+)\/games\//);
+    return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+  }
+
+  /**
+   * Mode mise à jour : liste à nouveau les archives de chaque joueur et retourne celles à (re)traiter
+   *  - joueur déjà traité : archives à partir de son dernier mois traité (inclus, il pouvait être incomplet)
+   *    (le mois en cours, encore en cours de remplissage, est donc toujours repris)
+   *  - nouveau joueur : toutes ses archives
+   * Les parties déjà présentes sont écartées au téléchargement par leur lien chess.com
+   */
+  async collectUpdates(processedUrls) {
+    console.log('🔄 Mise à jour: recherche des nouvelles archives de chaque joueur...');
+
+    const usernames = await this.loadUsernames();
+    const processedUsers = await this.loadProcessedUsers();
+    const knownUrls = new Set();
+    if (fs.existsSync(this.archiveUrlsFile)) {
+      const content = await fs.promises.readFile(this.archiveUrlsFile, 'utf8');
+      content.split('\n').filter(url => url.length > 0).forEach(url => knownUrls.add(url));
+    }
+
+    // Dernier mois traité de chaque joueur
+    const lastMonths = new Map();
+    for (const url of processedUrls) {
+      const user = ChesscomArchives.archiveUser(url);
+      const month = ChesscomArchives.archiveMonth(url);
+      if (user && month && month > (lastMonths.get(user) || '')) {
+        lastMonths.set(user, month);
+      }
+    }
+
+    const updateUrls = [];
+    let processed = 0;
+
+    for (const username of usernames) {
+      processed++;
+      const archives = await this.fetchUserArchives(username);
+      const lastMonth = lastMonths.get(username.toLowerCase()) || null;
+
+      const selected = archives.filter(url => {
+        const month = ChesscomArchives.archiveMonth(url);
+        return !lastMonth || !month || month >= lastMonth;
+      });
+
+      const newUrls = archives.filter(url => !knownUrls.has(url));
+      if (newUrls.length > 0) {
+        await this.saveArchiveUrls(newUrls);
+        newUrls.forEach(url => knownUrls.add(url));
+      }
+      if (!processedUsers.has(username)) {
+        await this.saveProcessedUser(username);
+      }
+
+      updateUrls.push(...selected);
+      console.log(`👤 [${processed}/${usernames.length}] ${username}: ${selected.length} archives à traiter${lastMonth ? ` (depuis ${lastMonth})` : ''}`);
+    }
+
+    console.log(`📊 ${updateUrls.length} archives à traiter pour ${usernames.length} joueurs`);
+    return updateUrls;
+  }
+
   /**
    * Affiche les statistiques
    */
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import loadConfig from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const config = loadConfig();
+
+const MAX_RETRY_DELAY = 60000;
+
+let sharedClient = null;
+
+/**
+ * Client HTTP commun aux modules Chess.com (classements, archives, parties)
+ *  - limite de débit par seau à jetons (chesscom.requestsPerSecond), divisée par deux à chaque 429
+ *    puis remontée progressivement après les réponses correctes
+ *  - 429 et 5xx : nouvel essai après Retry-After ou un délai doublé à chaque échec
+ *  - requêtes conditionnelles (ETag / Last-Modified) avec un cache disque dans src/temp/chesscom-cache :
+ *    une réponse 304 renvoie le corps déjà téléchargé
+ */
+class ChesscomClient {
+  constructor() {
+    this.maxRate = config.chesscom.requestsPerSecond;
+    this.rate = this.maxRate;
+    this.tokens = 1;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+
+    this.maxRetries = config.chesscom.maxRetries;
+    this.retryDelayMs = config.chesscom.retryDelayMs;
+    this.cacheDir = config.chesscom.httpCache ? path.join(__dirname, '..', 'temp', 'chesscom-cache') : null;
+
+    this.stats = { requests: 0, notModified: 0, throttled: 0, retries: 0 };
+  }
+
+  /**
+   * Instance partagée : un seul seau à jetons pour tous les modules Chess.com du processus
+   */
+  static shared() {
+    if (!sharedClient) {
+      sharedClient = new ChesscomClient();
+    }
+    return sharedClient;
+  }
+
+  /**
+   * Attend un jeton ; les appels sont servis dans l'ordre d'arrivée
+   */
+  acquire() {
+    const turn = this.queue.then(async () => {
+      while (true) {
+        const now = Date.now();
+        this.tokens = Math.min(Math.max(1, this.rate), this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+
+        if (this.tokens >= 1) {
+          this.tokens -= 1;
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.ceil(((1 - this.tokens) / this.rate) * 1000)));
+      }
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Délai demandé par Retry-After (secondes ou date HTTP), null s'il est absent
+   */
+  static retryAfterDelay(header) {
+    if (!header) return null;
+    if (/^\d+$/.test(header.trim())) return parseInt(header) * 1000;
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  async waitBeforeRetry(attempt, url, reason, retryAfter = null) {
+    const delay = Math.min(retryAfter ?? this.retryDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+    this.stats.retries++;
+    console.warn(`\n⚠️  ${url}: ${reason}, essai ${attempt}/${this.maxRetries} dans ${delay / 1000}s`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  cacheFile(url) {
+    return path.join(this.cacheDir, crypto.createHash('sha1').update(url).digest('hex') + '.json');
+  }
+
+  readCache(url) {
+    if (!this.cacheDir) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile(url), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Garde le corps d'une réponse qui porte un ETag ou un Last-Modified (écriture atomique)
+   */
+  writeCache(url, response, body) {
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    if (!this.cacheDir || (!etag && !lastModified)) return;
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const file = this.cacheFile(url);
+      fs.writeFileSync(file + '.tmp', JSON.stringify({ url, etag, lastModified, body }), 'utf8');
+      fs.renameSync(file + '.tmp', file);
+    } catch (error) {
+      console.warn(`⚠️  Cache Chess.com non écrit (${url}): ${error.message}`);
+    }
+  }
+
+  /**
+   * GET JSON : { status, data, cached }
+   * cache : requête conditionnelle et réponse gardée sur disque (listes d'archives, mois en cours)
+   * 404 retourné tel quel (data null) ; autres erreurs HTTP définitives ou essais épuisés : exception avec statusCode
+   */
+  async getJson(url, { headers = {}, cache = false } = {}) {
+    const cached = cache ? this.readCache(url) : null;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire();
+      this.stats.requests++;
+
+      const requestHeaders = { 'User-Agent': config.chesscom.userAgent, ...headers };
+      if (cached?.etag) requestHeaders['If-None-Match'] = cached.etag;
+      if (cached?.lastModified) requestHeaders['If-Modified-Since'] = cached.lastModified;
+
+      let response;
+      try {
+        response = await fetch(url, { headers: requestHeaders });
+      } catch (error) {
+        if (attempt > this.maxRetries) throw error;
+        await this.waitBeforeRetry(attempt, url, error.message);
+        continue;
+      }
+
+      if (response.status === 429 || response.status >= 500) {
+        await response.body?.cancel();
+        if (response.status === 429) {
+          this.stats.throttled++;
+          this.rate = Math.max(this.maxRate / 16, this.rate / 2);
+        }
+        if (attempt > this.maxRetries) {
+          const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+          error.statusCode = response.status;
+          throw error;
+        }
+        await this.waitBeforeRetry(attempt, url, `HTTP ${response.status}`, ChesscomClient.retryAfterDelay(response.headers.get('retry-after')));
+        continue;
+      }
+
+      this.rate = Math.min(this.maxRate, this.rate * 1.1);
+
+      if (response.status === 304 && cached) {
+        this.stats.notModified++;
+        return { status: 304, data: cached.body, cached: true };
+      }
+      if (response.status === 404) {
+        await response.body?.cancel();
+        return { status: 404, data: null, cached: false };
+      }
+      if (!response.ok) {
+        await response.body?.cancel();
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.statusCode = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      if (cache) {
+        this.writeCache(url, response, data);
+      }
+      return { status: response.status, data, cached: false };
+    }
+  }
+}
+
+export default ChesscomClient;
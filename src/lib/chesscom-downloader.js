@@ -2,19 +2,23 @@
 
 import fs from 'fs';
 import path from 'path';
-import readline from 'readline';
+import crypto from 'crypto';
+import { once } from 'events';
 import { fileURLToPath } from 'url';
 import { nanoid } from 'nanoid';
+import loadConfig from './config.js';
+import { readGames } from './pgn-reader.js';
+import ChesscomClient from './chesscom-client.js';
+import ChesscomArchives from './chesscom-archives.js';
+import ExternalDedup, { estimateHashMemoryMB } from './external-dedup.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Charger la configuration
-const configPath = path.join(__dirname, '..', '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
 
 class ChesscomDownloader {
-  constructor() {
+  constructor({ dryRun = false } = {}) {
     this.archiveUrlsFile = path.join(__dirname, '..', 'progress/chesscom-archive-urls.pv');
     this.processedUrlsFile = path.join(__dirname, '..', 'progress/chesscom-processed-urls.pv');
     this.errorUrlsFile = path.join(__dirname, '..', 'progress/chesscom-error-urls.pv');
@@ -30,21 +34,34 @@ class ChesscomDownloader {
     this.currentChunk = new Set();
     this.hashChunks.push(this.currentChunk);
 
+    // Fichier LIMITED trop gros pour dedup.memoryBudgetMB : pas de préchargement, dédoublonnage sur disque en fin de traitement
+    this.memoryBudgetMB = config.dedup.memoryBudgetMB;
+    this.deduplicateOnDisk = false;
+    this.tempDir = path.join(__dirname, '..', 'temp', 'dedup', 'chesscom');
+
+    this.client = ChesscomClient.shared();
     this.maxConcurrent = 3;
+    this.processedUrls = new Set();
     this.stats = {
       totalArchives: 0,
       processedArchives: 0,
       totalGames: 0,
       limitedGames: 0,
       duplicateGames: 0,
+      missingArchives: 0,
+      retriedArchives: 0,
       errors: 0
     };
-    this.ensureDirectories();
+    if (!dryRun) {
+      this.ensureDirectories();
+    }
   }
   ensureDirectories() {
-    if (!fs.existsSync(this.outputDir)) {
-      fs.mkdirSync(this.outputDir, { recursive: true });
-    }
+    [this.outputDir, path.dirname(this.archiveUrlsFile)].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
 
 
     this.initializeOutputFiles();
@@ -83,6 +100,23 @@ class ChesscomDownloader {
     }
   }
 
+  /**
+   * Charge la liste des URLs en erreur
+   */
+  async loadErrorUrls() {
+    try {
+      if (!fs.existsSync(this.errorUrlsFile)) {
+        return [];
+      }
+
+      const content = await fs.promises.readFile(this.errorUrlsFile, 'utf8');
+      return [...new Set(content.trim().split('\n').filter(u => u.length > 0))];
+    } catch (error) {
+      console.warn(`Erreur lecture URLs en erreur: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Charge la liste des URLs déjà traitées
    */
@@ -107,6 +141,12 @@ class ChesscomDownloader {
    * Marque une URL comme traitée
    */
   async markUrlProcessed(url) {
+    // Archive retraitée en mode mise à jour : déjà notée
+    if (this.processedUrls.has(url)) {
+      return;
+    }
+    this.processedUrls.add(url);
+
     try {
       await fs.promises.appendFile(this.processedUrlsFile, url + '\n', 'utf8');
     } catch (error) {
@@ -175,10 +215,11 @@ class ChesscomDownloader {
       return null;
     }
 
-    const linkMatch = pgn.match(/\[Link "https:\/\/www\.chess\.com\/game\/live\/(\d+)"\]/);
+    // Lien de la partie : identifiant stable, les parties live et daily ont chacune leur numérotation
+    const linkMatch = pgn.match(/\[Link "https:\/\/www\.chess\.com\/game\/(live|daily)\/(\d+)"\]/);
     if (linkMatch) {
 
-      return `chesscom-${linkMatch[1]}`;
+      return linkMatch[1] === 'live' ? `chesscom-${linkMatch[2]}` : `chesscom-daily-${linkMatch[2]}`;
     }
 
     const whiteMatch = pgn.match(/\[White "([^"]+)"\]/);
@@ -306,64 +347,54 @@ class ChesscomDownloader {
 
   /**
    * Télécharge et traite une archive
+   * Erreur HTTP (après les essais du client) : exception, l'archive passe dans le fichier des erreurs
    */
   async processArchive(url) {
-    try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': config.chesscom.userAgent
-        }
-      });      if (!response.ok) {
-        if (response.status === 404) {
-          await this.markUrlError(url);
-          this.stats.errors++;
-          return { all: 0, limited: 0 };
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    // Seul le mois en cours, retéléchargé par les mises à jour, passe par le cache HTTP
+    const currentMonth = new Date().toISOString().slice(0, 7);
+    const { status, data } = await this.client.getJson(url, { cache: ChesscomArchives.archiveMonth(url) === currentMonth });
 
-      const data = await response.json();
-        if (!data.games || data.games.length === 0) {
-        return { all: 0, limited: 0 };
-      }
+    // Archive inexistante : rien à retélécharger
+    if (status === 404) {
+      this.stats.missingArchives++;
+      return { limited: 0 };
+    }
 
-      let filteredCountAll = 0;
-      let filteredCountLimited = 0;
+    if (!data.games || data.games.length === 0) {
+      return { limited: 0 };
+    }
 
-      for (const game of data.games) {
-        this.stats.totalGames++;
+    let filteredCountLimited = 0;
 
+    for (const game of data.games) {
+      this.stats.totalGames++;
 
-        if (!game || !game.pgn || typeof game.pgn !== 'string') {
-          continue;
-        }
 
+      if (!game || !game.pgn || typeof game.pgn !== 'string') {
+        continue;
+      }
 
-        const gameHash = this.generateGameHash(game.pgn);
-        if (!gameHash) {
-          continue;
-        }
 
-        if (this.hasHash(gameHash)) {
-          this.stats.duplicateGames++;
-          continue;
-        }
+      const gameHash = this.generateGameHash(game.pgn);
+      if (!gameHash) {
+        continue;
+      }
 
-        const passesLimited = this.meetsFilterCriteriaLimited(game);
-        if (passesLimited) {
-          this.addHash(gameHash);
-          await this.saveGameLimited(game.pgn);
-          filteredCountLimited++;
-          this.stats.limitedGames++;
-        }
+      if (this.hasHash(gameHash)) {
+        this.stats.duplicateGames++;
+        continue;
       }
 
-      return { limited: filteredCountLimited };
-    } catch (error) {
-      await this.markUrlError(url);
-      this.stats.errors++;
-      return { limited: 0 };
+      const passesLimited = this.meetsFilterCriteriaLimited(game);
+      if (passesLimited) {
+        this.addHash(gameHash);
+        await this.saveGameLimited(game.pgn);
+        filteredCountLimited++;
+        this.stats.limitedGames++;
+      }
     }
+
+    return { limited: filteredCountLimited };
   }
 
   /**
@@ -416,14 +447,20 @@ class ChesscomDownloader {
   }
   /**
    * Traite toutes les archives
+   * updateUrls (mode mise à jour) : archives à retraiter même si déjà traitées, seules les parties nouvelles sont ajoutées
    */
-  async processAllArchives() {
+  async processAllArchives(updateUrls = null) {
     console.log('🚀 Début du téléchargement et filtrage des archives Chess.com...');
 
-    const allUrls = await this.loadArchiveUrls();
-    const processedUrls = await this.loadProcessedUrls();
+    this.processedUrls = await this.loadProcessedUrls();
 
-    const remainingUrls = allUrls.filter(url => !processedUrls.has(url));
+    let remainingUrls;
+    if (updateUrls) {
+      remainingUrls = updateUrls;
+    } else {
+      const allUrls = await this.loadArchiveUrls();
+      remainingUrls = allUrls.filter(url => !this.processedUrls.has(url));
+    }
 
     if (remainingUrls.length === 0) {
       console.log('✅ Toutes les archives ont déjà été traitées !');
@@ -442,6 +479,11 @@ class ChesscomDownloader {
 
 
     await this.processArchivesConcurrent(remainingUrls);
+    await this.retryFailedArchives();
+
+    if (this.deduplicateOnDisk) {
+      await this.deduplicateLimitedOnDisk();
+    }
 
 
     this.showProgress();
@@ -455,7 +497,15 @@ class ChesscomDownloader {
     console.log(`📊 Parties totales: ${this.stats.totalGames}`);
     console.log(`📊 Parties LIMITED (ELO≥${config.minOnlineElo} + cadence≥${config.minGameTime}s): ${this.stats.limitedGames}`);
     console.log(`📊 Doublons évités: ${this.stats.duplicateGames}`);
-    console.log(`📊 Erreurs: ${this.stats.errors}`);
+    if (this.stats.missingArchives > 0) {
+      console.log(`📊 Archives introuvables (404): ${this.stats.missingArchives}`);
+    }
+    if (this.stats.retriedArchives > 0) {
+      console.log(`📊 Archives reprises en fin de traitement: ${this.stats.retriedArchives}`);
+    }
+    console.log(`📊 Erreurs: ${this.stats.errors}${this.stats.errors > 0 ? ` (${this.errorUrlsFile}, reprises au prochain lancement)` : ''}`);
+    const { requests, notModified, throttled, retries } = this.client.stats;
+    console.log(`🌐 Requêtes Chess.com: ${requests} (${notModified} non modifiées, ${throttled} limitées par 429, ${retries} nouveaux essais)`);
     console.log(`📁 Fichier LIMITED: ${this.outputFileLimited}`);
 
     try {
@@ -466,6 +516,25 @@ class ChesscomDownloader {
       console.warn('Impossible de récupérer la taille du fichier');
     }
   }
+  /**
+   * File de reprise : les archives du fichier des erreurs (de ce lancement ou des précédents)
+   * sont retraitées une fois en fin de traitement ; celles qui échouent encore y restent
+   */
+  async retryFailedArchives() {
+    const failedUrls = (await this.loadErrorUrls()).filter(url => !this.processedUrls.has(url));
+    if (failedUrls.length === 0) {
+      return;
+    }
+
+    console.log(`\n🔁 Reprise de ${failedUrls.length} archives en erreur...`);
+    await fs.promises.writeFile(this.errorUrlsFile, '', 'utf8');
+
+    this.stats.retriedArchives = failedUrls.length;
+    this.stats.totalArchives += failedUrls.length;
+    this.stats.errors = 0;
+    await this.processArchivesConcurrent(failedUrls);
+  }
+
   /**
    * Précharge les hashs des parties déjà présentes dans le fichier LIMITED
    * pour éviter les doublons lors d'une reprise de téléchargement
@@ -495,53 +564,32 @@ class ChesscomDownloader {
         return;
       }
 
+      const estimatedMB = estimateHashMemoryMB(fileStats.size);
+      if (estimatedMB > this.memoryBudgetMB) {
+        this.deduplicateOnDisk = true;
+        console.log(`   💾 Hashs estimés: ~${Math.round(estimatedMB).toLocaleString()} MB (budget ${this.memoryBudgetMB.toLocaleString()} MB)`);
+        console.log('   ⏭️  Préchargement ignoré, doublons retirés sur disque en fin de traitement');
+        return;
+      }
 
-      const readStream = fs.createReadStream(filePath, { encoding: 'utf8' });
-      const rl = readline.createInterface({
-        input: readStream,
-        crlfDelay: Infinity
-      });
 
-      let currentGame = '';
       let gameCount = 0;
       let lastUpdate = Date.now();
 
-      for await (const line of rl) {
-
-        if (line.startsWith('[Event ')) {
-
-          if (currentGame.trim() !== '') {
-            const gameHash = this.generateGameHash(currentGame);
-
-            if (gameHash && !this.hasHash(gameHash)) {
-              this.addHash(gameHash);
-              gameCount++;
-              totalPreloadedGames++;
-
-
-              const now = Date.now();
-              if (now - lastUpdate > 3000) {
-                process.stdout.write(`\r   📊 Parties préchargées: ${gameCount.toLocaleString()}`);
-                lastUpdate = now;
-              }
-            }
-          }
-
-
-          currentGame = line + '\n';
-        } else {
+      for await (const game of readGames(filePath)) {
+        const gameHash = this.generateGameHash(game.raw);
 
-          currentGame += line + '\n';
-        }
-      }
-
-
-      if (currentGame.trim() !== '') {
-        const gameHash = this.generateGameHash(currentGame);
         if (gameHash && !this.hasHash(gameHash)) {
           this.addHash(gameHash);
           gameCount++;
           totalPreloadedGames++;
+
+
+          const now = Date.now();
+          if (now - lastUpdate > 3000) {
+            process.stdout.write(`\r   📊 Parties préchargées: ${gameCount.toLocaleString()}`);
+            lastUpdate = now;
+          }
         }
       }
 
@@ -561,6 +609,45 @@ class ChesscomDownloader {
     }
   }
 
+  /**
+   * Dédoublonne le fichier LIMITED sans charger ses hashs : clés triées sur disque (external-dedup.js),
+   * puis réécriture sans les copies retirées (première copie gardée)
+   */
+  async deduplicateLimitedOnDisk() {
+    console.log('\n🧹 Dédoublonnage sur disque du fichier LIMITED...');
+    const external = new ExternalDedup(this.tempDir, this.memoryBudgetMB);
+
+    let index = -1;
+    for await (const game of readGames(this.outputFileLimited)) {
+      index++;
+      const gameHash = this.generateGameHash(game.raw);
+      if (gameHash) {
+        await external.add(crypto.createHash('md5').update(gameHash).digest('base64'), 0, index);
+      }
+    }
+    await external.resolve(index + 1);
+
+    if (external.stats.removed === 0) {
+      console.log(`   ✅ ${(index + 1).toLocaleString()} parties, aucun doublon`);
+      return;
+    }
+
+    const tempFile = this.outputFileLimited + '.temp';
+    const writeStream = fs.createWriteStream(tempFile, { encoding: 'utf8' });
+    index = -1;
+    for await (const game of readGames(this.outputFileLimited)) {
+      index++;
+      if (!external.isRemoved(index) && !writeStream.write(game.raw + '\n\n')) {
+        await once(writeStream, 'drain');
+      }
+    }
+    await new Promise((resolve, reject) => writeStream.end(error => (error ? reject(error) : resolve())));
+    await fs.promises.rename(tempFile, this.outputFileLimited);
+
+    this.stats.duplicateGames += external.stats.removed;
+    console.log(`   ✅ ${external.stats.removed.toLocaleString()} doublons retirés sur ${(index + 1).toLocaleString()} parties`);
+  }
+
   /**
    * Vérifie si un hash existe déjà (recherche dans tous les chunks)
    */
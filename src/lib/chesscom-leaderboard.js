@@ -3,26 +3,47 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import loadConfig from './config.js';
+import ChesscomClient from './chesscom-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Charger la configuration
-const configPath = path.join(__dirname, '..', '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
+
+// Classements Chess.com : callback paginé (50 joueurs par page) et page de référence pour le Referer
+const LEADERBOARDS = {
+  blitz: { callback: '/callback/leaderboard/live?gameType=live&page=', referer: '/leaderboard/live' },
+  rapid: { callback: '/callback/leaderboard/live/rapid?page=', referer: '/leaderboard/live/rapid' },
+  bullet: { callback: '/callback/leaderboard/live/bullet?page=', referer: '/leaderboard/live/bullet' },
+  daily: { callback: '/callback/leaderboard/daily?page=', referer: '/leaderboard/daily' }
+};
 
 class ChesscomLeaderboard {
   constructor() {
-    this.baseUrl = 'https://www.chess.com/callback/leaderboard/live?gameType=live';
     this.outputFile = path.join(__dirname, '..', 'progress/chesscomusername.pv');
+    this.provenanceFile = path.join(__dirname, '..', 'progress/chesscom-usernames-sources.tsv');
+    this.client = ChesscomClient.shared();
     this.targetCount = config.chesscom.numberOfUsersInLeaderboard;
+    this.leaderboards = config.chesscom.leaderboards;
+    this.titles = config.chesscom.titles;
+    this.usernamesFile = config.chesscom.usernamesFile ? path.resolve(config.chesscom.usernamesFile) : null;
+  }
+
+  /**
+   * Sources demandées par la config : "blitz", "rapid"... (classements), "titled:GM"... (joueurs titrés)
+   * La liste explicite ("file") est relue à chaque lancement, elle n'en fait pas partie
+   */
+  onlineSources() {
+    return [...this.leaderboards, ...this.titles.map(title => `titled:${title}`)];
   }
 
   /**
-   * Récupère tous les usernames du top 10K Chess.com
+   * Récupère les usernames d'un classement Chess.com (numberOfUsersInLeaderboard premiers)
    */
-  async fetchAllUsernames() {
-    console.log('🎯 Récupération des top 10K joueurs Chess.com...');
+  async fetchLeaderboard(leaderboard) {
+    const { callback, referer } = LEADERBOARDS[leaderboard];
+    console.log(`🎯 Récupération du top ${this.targetCount} Chess.com (${leaderboard})...`);
 
     const usernames = [];
     let page = 1;
@@ -32,20 +53,15 @@ class ChesscomLeaderboard {
       while (totalFetched < this.targetCount) {
         console.log(`📄 Page ${page} (${totalFetched}/${this.targetCount} joueurs)`);
 
-        const url = `${this.baseUrl}&page=${page}`;
-        const response = await fetch(url, {
-          headers: {
-            'User-Agent': config.chesscom.userAgent,
-            'Referer': 'https://www.chess.com/leaderboard/live'
-          }
+        const url = `${config.sources.chesscomWeb}${callback}${page}`;
+        const { status, data } = await this.client.getJson(url, {
+          headers: { 'Referer': `${config.sources.chesscomWeb}${referer}` }
         });
 
-        if (!response.ok) {
-          throw new Error(`Erreur HTTP ${response.status}: ${response.statusText}`);
+        if (status === 404) {
+          throw new Error('Erreur HTTP 404: classement introuvable');
         }
 
-        const data = await response.json();
-
         // Si pas de joueurs ou moins de 50 = fin du leaderboard
         if (!data.leaders || data.leaders.length === 0) {
           console.log('📊 Fin du leaderboard atteinte');
@@ -54,8 +70,10 @@ class ChesscomLeaderboard {
 
         // Extraire uniquement les usernames en lowercase
         const pageUsernames = data.leaders.map(leader => leader.user.username.toLowerCase());
-        usernames.push(...pageUsernames);
-        totalFetched += pageUsernames.length;        // Si moins de 50 joueurs = dernière page
+        usernames.push(...pageUsernames.slice(0, this.targetCount - totalFetched));
+        totalFetched += pageUsernames.length;
+
+        // Si moins de 50 joueurs = dernière page
         if (data.leaders.length < 50) {
           console.log('📊 Dernière page atteinte');
           break;
@@ -64,12 +82,58 @@ class ChesscomLeaderboard {
         page++;
       }
 
-      console.log(`✅ ${usernames.length} usernames récupérés`);
+      console.log(`✅ ${usernames.length} usernames récupérés (${leaderboard})`);
       return usernames;
 
     } catch (error) {
-      throw new Error(`Erreur lors de la récupération: ${error.message}`);
+      throw new Error(`Erreur lors de la récupération (${leaderboard}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère les joueurs d'un titre via l'API publique (/pub/titled/GM)
+   */
+  async fetchTitled(title) {
+    console.log(`🎖️  Récupération des joueurs titrés ${title}...`);
+
+    const url = `${config.sources.chesscomApi}/pub/titled/${title}`;
+    const { status, data } = await this.client.getJson(url, { cache: true });
+
+    if (status === 404) {
+      throw new Error(`Erreur HTTP 404 pour les joueurs titrés ${title}`);
+    }
+    const usernames = (data.players || []).map(username => username.toLowerCase());
+    console.log(`✅ ${usernames.length} joueurs ${title} récupérés`);
+    return usernames;
+  }
+
+  /**
+   * Récupère une source en ligne ("blitz", "titled:GM"...)
+   */
+  async fetchSource(source) {
+    return source.startsWith('titled:')
+      ? this.fetchTitled(source.slice('titled:'.length))
+      : this.fetchLeaderboard(source);
+  }
+
+  /**
+   * Lit la liste explicite chesscom.usernamesFile : un username par ligne, lignes vides et # ignorées
+   */
+  async loadUsernamesFile() {
+    if (!this.usernamesFile) {
+      return [];
+    }
+    if (!fs.existsSync(this.usernamesFile)) {
+      throw new Error(`Liste de joueurs introuvable: ${this.usernamesFile}`);
     }
+
+    const content = await fs.promises.readFile(this.usernamesFile, 'utf8');
+    const usernames = content.split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line.length > 0 && !line.startsWith('#'));
+
+    console.log(`📋 ${usernames.length} joueurs dans ${this.usernamesFile}`);
+    return usernames;
   }
 
   /**
@@ -77,6 +141,7 @@ class ChesscomLeaderboard {
    */
   async saveUsernames(usernames) {
     try {
+      await fs.promises.mkdir(path.dirname(this.outputFile), { recursive: true });
       const content = usernames.join('\n') + '\n';
       await fs.promises.writeFile(this.outputFile, content, 'utf8');
       console.log(`💾 ${usernames.length} usernames sauvegardés dans ${this.outputFile}`);
@@ -103,29 +168,123 @@ class ChesscomLeaderboard {
   }
 
   /**
-   * Vérifie si la liste est complète
+   * Sauvegarde la provenance de chaque joueur (username \t sources séparées par des virgules)
    */
-  isComplete(usernames) {
+  async saveProvenance(provenance) {
+    try {
+      let content = 'username\tsources\n';
+      for (const [username, sources] of provenance) {
+        content += `${username}\t${[...sources].join(',')}\n`;
+      }
+      await fs.promises.writeFile(this.provenanceFile, content, 'utf8');
+    } catch (error) {
+      throw new Error(`Erreur sauvegarde provenance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Charge la provenance : Map username → Set des sources
+   * Sans fichier de provenance, une liste .pv existante vient de l'ancien leaderboard blitz
+   */
+  async loadProvenance(existingUsernames) {
+    const provenance = new Map();
+
+    if (!fs.existsSync(this.provenanceFile)) {
+      for (const username of existingUsernames) {
+        provenance.set(username, new Set(['blitz']));
+      }
+      return provenance;
+    }
+
+    try {
+      const content = await fs.promises.readFile(this.provenanceFile, 'utf8');
+      for (const line of content.trim().split('\n').slice(1)) {
+        const [username, sources] = line.split('\t');
+        if (username) {
+          provenance.set(username, new Set((sources || '').split(',').filter(source => source.length > 0)));
+        }
+      }
+    } catch (error) {
+      console.warn(`Erreur lecture provenance: ${error.message}`);
+    }
+    return provenance;
+  }
+
+  /**
+   * Vérifie si une source en ligne est complète dans la provenance
+   */
+  isComplete(provenance, source) {
+    let count = 0;
+    for (const sources of provenance.values()) {
+      if (sources.has(source)) count++;
+    }
+
+    if (source.startsWith('titled:')) {
+      return count > 0;
+    }
     const minRequired = this.targetCount * 0.99; // Tolérance pour les comptes supprimés/privés
-    return usernames.length >= minRequired;
+    return count >= minRequired;
   }
 
   /**
-   * Point d'entrée principal : récupère ou met à jour la liste
+   * Point d'entrée principal : récupère les sources manquantes, fusionne et dédoublonne la liste
+   * (classements, joueurs titrés, liste explicite) en gardant la provenance de chaque joueur
    */
   async ensureUsernames() {
     console.log('🔍 Vérification de la liste des usernames Chess.com...');
 
     const existingUsernames = await this.loadUsernames();
+    const previous = await this.loadProvenance(existingUsernames);
+    const sources = this.onlineSources();
+    const missing = sources.filter(source => !this.isComplete(previous, source));
+
+    if (missing.length === 0) {
+      console.log(`✅ Sources complètes: ${sources.join(', ') || 'aucune'}`);
+    } else {
+      console.log(`🔄 Sources à récupérer: ${missing.join(', ')}`);
+    }
+
+    // Sources déjà complètes reprises de la provenance, les autres récupérées
+    const bySource = new Map(sources.map(source => [source, []]));
+    for (const [username, userSources] of previous) {
+      for (const source of userSources) {
+        if (bySource.has(source) && !missing.includes(source)) {
+          bySource.get(source).push(username);
+        }
+      }
+    }
+    for (const source of missing) {
+      bySource.set(source, await this.fetchSource(source));
+    }
+    bySource.set('file', await this.loadUsernamesFile());
+
+    // Ordre : joueurs déjà listés d'abord (progression de ChesscomArchives inchangée), puis les nouveaux
+    const provenance = new Map();
+    for (const username of existingUsernames) {
+      provenance.set(username, new Set());
+    }
+    for (const [source, usernames] of bySource) {
+      for (const username of usernames) {
+        if (!provenance.has(username)) {
+          provenance.set(username, new Set());
+        }
+        provenance.get(username).add(source);
+      }
+    }
+    for (const [username, userSources] of provenance) {
+      if (userSources.size === 0) {
+        provenance.delete(username);
+      }
+    }
 
-    if (this.isComplete(existingUsernames)) {
-      console.log(`✅ Liste complète: ${existingUsernames.length} usernames`);
-      return existingUsernames;
+    const usernames = [...provenance.keys()];
+    const duplicates = [...bySource.values()].reduce((sum, list) => sum + list.length, 0) - usernames.length;
+    if (duplicates > 0) {
+      console.log(`🔁 ${duplicates} joueurs présents dans plusieurs sources`);
     }
 
-    console.log(`🔄 Liste incomplète (${existingUsernames.length}), récupération...`);
-    const usernames = await this.fetchAllUsernames();
     await this.saveUsernames(usernames);
+    await this.saveProvenance(provenance);
 
     return usernames;
   }
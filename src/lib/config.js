@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'config.json');
+const ENV_PREFIX = 'CHESSMONT_';
+
+// URL de base sans / final : http(s)://hôte[:port][/chemin]
+const URL_PATTERN = /^https?:\/\/[^\s]*[^\s/]$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Variantes publiées par Lichess à côté de standard/ (database.lichess.org/<variante>/)
+export const LICHESS_VARIANTS = ['chess960', 'antichess', 'atomic', 'crazyhouse', 'horde', 'kingOfTheHill', 'racingKings', 'threeCheck'];
+
+// Classements Chess.com et titres de l'endpoint /pub/titled/{titre}
+export const CHESSCOM_LEADERBOARDS = ['blitz', 'rapid', 'bullet', 'daily'];
+export const CHESSCOM_TITLES = ['GM', 'WGM', 'IM', 'WIM', 'FM', 'WFM', 'NM', 'WNM', 'CM', 'WCM'];
+
+// Catégories de pgnmentor.com/files.html, d'après le dossier des liens (players/, openings/, events/)
+export const PGNMENTOR_CATEGORIES = ['players', 'openings', 'events', 'other'];
+
+// Schémas de hash des positions (position-hash.js)
+export const HASH_SCHEMES = ['city64', 'zobrist', 'city64-zobrist'];
+
+// Traitement de la case de prise en passant des FENs normalisés (fen-normalize.js)
+export const EN_PASSANT_RULES = ['legal', 'keep'];
+
+/**
+ * Schéma de config.json : type, bornes et valeur par défaut de chaque paramètre
+ */
+export const CONFIG_SCHEMA = {
+  officialPGNFileName: { type: 'string', default: 'twic-pgnmentor.pgn', pattern: /\.pgn$/ },
+  finalPGNFileName: { type: 'string', default: 'chessmont.pgn', pattern: /\.pgn$/ },
+
+  withOnlineGame: { type: 'boolean', default: true },
+  minOnlineElo: { type: 'integer', default: 2500, min: 0, max: 4000 },
+  minGameTime: { type: 'integer', default: 180, min: 0, max: 86400 },
+  minPlyDepth: { type: 'integer', default: 10, min: 0, max: 1000 },
+
+  generateFen: { type: 'boolean', default: true },
+  // moves-all.tsv (statistiques position → coup) en plus des FENs
+  generateMoves: { type: 'boolean', default: true },
+  positionHash: { type: 'string', default: 'city64', enum: HASH_SCHEMES },
+
+  // Normalisation des FENs avant hash (fen.js, regen.js, import-evals.js, bonus/openings.js)
+  fenNormalization: {
+    type: 'object',
+    properties: {
+      // legal : case gardée seulement si une prise en passant légale existe ; keep : telle que rapportée par chess.js
+      enPassant: { type: 'string', default: 'legal', enum: EN_PASSANT_RULES },
+      castling: { type: 'boolean', default: true },
+      // false : compteurs remplacés par "0 1"
+      moveCounters: { type: 'boolean', default: false },
+      // Positions trait aux noirs retournées pour avoir toujours le trait aux blancs
+      colorFlip: { type: 'boolean', default: false }
+    }
+  },
+
+  chesscom: {
+    type: 'object',
+    properties: {
+      numberOfUsersInLeaderboard: { type: 'integer', default: 10000, min: 1, max: 1000000 },
+      leaderboards: { type: 'array', default: ['blitz'], items: { type: 'string', enum: CHESSCOM_LEADERBOARDS } },
+      titles: { type: 'array', default: [], items: { type: 'string', enum: CHESSCOM_TITLES } },
+      // Liste explicite de joueurs (un username par ligne), fusionnée avec les classements
+      usernamesFile: { type: 'string', default: null, nullable: true, minLength: 1 },
+      // Mise à jour : ne reprendre que les archives à partir du dernier mois traité de chaque joueur
+      update: { type: 'boolean', default: false },
+      // Client HTTP commun (chesscom-client.js) : débit, reprises sur 429 / 5xx et cache ETag
+      requestsPerSecond: { type: 'number', default: 3, min: 0.1, max: 50 },
+      maxRetries: { type: 'integer', default: 5, min: 0, max: 100 },
+      retryDelayMs: { type: 'integer', default: 1000, min: 0, max: 600000 },
+      httpCache: { type: 'boolean', default: true },
+      userAgent: { type: 'string', default: 'Chessmont/1.0 (contact: contact@chessmont.com)', minLength: 1 }
+    }
+  },
+
+  twic: {
+    type: 'object',
+    properties: {
+      // Plage de semaines TWIC (twic920g.zip = première archive PGN), endWeek null : dernière publiée
+      startWeek: { type: 'integer', default: 920, min: 920, max: 100000 },
+      endWeek: { type: 'integer', default: null, nullable: true, min: 920, max: 100000 },
+      maxRetries: { type: 'integer', default: 3, min: 0, max: 100 },
+      retryDelayMs: { type: 'integer', default: 5000, min: 0, max: 600000 }
+    }
+  },
+
+  pgnmentor: {
+    type: 'object',
+    properties: {
+      categories: { type: 'array', default: PGNMENTOR_CATEGORIES, items: { type: 'string', enum: PGNMENTOR_CATEGORIES } },
+      // Motifs de noms de fichiers (* et ? jokers, "catégorie/nom" possible) ; include vide : tous les fichiers
+      include: { type: 'array', default: [], items: { type: 'string', minLength: 1 } },
+      exclude: { type: 'array', default: [], items: { type: 'string', minLength: 1 } }
+    }
+  },
+
+  lichess: {
+    type: 'object',
+    properties: {
+      startMonth: { type: 'string', default: '2013-01', pattern: MONTH_PATTERN },
+      endMonth: { type: 'string', default: null, nullable: true, pattern: MONTH_PATTERN },
+      incremental: { type: 'boolean', default: true },
+      streaming: { type: 'boolean', default: false },
+      concurrentMonths: { type: 'integer', default: 2, min: 1, max: 12 },
+      maxRetries: { type: 'integer', default: 5, min: 0, max: 100 },
+      retryDelayMs: { type: 'integer', default: 1000, min: 0, max: 600000 },
+      verifyChecksums: { type: 'boolean', default: true },
+      variants: { type: 'array', default: [], items: { type: 'string', enum: LICHESS_VARIANTS } }
+    }
+  },
+
+  evals: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      // Fichier local (.jsonl ou .jsonl.zst) ou URL ; null : lichess_db_eval.jsonl.zst de sources.lichess
+      source: { type: 'string', default: null, nullable: true, minLength: 1 },
+      chunkSize: { type: 'integer', default: 5000000, min: 1000, max: 100000000 }
+    }
+  },
+
+  annotations: {
+    type: 'object',
+    properties: {
+      // extract-annotations.js dans le pipeline : <dataset>-annotations.tsv
+      extract: { type: 'boolean', default: false },
+      // Colonnes eval_cp, eval_mate, clock, time_spent dans l'index pgi
+      inPgi: { type: 'boolean', default: false }
+    }
+  },
+
+  book: {
+    type: 'object',
+    properties: {
+      // export-book.js dans le pipeline : <dataset>.bin (livre Polyglot)
+      enabled: { type: 'boolean', default: false },
+      // Livre construit depuis moves-all.tsv (generateMoves requis)
+      // Coups joués moins souvent exclus du livre
+      minOccurrence: { type: 'integer', default: 5, min: 1 },
+      // Arêtes vues seulement à partir de ce demi-coup exclues du livre
+      maxPly: { type: 'integer', default: 30, min: 1, max: 500 },
+      // Tranche d'Elo : l'Elo moyen de l'arête (avg_elo) doit y être (null : pas de borne)
+      minElo: { type: 'integer', default: null, nullable: true, min: 0, max: 4000 },
+      maxElo: { type: 'integer', default: null, nullable: true, min: 0, max: 4000 },
+      // Arêtes position → coup distinctes gardées en mémoire avant un chunk trié
+      chunkSize: { type: 'integer', default: 2000000, min: 1000, max: 100000000 }
+    }
+  },
+
+  dedup: {
+    type: 'object',
+    properties: {
+      // headers : Site/Date/joueurs/Elo ; moves : suite de coups + résultat, copie aux en-têtes les plus riches
+      mode: { type: 'string', default: 'headers', enum: ['headers', 'moves'] },
+      // Mode moves : l'année et les noms de famille des joueurs doivent aussi correspondre
+      matchDate: { type: 'boolean', default: false },
+      matchPlayers: { type: 'boolean', default: false },
+      // Au-delà (hashs estimés d'après la taille du fichier), clés triées sur disque ; 0 = toujours sur disque
+      memoryBudgetMB: { type: 'integer', default: 2048, min: 0 }
+    }
+  },
+
+  sources: {
+    type: 'object',
+    properties: {
+      lichess: { type: 'string', default: 'https://database.lichess.org', pattern: URL_PATTERN },
+      twic: { type: 'string', default: 'https://theweekinchess.com', pattern: URL_PATTERN },
+      pgnmentor: { type: 'string', default: 'https://www.pgnmentor.com', pattern: URL_PATTERN },
+      chesscomApi: { type: 'string', default: 'https://api.chess.com', pattern: URL_PATTERN },
+      chesscomWeb: { type: 'string', default: 'https://www.chess.com', pattern: URL_PATTERN }
+    }
+  },
+
+  local: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      paths: { type: 'array', default: [], items: { type: 'string', minLength: 1 } },
+      source: { type: 'string', default: 'Official', enum: ['Official', 'Online'] },
+      applyOnlineFilters: { type: 'boolean', default: false }
+    }
+  },
+
+  pipeline: {
+    type: 'object',
+    properties: {
+      maxParallel: { type: 'integer', default: 2, min: 1, max: 64 },
+      steps: { type: 'array', required: true }
+    }
+  },
+
+  profiles: { type: 'object', default: {}, additionalProperties: true }
+};
+
+let cachedConfig = null;
+let cachedSource = null;
+
+/**
+ * Lit et retire une option "--nom valeur" de process.argv
+ * pour que les scripts ne la prennent pas pour un de leurs arguments
+ */
+function takeArgument(name) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) return null;
+
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`❌ Valeur manquante pour ${name}`);
+    process.exit(1);
+  }
+
+  process.argv.splice(index, 2);
+  return value;
+}
+
+/**
+ * minOnlineElo → MIN_ONLINE_ELO, chesscom.userAgent → CHESSCOM__USER_AGENT
+ */
+function toEnvName(keyPath) {
+  return ENV_PREFIX + keyPath
+    .map(key => key
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .toUpperCase())
+    .join('__');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fusion profonde (les tableaux sont remplacés, pas fusionnés)
+ */
+function deepMerge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Liste des paramètres feuilles du schéma avec leur chemin
+ */
+function schemaLeaves(schema, prefix = []) {
+  const leaves = [];
+  for (const [key, rule] of Object.entries(schema)) {
+    if (rule.type === 'object' && rule.properties) {
+      leaves.push(...schemaLeaves(rule.properties, [...prefix, key]));
+    } else {
+      leaves.push({ keyPath: [...prefix, key], rule });
+    }
+  }
+  return leaves;
+}
+
+/**
+ * Convertit la valeur texte d'une variable d'environnement selon le type attendu
+ */
+function parseEnvValue(raw, rule) {
+  if (rule.nullable && (raw === '' || raw === 'null')) {
+    return null;
+  }
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      return raw.trim() === '' || Number.isNaN(Number(raw)) ? raw : Number(raw);
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+      return raw;
+    case 'array':
+    case 'object':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Applique les surcharges CHESSMONT_* de l'environnement
+ */
+function applyEnvOverrides(config, errors) {
+  const overrides = [];
+  const known = new Map(schemaLeaves(CONFIG_SCHEMA).map(leaf => [toEnvName(leaf.keyPath), leaf]));
+  const reserved = [`${ENV_PREFIX}CONFIG`, `${ENV_PREFIX}PROFILE`];
+
+  for (const [name, raw] of Object.entries(process.env)) {
+    if (!name.startsWith(ENV_PREFIX) || reserved.includes(name)) continue;
+
+    const leaf = known.get(name);
+    if (!leaf) {
+      errors.push(`${name}: variable d'environnement inconnue`);
+      continue;
+    }
+
+    let target = config;
+    for (const key of leaf.keyPath.slice(0, -1)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    }
+    target[leaf.keyPath[leaf.keyPath.length - 1]] = parseEnvValue(raw, leaf.rule);
+    overrides.push(name);
+  }
+
+  return overrides;
+}
+
+/**
+ * Vérifie une valeur selon sa règle ; complète les valeurs par défaut
+ */
+function validateValue(value, rule, keyPath, errors) {
+  const label = keyPath.join('.');
+
+  if (value === undefined) {
+    if (rule.type === 'object' && rule.properties) {
+      return validateObject({}, rule.properties, keyPath, errors);
+    }
+    if (rule.required) {
+      errors.push(`${label}: paramètre obligatoire`);
+    }
+    return rule.default;
+  }
+
+  if (value === null && rule.nullable) {
+    return null;
+  }
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`${label}: nombre attendu, reçu ${JSON.stringify(value)}`);
+      } else if (rule.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${label}: entier attendu, reçu ${value}`);
+      } else if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${label}: doit être >= ${rule.min} (reçu ${value})`);
+      } else if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${label}: doit être <= ${rule.max} (reçu ${value})`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${label}: booléen attendu, reçu ${JSON.stringify(value)}`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${label}: texte attendu, reçu ${JSON.stringify(value)}`);
+      } else if (rule.minLength && value.length < rule.minLength) {
+        errors.push(`${label}: ne doit pas être vide`);
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push(`${label}: format invalide "${value}" (attendu ${rule.pattern})`);
+      } else if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${label}: valeur invalide "${value}" (attendu: ${rule.enum.join(', ')})`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${label}: tableau attendu`);
+      } else if (rule.items) {
+        return value.map((item, index) => validateValue(item, rule.items, [...keyPath, String(index)], errors));
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors.push(`${label}: objet attendu`);
+      } else if (rule.properties) {
+        return validateObject(value, rule.properties, keyPath, errors, rule.additionalProperties);
+      }
+      break;
+  }
+
+  return value;
+}
+
+function validateObject(object, properties, keyPath, errors, additionalProperties = false) {
+  const result = {};
+
+  for (const [key, rule] of Object.entries(properties)) {
+    const value = validateValue(object[key], rule, [...keyPath, key], errors);
+    if (value !== undefined) result[key] = value;
+  }
+
+  for (const key of Object.keys(object)) {
+    if (properties[key]) continue;
+    if (additionalProperties) {
+      result[key] = object[key];
+    } else {
+      errors.push(`${[...keyPath, key].join('.')}: paramètre inconnu`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Charge la configuration partagée par tous les scripts
+ *  1. fichier : --config <fichier>, CHESSMONT_CONFIG ou config.json
+ *  2. profil : --profile <nom> ou CHESSMONT_PROFILE (section "profiles" du fichier)
+ *  3. surcharges d'environnement : CHESSMONT_MIN_ONLINE_ELO=2200, CHESSCOM__USER_AGENT...
+ *  4. validation du schéma et valeurs par défaut
+ * Toutes les erreurs sont affichées avant l'arrêt du processus.
+ * Le fichier et le profil sont exportés dans l'environnement pour les processus enfants et les workers.
+ */
+export function loadConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  const argConfig = takeArgument('--config');
+  const argProfile = takeArgument('--profile');
+
+  const configFile = path.resolve(argConfig || process.env[`${ENV_PREFIX}CONFIG`] || DEFAULT_CONFIG_FILE);
+  const profile = argProfile || process.env[`${ENV_PREFIX}PROFILE`] || null;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Impossible de lire la configuration ${configFile}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const errors = [];
+  let merged = raw;
+
+  if (profile) {
+    const profiles = raw.profiles || {};
+    if (!isPlainObject(profiles[profile])) {
+      const available = Object.keys(profiles);
+      errors.push(`profil inconnu "${profile}" (disponibles: ${available.length > 0 ? available.join(', ') : 'aucun'})`);
+    } else {
+      merged = deepMerge(raw, profiles[profile]);
+    }
+  }
+
+  const overrides = applyEnvOverrides(merged, errors);
+  const config = validateObject(merged, CONFIG_SCHEMA, [], errors);
+
+  if (errors.length > 0) {
+    console.error(`❌ Configuration invalide (${configFile}${profile ? `, profil ${profile}` : ''}):`);
+    for (const error of errors) {
+      console.error(`   • ${error}`);
+    }
+    process.exit(1);
+  }
+
+  process.env[`${ENV_PREFIX}CONFIG`] = configFile;
+  if (profile) {
+    process.env[`${ENV_PREFIX}PROFILE`] = profile;
+  }
+
+  cachedConfig = config;
+  cachedSource = { configFile, profile, overrides };
+  return config;
+}
+
+/**
+ * Origine de la configuration chargée (fichier, profil, surcharges d'environnement)
+ */
+export function getConfigSource() {
+  loadConfig();
+  return cachedSource;
+}
+
+export default loadConfig;
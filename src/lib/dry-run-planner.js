@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import LichessProcessor from './lichess-processor.js';
+import LichessProgress from './lichess-progress.js';
+import TwicProcessor from './twic-processor.js';
+import TwicProgress from './twic-progress.js';
+import PGNMentorProcessor from './pgnmentor-processor.js';
+import ChesscomDownloader from './chesscom-downloader.js';
+import LocalProcessor from './local-processor.js';
+import loadConfig from './config.js';
+
+const config = loadConfig();
+
+// Ratios de décompression approximatifs (PGN texte)
+const ZST_RATIO = 7;
+const ZIP_RATIO = 4;
+
+/**
+ * Planificateur de --dry-run : affiche ce que start.js ferait sans rien télécharger ni écrire
+ * Les tailles viennent de requêtes HEAD, l'avancement des fichiers de progression (src/progress)
+ */
+class DryRunPlanner {
+  constructor(generator) {
+    this.generator = generator;
+    this.progressDir = path.join(generator.srcDir, 'progress');
+    this.tempDir = path.join(generator.srcDir, 'temp');
+    this.headConcurrency = 8;
+    this.headTimeout = 15000;
+
+    this.totals = { downloadBytes: 0, unknownFiles: 0, tempBytes: 0 };
+  }
+
+  /**
+   * Taille d'une ressource distante via une requête HEAD (null si inconnue)
+   */
+  headSize(url, redirects = 3) {
+    return new Promise((resolve) => {
+      const client = url.startsWith('http:') ? http : https;
+      let request;
+      try {
+        request = client.request(url, {
+          method: 'HEAD',
+          headers: { 'User-Agent': config.chesscom.userAgent },
+          timeout: this.headTimeout
+        }, (response) => {
+          response.resume();
+
+          if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && redirects > 0) {
+            resolve(this.headSize(new URL(response.headers.location, url).toString(), redirects - 1));
+            return;
+          }
+
+          const length = parseInt(response.headers['content-length'], 10);
+          resolve(response.statusCode === 200 && !isNaN(length) ? length : null);
+        });
+      } catch (error) {
+        resolve(null);
+        return;
+      }
+
+      request.on('timeout', () => request.destroy(new Error('timeout')));
+      request.on('error', () => resolve(null));
+      request.end();
+    });
+  }
+
+  /**
+   * Tailles de plusieurs URLs, N requêtes HEAD à la fois
+   * Si la première interrogée (probeIndex) échoue, la source est considérée injoignable et les autres ne sont pas interrogées
+   */
+  async headSizes(urls, probeIndex = 0) {
+    if (urls.length === 0) return [];
+
+    const first = await this.headSize(urls[probeIndex]);
+    if (first === null) {
+      console.log('   ⚠️  Source injoignable, tailles inconnues');
+      return urls.map(() => null);
+    }
+
+    const sizes = [];
+    sizes[probeIndex] = first;
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length) {
+        const index = next++;
+        if (index === probeIndex) continue;
+        sizes[index] = await this.headSize(urls[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: this.headConcurrency }, worker));
+    return sizes;
+  }
+
+  formatSize(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  /**
+   * Cumule les tailles connues et affiche le volume d'une source
+   */
+  addVolume(sizes, tempBytes = 0) {
+    const known = sizes.filter(size => size !== null);
+    const total = known.reduce((sum, size) => sum + size, 0);
+    const unknown = sizes.length - known.length;
+
+    this.totals.downloadBytes += total;
+    this.totals.unknownFiles += unknown;
+    this.totals.tempBytes = Math.max(this.totals.tempBytes, tempBytes);
+
+    console.log(`   📦 Volume à télécharger: ${this.formatSize(total)}${unknown > 0 ? ` (+ ${unknown} fichiers de taille inconnue)` : ''}`);
+    if (tempBytes > 0) {
+      console.log(`   💽 Espace temporaire max: ≈ ${this.formatSize(tempBytes)}`);
+    }
+  }
+
+  readLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  }
+
+  /**
+   * Lichess : mois de la plage configurée absents de lichess.json, fichiers déjà présents dans src/temp
+   */
+  async planLichess() {
+    for (const variant of ['standard', ...config.lichess.variants]) {
+      await this.planLichessDatabase(variant);
+    }
+  }
+
+  /**
+   * Base standard ou variante (lichess.variants) : mois à télécharger et volume
+   */
+  async planLichessDatabase(variant) {
+    const processor = new LichessProcessor({ dryRun: true, variant });
+    const progress = new LichessProgress(
+      path.join(this.progressDir, `${processor.filePrefix}.json`),
+      variant === 'standard' ? path.join(this.progressDir, 'lichess.pv') : null
+    );
+
+    if (variant !== 'standard') {
+      console.log(`   ♞ Variante ${variant} → ${path.basename(processor.outputFileLimited)}, ${path.basename(processor.outputFileEval)}`);
+    }
+    const range = processor.generateUrls();
+    const months = config.lichess.incremental ? range.filter(month => !progress.isDone(month.date)) : range;
+
+    console.log(`   📆 Plage: ${config.lichess.startMonth} → ${config.lichess.endMonth || 'dernier mois publié'} (${config.lichess.incremental ? 'incrémental' : 'complet'})`);
+    console.log(`   ✅ Déjà traités: ${range.length - months.length} mois`);
+    if (progress.data.pending) {
+      console.log(`   🔄 Mois interrompu: ${progress.data.pending.month} (sorties tronquées puis mois retraité)`);
+    }
+    if (months.length === 0) {
+      console.log('   ⏭️  Aucun mois à télécharger');
+      return;
+    }
+
+    const local = months.filter(month => fs.existsSync(path.join(processor.tempDir, month.filename)));
+    const remote = months.filter(month => !local.includes(month));
+    // Les premiers mois d'une variante peuvent ne pas exister : le dernier mois publié sert de sonde
+    const sizes = await this.headSizes(remote.map(month => month.url), variant === 'standard' ? 0 : Math.max(0, remote.length - 1));
+
+    console.log(`   📅 ${months.length} mois: ${months[0].year}-${months[0].month} → ${months[months.length - 1].year}-${months[months.length - 1].month}`);
+
+    const byYear = new Map();
+    remote.forEach((month, index) => {
+      const entry = byYear.get(month.year) || { months: [], bytes: 0 };
+      entry.months.push(month.month);
+      entry.bytes += sizes[index] || 0;
+      byYear.set(month.year, entry);
+    });
+    for (const [year, entry] of byYear) {
+      console.log(`      ${year}: ${entry.months.join(' ')} (${this.formatSize(entry.bytes)})`);
+    }
+
+    if (local.length > 0) {
+      console.log(`   💾 Déjà présents dans src/temp: ${local.map(month => month.filename).join(', ')}`);
+    }
+
+    const partial = remote.filter(month => fs.existsSync(path.join(processor.tempDir, month.filename + '.part')));
+    if (partial.length > 0) {
+      console.log(`   ↪️  Téléchargements interrompus repris: ${partial.map(month => month.filename).join(', ')}`);
+    }
+    console.log(`   🔐 Vérification sha256: ${config.lichess.verifyChecksums ? 'sha256sums.txt' : 'désactivée'}`);
+
+    if (config.lichess.streaming) {
+      // Filtrage à la volée : seules les parties retenues passent par src/temp
+      console.log(`   📡 Mode streaming: ${config.lichess.concurrentMonths} mois en parallèle, aucune archive écrite sur disque`);
+      this.addVolume(sizes);
+      return;
+    }
+
+    // 5 téléchargements en avance + 1 mois décompressé
+    const largest = sizes.filter(size => size !== null).sort((a, b) => b - a);
+    const tempBytes = largest.slice(0, 5).reduce((sum, size) => sum + size, 0) + (largest[0] || 0) * ZST_RATIO;
+    this.addVolume(sizes, tempBytes);
+  }
+
+  /**
+   * TWIC : semaines de la plage twic.startWeek → twic.endWeek (ou dernière publiée) absentes de twic.json
+   */
+  async planTwic() {
+    const processor = new TwicProcessor({ dryRun: true });
+    const progress = new TwicProgress(path.join(this.progressDir, 'twic.json'), path.join(this.progressDir, 'twic.pv'));
+    const { startWeek } = config.twic;
+
+    let lastWeek = null;
+    try {
+      lastWeek = await processor.getLatestWeekNumber();
+    } catch (error) {
+      console.log(`   ⚠️  Dernière semaine inconnue: ${error.message}`);
+    }
+    const endWeek = config.twic.endWeek === null ? lastWeek : Math.min(config.twic.endWeek, lastWeek ?? Infinity);
+
+    const completed = progress.completedWeeks();
+    const missing = progress.missingWeeks();
+    console.log(`   ✅ Déjà traitées: ${completed.length} semaines${progress.data.lastWeek !== null ? ` (dernière: ${progress.data.lastWeek})` : ''}`);
+    if (missing.length > 0) {
+      console.log(`   🔁 Semaines manquantes à retenter: ${missing.map(({ week }) => week).join(', ')}`);
+    }
+    if (endWeek === null) {
+      console.log(`   📅 Semaines ${startWeek} → ? (page TWIC injoignable)`);
+      return;
+    }
+
+    const weeks = [];
+    for (let week = startWeek; week <= endWeek; week++) {
+      if (!progress.isDone(week)) {
+        weeks.push(processor.createUrlFromWeek(week));
+      }
+    }
+    if (weeks.length === 0) {
+      console.log('   ⏭️  Aucune semaine à télécharger');
+      return;
+    }
+
+    const local = weeks.filter(week => fs.existsSync(path.join(this.tempDir, week.filename)));
+    const remote = weeks.filter(week => !local.includes(week));
+
+    console.log(`   📅 ${weeks.length} semaines (plage ${startWeek} → ${endWeek}): ${weeks[0].filename} … ${weeks[weeks.length - 1].filename}`);
+    if (local.length > 0) {
+      console.log(`   💾 Déjà présentes dans src/temp: ${local.map(week => week.filename).join(', ')}`);
+    }
+
+    const sizes = await this.headSizes(remote.map(week => week.url));
+    const largest = Math.max(0, ...sizes.filter(size => size !== null));
+    this.addVolume(sizes, largest * (1 + ZIP_RATIO));
+  }
+
+  /**
+   * PGN Mentor : fichiers de la sélection absents de pgnmentor.pv (tous si les filtres ont changé)
+   */
+  async planPgnMentor() {
+    const processor = new PGNMentorProcessor({ dryRun: true });
+    const processed = new Set(this.readLines(path.join(this.progressDir, 'pgnmentor.pv')));
+
+    let selection;
+    try {
+      selection = await processor.getSelection({ save: false });
+    } catch (error) {
+      console.log(`   ⚠️  Liste des fichiers inaccessible: ${error.message}`);
+      console.log(`   ✅ Déjà traités: ${processed.size} fichiers`);
+      return;
+    }
+
+    const { links } = selection;
+    const { categories, include, exclude } = processor.filters;
+    if (selection.filtersChanged) {
+      // pgn-pgnmentor.js supprimera pgnmentor.pgn et pgnmentor.pv : tout sera retraité
+      console.log('   🔄 Filtres modifiés depuis la sélection enregistrée : pgnmentor.pgn sera reconstruit');
+      processed.clear();
+    }
+    console.log(`   🎯 Sélection${selection.reused ? ' enregistrée' : ''}: ${links.length}/${selection.catalogSize} fichiers (catégories ${categories.join(', ')}${include.length > 0 ? `, include ${include.join(', ')}` : ''}${exclude.length > 0 ? `, exclude ${exclude.join(', ')}` : ''})`);
+    const remaining = links.filter(link => !processed.has(link.name));
+    const zipCount = remaining.filter(link => link.name.endsWith('.zip')).length;
+
+    console.log(`   ✅ Déjà traités: ${links.length - remaining.length}/${links.length} fichiers`);
+    console.log(`   📅 ${remaining.length} fichiers restants (${remaining.length - zipCount} PGN, ${zipCount} ZIP)`);
+    if (remaining.length > 0) {
+      const preview = remaining.slice(0, 10).map(link => link.name).join(', ');
+      console.log(`      ${preview}${remaining.length > 10 ? `, … (+${remaining.length - 10})` : ''}`);
+    }
+
+    const sizes = await this.headSizes(remaining.map(link => link.url));
+    const largest = Math.max(0, ...sizes.filter(size => size !== null));
+    this.addVolume(sizes, largest * (1 + ZIP_RATIO));
+  }
+
+  /**
+   * Chess.com : archives listées mais pas encore traitées (aucune requête sur les archives de parties,
+   * à part quelques HEAD pour estimer leur taille moyenne)
+   */
+  async planChesscom() {
+    const downloader = new ChesscomDownloader({ dryRun: true });
+    const usernames = this.readLines(path.join(this.progressDir, 'chesscomusername.pv'));
+    const processedUsers = new Set(this.readLines(path.join(this.progressDir, 'chesscom-processed-users.pv')));
+    const archiveUrls = this.readLines(downloader.archiveUrlsFile);
+    const processedUrls = new Set(this.readLines(downloader.processedUrlsFile));
+    const errorUrls = this.readLines(downloader.errorUrlsFile);
+
+    const { leaderboards, titles, usernamesFile, numberOfUsersInLeaderboard } = config.chesscom;
+    const selection = [
+      leaderboards.length > 0 ? `top ${numberOfUsersInLeaderboard} ${leaderboards.join('/')}` : null,
+      titles.length > 0 ? `titrés ${titles.join('/')}` : null,
+      usernamesFile ? `liste ${usernamesFile}` : null
+    ].filter(Boolean);
+    console.log(`   🎯 Sélection: ${selection.join(' + ') || 'aucune'}`);
+    if (config.chesscom.update) {
+      console.log('   🔄 Mode mise à jour: archives de chaque joueur relistées, reprises à partir de son dernier mois traité');
+    }
+
+    if (usernames.length === 0) {
+      console.log(`   👥 Joueurs à récupérer: ≈ ${leaderboards.length * numberOfUsersInLeaderboard} (classements)`);
+    } else {
+      console.log(`   👥 Joueurs: ${usernames.length} (${processedUsers.size} avec archives déjà listées)`);
+    }
+
+    const remainingUrls = archiveUrls.filter(url => !processedUrls.has(url));
+    const remainingUsers = usernames.length > 0
+      ? usernames.filter(username => !processedUsers.has(username)).length
+      : leaderboards.length * numberOfUsersInLeaderboard;
+    const archivesPerUser = processedUsers.size > 0 ? archiveUrls.length / processedUsers.size : 0;
+    const estimatedArchives = Math.round(remainingUsers * archivesPerUser);
+
+    console.log(`   ✅ Archives déjà traitées: ${processedUrls.size}${errorUrls.length > 0 ? ` (${errorUrls.length} en erreur)` : ''}`);
+    console.log(`   📅 Archives connues à télécharger: ${remainingUrls.length}`);
+    if (remainingUsers > 0) {
+      console.log(`   📅 Archives des ${remainingUsers} joueurs restants: ${archivesPerUser > 0 ? `≈ ${estimatedArchives}` : 'inconnu'}`);
+    }
+
+    // Taille moyenne estimée sur un échantillon d'archives
+    const sample = remainingUrls.slice(0, 10);
+    const sampleSizes = (await this.headSizes(sample)).filter(size => size !== null);
+    if (sampleSizes.length === 0) {
+      this.addVolume(remainingUrls.map(() => null));
+      return;
+    }
+
+    const average = sampleSizes.reduce((sum, size) => sum + size, 0) / sampleSizes.length;
+    const estimated = Math.round(average * (remainingUrls.length + estimatedArchives));
+    console.log(`   📏 Taille moyenne d'une archive (échantillon de ${sampleSizes.length}): ${this.formatSize(average)}`);
+    this.addVolume([estimated]);
+  }
+
+  /**
+   * Évaluations Lichess : base téléchargée en streaming (ou fichier local), seuls les chunks triés passent par src/temp/evals
+   */
+  async planEvals() {
+    const source = config.evals.source || `${config.sources.lichess}/lichess_db_eval.jsonl.zst`;
+    console.log(`   🧮 Source: ${source}`);
+
+    if (/^https?:\/\//.test(source)) {
+      this.addVolume([await this.headSize(source)]);
+    } else if (fs.existsSync(source)) {
+      console.log(`   💾 Fichier local: ${this.formatSize(fs.statSync(source).size)}`);
+    } else {
+      console.log('   ⚠️  Fichier introuvable');
+    }
+    console.log(`   🔢 Chunks de ${config.evals.chunkSize.toLocaleString()} positions triés dans src/temp/evals`);
+  }
+
+  /**
+   * Fichiers locaux : fichiers de local.paths absents de local.pv (ou modifiés depuis l'import ; tous si les filtres ont changé)
+   */
+  async planLocal() {
+    const processor = new LocalProcessor({ dryRun: true });
+    const files = await processor.listFiles(config.local.paths);
+    const resetReason = processor.progressResetReason();
+    if (resetReason) {
+      console.log(`   🔄 ${resetReason} : local.pgn sera reconstruit`);
+    }
+    const imported = await processor.loadProgress();
+    const remaining = files.filter(file => !imported.has(processor.progressKey(file)));
+
+    console.log(`   ✅ Déjà importés: ${files.length - remaining.length}/${files.length} fichiers`);
+    for (const file of remaining) {
+      console.log(`      ${file.path} (${this.formatSize(file.size)})`);
+    }
+  }
+
+  /**
+   * Décisions du pipeline sans exécution (même logique que start.js, cascade comprise)
+   */
+  async planSteps(options) {
+    const decisions = [];
+    const willRun = new Set();
+
+    for (const step of this.generator.steps) {
+      const upstreamRan = step.dependsOn.some(name => willRun.has(name));
+      const decision = await this.generator.shouldRunStep(step, options, upstreamRan);
+      if (decision.run) willRun.add(step.name);
+      decisions.push({ step, ...decision });
+    }
+
+    return decisions;
+  }
+
+  /**
+   * Affiche le plan complet
+   */
+  async run(options) {
+    const sources = {
+      'pgn-lichess.js': ['🌐 LICHESS', () => this.planLichess()],
+      'pgn-twic.js': ['📰 TWIC', () => this.planTwic()],
+      'pgn-pgnmentor.js': ['📚 PGN MENTOR', () => this.planPgnMentor()],
+      'pgn-chesscom.js': ['♟️  CHESS.COM', () => this.planChesscom()],
+      'pgn-local.js': ['📂 FICHIERS LOCAUX', () => this.planLocal()],
+      'import-evals.js': ['🧮 ÉVALUATIONS LICHESS', () => this.planEvals()]
+    };
+
+    console.log('🧪 DRY-RUN : aucun téléchargement ni écriture');
+    console.log('=============================================');
+
+    const decisions = await this.planSteps(options);
+
+    console.log('\n📋 ÉTAPES');
+    for (const { step, run, reason } of decisions) {
+      console.log(`   ${run ? '▶️ ' : '⏭️ '} ${step.name} (${reason})`);
+    }
+
+    for (const { step, run } of decisions) {
+      const source = sources[path.basename(step.script)];
+      if (!source || !run) continue;
+
+      console.log(`\n${source[0]} (${step.name})`);
+      await source[1]();
+    }
+
+    console.log('\n📁 FICHIERS DE SORTIE');
+    const reported = new Set();
+    for (const { step, run } of decisions) {
+      if (!run) continue;
+      for (const file of step.outputs.filter(output => !reported.has(output))) {
+        reported.add(file);
+        const name = path.relative(this.generator.outputDir, file);
+        if (fs.existsSync(file)) {
+          console.log(`   ✏️  ${name}: existe (${this.formatSize(fs.statSync(file).size)}), sera modifié ou remplacé par ${step.name}`);
+        } else {
+          console.log(`   🆕 ${name}: sera créé par ${step.name}`);
+        }
+      }
+    }
+    if (reported.size === 0) {
+      console.log('   Aucun fichier modifié');
+    }
+
+    console.log('\n📊 TOTAL');
+    console.log(`   📦 Téléchargement: ${this.formatSize(this.totals.downloadBytes)}${this.totals.unknownFiles > 0 ? ` (+ ${this.totals.unknownFiles} fichiers de taille inconnue)` : ''}`);
+    console.log(`   💽 Espace temporaire max: ≈ ${this.formatSize(this.totals.tempBytes)}`);
+  }
+}
+
+export default DryRunPlanner;
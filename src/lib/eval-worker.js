@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+import { parentPort } from 'worker_threads';
+import { normalizeFen, isFlipped, flipMove } from './fen-normalize.js';
+import { createPositionHasher } from './position-hash.js';
+
+const hashPosition = createPositionHasher();
+
+/**
+ * Convertit des lignes de la base d'évaluations Lichess (JSONL) en lignes TSV hash → meilleure évaluation
+ * Entrée : { "fen": "...", "evals": [{ "depth": 36, "knodes": 206765, "pvs": [{ "cp": 311, "line": "f7g7 e6e7 ..." }] }] }
+ * Sortie : hash \t depth \t cp \t mate \t coup (premier coup de la ligne principale, en UCI)
+ * Position retournée par fenNormalization.colorFlip : cp et mate changent de signe, le coup est retourné.
+ */
+class EvalWorker {
+  /**
+   * Évaluation la plus profonde d'une position (à profondeur égale, la première de la liste)
+   */
+  bestEval(evals) {
+    let best = null;
+    for (const evaluation of evals) {
+      if (!Array.isArray(evaluation.pvs) || evaluation.pvs.length === 0) continue;
+      if (!best || evaluation.depth > best.depth) {
+        best = evaluation;
+      }
+    }
+    return best;
+  }
+
+  processLines(lines) {
+    const entries = [];
+    let invalid = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        invalid++;
+        continue;
+      }
+
+      const best = typeof record.fen === 'string' && Array.isArray(record.evals) ? this.bestEval(record.evals) : null;
+      if (!best) {
+        invalid++;
+        continue;
+      }
+
+      const pv = best.pvs[0];
+      const hash = hashPosition(normalizeFen(record.fen));
+      const move = typeof pv.line === 'string' ? pv.line.split(' ')[0] : '';
+      if (isFlipped(record.fen)) {
+        entries.push(`${hash}\t${best.depth ?? ''}\t${pv.cp != null ? -pv.cp : ''}\t${pv.mate != null ? -pv.mate : ''}\t${move && flipMove(move)}`);
+      } else {
+        entries.push(`${hash}\t${best.depth ?? ''}\t${pv.cp ?? ''}\t${pv.mate ?? ''}\t${move}`);
+      }
+    }
+
+    return { entries, invalid };
+  }
+}
+
+if (parentPort) {
+  const worker = new EvalWorker();
+
+  parentPort.on('message', ({ lines }) => {
+    try {
+      parentPort.postMessage({ success: true, result: worker.processLines(lines) });
+    } catch (error) {
+      parentPort.postMessage({ success: false, error: error.message });
+    }
+  });
+}
+
+export default EvalWorker;
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import MergeWorker from './merge-worker.js';
+
+// Estimation basse de la taille d'une partie PGN, pour déduire le nombre de hashs de la taille d'un fichier
+const MIN_GAME_BYTES = 400;
+// Taille estimée d'une ligne de clé en mémoire avant tri (chaîne + entrée du tableau)
+const BYTES_PER_LINE = 120;
+// Runs fusionnés à la fois (flux ouverts en même temps)
+const FAN_IN = 16;
+const SCORE_WIDTH = 10;
+const MAX_SCORE = 10 ** SCORE_WIDTH - 1;
+const INDEX_WIDTH = 13;
+
+/**
+ * Mémoire estimée (MB) des hashs d'un fichier PGN gardés dans des Sets (~80 octets par hash)
+ */
+export function estimateHashMemoryMB(fileSize, bytesPerHash = 80) {
+  return (Math.ceil(fileSize / MIN_GAME_BYTES) * bytesPerHash) / (1024 * 1024);
+}
+
+/**
+ * Déduplication sur disque, quand les hashs ne tiennent pas dans dedup.memoryBudgetMB
+ *  1. add() : une ligne "clé \t score inversé \t index \t source" par partie ; les lignes sont triées
+ *     par runs (taille fixée par le budget) écrits dans tempDir
+ *  2. resolve() : fusion K-way des runs (MergeWorker.mergeSortedLines, par paliers de FAN_IN fichiers).
+ *     Dans un groupe de même clé, la première ligne (meilleur score, puis premier index) est la copie gardée,
+ *     les autres sont notées dans un bitmap de 1 bit par partie
+ *  3. isRemoved(index) pendant le passage d'écriture
+ */
+class ExternalDedup {
+  constructor(tempDir, memoryBudgetMB) {
+    this.tempDir = tempDir;
+    this.runLines = Math.max(100000, Math.floor((memoryBudgetMB * 1024 * 1024 * 0.75) / BYTES_PER_LINE));
+    this.merger = new MergeWorker();
+
+    this.lines = [];
+    this.runFiles = [];
+    this.removed = null;
+    // "source gardée \t source retirée" → nombre de doublons
+    this.crossSources = new Map();
+    this.stats = { lines: 0, runs: 0, phases: 0, keys: 0, removed: 0 };
+
+    fs.rmSync(this.tempDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Ajoute la clé d'une partie ; score le plus haut gardé, à égalité le plus petit index
+   */
+  async add(key, score, index, source = 0) {
+    const inverted = String(MAX_SCORE - Math.min(score, MAX_SCORE)).padStart(SCORE_WIDTH, '0');
+    this.lines.push(`${key}\t${inverted}\t${String(index).padStart(INDEX_WIDTH, '0')}\t${source}`);
+    this.stats.lines++;
+
+    if (this.lines.length >= this.runLines) {
+      await this.flushRun();
+    }
+  }
+
+  /**
+   * Écrit des lignes (itérable synchrone ou asynchrone) dans un fichier
+   */
+  async writeLines(file, lines) {
+    const writeStream = fs.createWriteStream(file, { encoding: 'utf8', highWaterMark: 8 * 1024 * 1024 });
+    for await (const line of lines) {
+      if (!writeStream.write(line + '\n')) {
+        await once(writeStream, 'drain');
+      }
+    }
+    await new Promise((resolve, reject) => writeStream.end(error => (error ? reject(error) : resolve())));
+  }
+
+  /**
+   * Trie les lignes en mémoire et les écrit dans un nouveau run
+   */
+  async flushRun() {
+    if (this.lines.length === 0) return;
+
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    const runFile = path.join(this.tempDir, `run_${this.runFiles.length}.tmp`);
+    this.lines.sort();
+    await this.writeLines(runFile, this.lines);
+
+    this.lines = [];
+    this.runFiles.push(runFile);
+    this.stats.runs++;
+  }
+
+  /**
+   * Fusionne les runs par paliers jusqu'à FAN_IN fichiers au plus
+   */
+  async reduceRuns() {
+    let runs = this.runFiles;
+
+    while (runs.length > FAN_IN) {
+      this.stats.phases++;
+      const merged = [];
+
+      for (let i = 0; i < runs.length; i += FAN_IN) {
+        const group = runs.slice(i, i + FAN_IN);
+        const mergedFile = path.join(this.tempDir, `merge_${this.stats.phases}_${merged.length}.tmp`);
+        await this.writeLines(mergedFile, this.merger.mergeSortedLines(group));
+        for (const file of group) {
+          fs.unlinkSync(file);
+        }
+        merged.push(mergedFile);
+      }
+
+      console.log(`   🔄 Palier de fusion ${this.stats.phases}: ${runs.length} runs → ${merged.length}`);
+      runs = merged;
+    }
+
+    return runs;
+  }
+
+  /**
+   * Fusion finale : marque les copies retirées (toutes sauf la première de chaque clé) pour totalGames parties
+   */
+  async resolve(totalGames) {
+    await this.flushRun();
+    const runs = await this.reduceRuns();
+
+    this.removed = new Uint8Array(Math.ceil(totalGames / 8));
+    let currentKey = null;
+    let keptSource = null;
+
+    for await (const line of this.merger.mergeSortedLines(runs)) {
+      const [key, , index, source] = line.split('\t');
+
+      if (key !== currentKey) {
+        currentKey = key;
+        keptSource = source;
+        this.stats.keys++;
+        continue;
+      }
+
+      const gameIndex = parseInt(index, 10);
+      this.removed[Math.floor(gameIndex / 8)] |= 1 << (gameIndex % 8);
+      this.stats.removed++;
+
+      const pair = `${keptSource}\t${source}`;
+      this.crossSources.set(pair, (this.crossSources.get(pair) || 0) + 1);
+    }
+
+    this.cleanup();
+  }
+
+  isRemoved(index) {
+    return (this.removed[Math.floor(index / 8)] & (1 << (index % 8))) !== 0;
+  }
+
+  cleanup() {
+    fs.rmSync(this.tempDir, { recursive: true, force: true });
+  }
+}
+
+export default ExternalDedup;
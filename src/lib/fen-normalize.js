@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+import { Chess } from 'chess.js';
+import loadConfig from './config.js';
+
+const config = loadConfig();
+
+/**
+ * Normalisation des FENs avant hash (config fenNormalization) : une même position doit toujours donner le même FEN.
+ *  - enPassant : legal = case de prise en passant gardée seulement si une prise en passant légale existe,
+ *    keep = telle que dans le FEN
+ *  - castling : droits de roque gardés (false : remplacés par "-")
+ *  - moveCounters : compteurs de demi-coups et de coups gardés (false : remplacés par "0 1")
+ *  - colorFlip : positions trait aux noirs retournées (rangées miroir, couleurs échangées) pour avoir toujours le trait aux blancs
+ * Les règles sont enregistrées dans l'en-tête des fichiers produits (fenRulesLabel).
+ */
+
+/**
+ * Vrai si le camp au trait a une prise en passant légale sur la case du FEN
+ * (pion adjacent, puis vérification par chess.js : un pion cloué ne peut pas prendre)
+ */
+function hasLegalEnPassant(parts) {
+  const [placement, turn, , enPassant] = parts;
+  if (enPassant === '-') return false;
+
+  const rows = placement.split('/');
+  const rowText = rows[turn === 'w' ? 3 : 4].replace(/\d/g, digit => '.'.repeat(Number(digit)));
+  const file = enPassant.charCodeAt(0) - 97;
+  const pawn = turn === 'w' ? 'P' : 'p';
+  if (rowText[file - 1] !== pawn && rowText[file + 1] !== pawn) return false;
+
+  try {
+    return new Chess(parts.join(' ')).moves({ verbose: true }).some(move => move.flags.includes('e'));
+  } catch (error) {
+    // Position que chess.js refuse : aucune prise ne peut être vérifiée
+    return false;
+  }
+}
+
+const swapCase = char => (char === char.toUpperCase() ? char.toLowerCase() : char.toUpperCase());
+
+/**
+ * Case miroir (rangée 1 ↔ 8), même colonne : e2 → e7
+ */
+export function flipSquare(square) {
+  return square[0] + (9 - Number(square[1]));
+}
+
+/**
+ * Coup UCI sur l'échiquier retourné : e7e5 → e2e4
+ */
+export function flipMove(move) {
+  return flipSquare(move.slice(0, 2)) + flipSquare(move.slice(2, 4)) + move.slice(4);
+}
+
+/**
+ * Résultat vu du camp retourné : 1-0 ↔ 0-1
+ */
+export function flipResult(result) {
+  return result === '1-0' ? '0-1' : result === '0-1' ? '1-0' : result;
+}
+
+/**
+ * FEN retourné : rangées en ordre inverse, couleurs des pièces, trait, roques et prise en passant échangés
+ */
+export function flipFen(fen) {
+  const [placement, turn, castling, enPassant, ...counters] = fen.split(' ');
+  const flippedCastling = castling === '-'
+    ? '-'
+    : [...castling].map(swapCase).sort((a, b) => 'KQkq'.indexOf(a) - 'KQkq'.indexOf(b)).join('');
+
+  return [
+    placement.split('/').reverse().map(row => [...row].map(swapCase).join('')).join('/'),
+    turn === 'w' ? 'b' : 'w',
+    flippedCastling,
+    enPassant === '-' ? '-' : flipSquare(enPassant),
+    ...counters
+  ].join(' ');
+}
+
+/**
+ * Vrai si normalizeFen retourne ce FEN (colorFlip et trait aux noirs) : résultats, coups et évaluations
+ * de la position sont alors à retourner aussi
+ */
+export function isFlipped(fen, rules = config.fenNormalization) {
+  return rules.colorFlip && fen.split(' ')[1] === 'b';
+}
+
+/**
+ * Normalise un FEN selon les règles (défaut : config fenNormalization).
+ * Accepte aussi un FEN à 4 champs (base d'évaluations Lichess).
+ */
+export function normalizeFen(fen, rules = config.fenNormalization) {
+  const parts = fen.trim().split(' ');
+  parts[4] = rules.moveCounters && parts[4] !== undefined ? parts[4] : '0';
+  parts[5] = rules.moveCounters && parts[5] !== undefined ? parts[5] : '1';
+
+  if (rules.enPassant === 'legal' && !hasLegalEnPassant(parts)) {
+    parts[3] = '-';
+  }
+  if (!rules.castling) {
+    parts[2] = '-';
+  }
+
+  const normalized = parts.join(' ');
+  return isFlipped(normalized, rules) ? flipFen(normalized) : normalized;
+}
+
+/**
+ * Libellé des règles pour les en-têtes de fichiers : ep:legal,castling:keep,counters:reset,flip:off
+ */
+export function fenRulesLabel(rules = config.fenNormalization) {
+  return [
+    `ep:${rules.enPassant}`,
+    `castling:${rules.castling ? 'keep' : 'drop'}`,
+    `counters:${rules.moveCounters ? 'keep' : 'reset'}`,
+    `flip:${rules.colorFlip ? 'on' : 'off'}`
+  ].join(',');
+}
+
+/**
+ * Libellé des règles d'une ligne d'en-tête "#hash=<schéma> fen=<règles>" ou "#fen=<règles>" (null si absent)
+ */
+export function parseFenRulesLabel(line) {
+  const match = line.match(/^#(?:hash=\S+ )?fen=(\S+)/);
+  return match ? match[1] : null;
+}
+
+export default normalizeFen;
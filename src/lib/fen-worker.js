@@ -2,17 +2,13 @@
 
 import { parentPort } from 'worker_threads';
 import { Chess } from 'chess.js';
-import cityhash from 'google-cityhash';
+import { normalizeFen, isFlipped, flipMove, flipResult } from './fen-normalize.js';
+import { createPositionHasher } from './position-hash.js';
+import { extractMoveAnnotations, positionAnnotations } from './annotations.js';
+import loadConfig from './config.js';
 
-/**
- * Normalise un FEN pour ne garder que les 4 premiers champs
- */
-function normalizeFen(fen) {
-  const parts = fen.split(' ');
-  parts[4] = '0';
-  parts[5] = '1';
-  return parts.join(' ');
-}
+const config = loadConfig();
+const hashPosition = createPositionHasher(config.positionHash);
 
 const extractSource = (gameText) => {
   const match = gameText.match(/\[Source\s+"([^"]+)"\]/);
@@ -42,86 +38,162 @@ function extractMaxElo(gameText) {
   return isNaN(elo) ? 0 : elo;
 }
 
+/**
+ * Elo moyen des deux joueurs (celui d'un seul joueur s'il manque l'autre), 0 si inconnu
+ */
+function extractAverageElo(gameText) {
+  const elos = [/\[WhiteElo\s+"(\d+)"\]/, /\[BlackElo\s+"(\d+)"\]/]
+    .map(pattern => gameText.match(pattern))
+    .filter(match => match && parseInt(match[1]) > 0)
+    .map(match => parseInt(match[1]));
+  return elos.length > 0 ? Math.round(elos.reduce((sum, elo) => sum + elo, 0) / elos.length) : 0;
+}
+
 function extractSite(gameText) {
   const match = gameText.match(/\[Site\s+"([^"]+)"\]/);
   return match ? match[1] : null;
 }
 
+// Variantes Lichess dont chess.js ne reproduit pas les règles (explosions, parachutages, prises forcées, pions en 1re rangée) :
+// rejouées comme des échecs classiques, elles donneraient des positions fausses
+const UNSUPPORTED_VARIANTS = ['Atomic', 'Antichess', 'Crazyhouse', 'Horde'];
+
+function extractVariant(gameText) {
+  const match = gameText.match(/\[Variant\s+"([^"]+)"\]/);
+  return match ? match[1] : 'Standard';
+}
+
+/**
+ * Position de départ [FEN] (Chess960, variantes, parties "From Position"), sinon undefined : position standard
+ */
+function extractSetupFen(gameText) {
+  const match = gameText.match(/\[FEN\s+"([^"]+)"\]/);
+  return match ? match[1] : undefined;
+}
+
 function extractDate(gameText) {
   const match = gameText.match(/\[Date\s+"([^"]+)"\]/);
   return match ? match[1] : '1900.01.01';
 }
 
 /**
- * Traite une partie PGN et retourne toutes les positions avec l'ID de la partie
+ * Annotations %eval / %clk de chaque position (annotations.inPgi), null si elles ne suivent pas l'historique rejoué
+ */
+function extractPositionAnnotations(gameText, plyCount) {
+  const timeControlMatch = gameText.match(/\[TimeControl\s+"([^"]*)"\]/);
+  const timeControl = timeControlMatch ? timeControlMatch[1] : '';
+  const movetext = gameText.replace(/^\s*\[[A-Za-z0-9_]+\s+"[^\n]*"\]\s*$/gm, '');
+
+  const moves = extractMoveAnnotations(movetext, timeControl);
+  return moves.length === plyCount ? positionAnnotations(moves, timeControl) : null;
+}
+
+/**
+ * Annotation d'une position retournée (fenNormalization.colorFlip) : cp et mate changent de signe, comme dans eval-worker
+ */
+function flipAnnotation(annotation) {
+  if (!annotation) return annotation;
+  return {
+    ...annotation,
+    cp: annotation.cp != null ? -annotation.cp : null,
+    mate: annotation.mate != null ? -annotation.mate : null
+  };
+}
+
+/**
+ * Traite une partie PGN et retourne toutes les positions avec l'ID de la partie,
+ * et les arêtes position → coup joué (generateMoves)
  */
 function processGame(gameText) {
   const positions = [];
+  const edges = [];
 
   try {
     if (gameText.toLowerCase().includes('tcec')) {
-      return positions;
+      return { positions, edges };
     }
 
     const result = extractResult(gameText);
     if (!result || result === '*') {
-      return positions;
+      return { positions, edges };
     }
 
     const gameId = extractGameId(gameText);
     if (!gameId) {
-      return positions;
+      return { positions, edges };
+    }
+
+    const variant = extractVariant(gameText);
+    if (UNSUPPORTED_VARIANTS.includes(variant)) {
+      return { positions, edges };
     }
 
     const maxElo = extractMaxElo(gameText);
     const date = extractDate(gameText);
     const official = extractSource(gameText) === 'Online' ? 0 : 1;
+    const averageElo = config.generateMoves ? extractAverageElo(gameText) : 0;
 
-    // Parser le PGN avec Chess.js
+    // Parser le PGN avec Chess.js (loadPgn part déjà du tag [FEN] s'il existe)
     const chess = new Chess();
 
     chess.loadPgn(gameText);
     const history = chess.history({ verbose: true });
+    const annotations = config.annotations.inPgi ? extractPositionAnnotations(gameText, history.length) : null;
 
-    // Rejouer tous les coups pour obtenir toutes les positions
-    const replayChess = new Chess();
+    // Rejouer tous les coups depuis la position de départ de la partie
+    // Les coups que chess.js ne connaît pas (roque Chess960, parachutages crazyhouse...) font ignorer la partie
+    const setupFen = extractSetupFen(gameText);
+    const replayChess = new Chess(setupFen);
+    // Demi-coup des arêtes seulement pour les parties d'échecs standard depuis la position initiale (livre Polyglot)
+    const standardStart = variant === 'Standard' && !setupFen;
 
     for (let i = 0; i < history.length; i++) {
       const currentFen = replayChess.fen();
       const normalizedFen = normalizeFen(currentFen);
-      const hashFen = cityhash.city64(normalizedFen);
+      const hashFen = hashPosition(normalizedFen);
+      // Position retournée (fenNormalization.colorFlip) : résultat, évaluation et coup vus du camp retourné
+      const flipped = isFlipped(currentFen);
+      const positionResult = flipped ? flipResult(result) : result;
+      const annotation = annotations?.[i] ?? null;
       positions.push({
-        hashFen: hashFen.toString(),
+        hashFen,
         fen: normalizedFen,
-        result,
+        result: positionResult,
         gameId,
         maxElo,
         official,
-        date
+        date,
+        annotation: flipped ? flipAnnotation(annotation) : annotation
       });
 
-      replayChess.move(history[i].san);
+      const { from, to, promotion } = replayChess.move(history[i].san);
+      if (config.generateMoves) {
+        const move = `${from}${to}${promotion || ''}`;
+        edges.push({ hashFen, fen: normalizedFen, move: flipped ? flipMove(move) : move, result: positionResult, elo: averageElo, ply: standardStart ? i : null });
+      }
     }
 
     const finalFen = replayChess.fen();
     const normalizedFinalFen = normalizeFen(finalFen);
-    const hashFinalFen = cityhash.city64(normalizedFinalFen);
+    const finalFlipped = isFlipped(finalFen);
+    const finalAnnotation = annotations?.[history.length] ?? null;
     positions.push({
-      hashFen: hashFinalFen.toString(),
+      hashFen: hashPosition(normalizedFinalFen),
       fen: normalizedFinalFen,
-      result,
+      result: finalFlipped ? flipResult(result) : result,
       gameId,
       maxElo,
       official,
-      date
+      date,
+      annotation: finalFlipped ? flipAnnotation(finalAnnotation) : finalAnnotation
     });
 
   } catch (error) {
     // Erreur lors du traitement, ignorer cette partie
-    return positions;
+    return { positions, edges };
   }
 
-  return positions;
+  return { positions, edges };
 }
 
 // Gestion d'erreur globale pour le worker
@@ -146,6 +218,7 @@ parentPort.on('message', (data) => {
   try {
     const { games, batchId } = data;
     const allPositions = [];
+    const allEdges = [];
     let processedGames = 0;
 
     // Traiter chaque partie du batch
@@ -157,8 +230,9 @@ parentPort.on('message', (data) => {
           continue;
         }
 
-        const positions = processGame(gameText);
+        const { positions, edges } = processGame(gameText);
         allPositions.push(...positions);
+        allEdges.push(...edges);
         processedGames++;
 
       } catch (gameError) {
@@ -171,6 +245,7 @@ parentPort.on('message', (data) => {
       success: true,
       result: {
         positions: allPositions,
+        edges: allEdges,
         processedGames: processedGames,
         batchId: batchId
       }
@@ -5,13 +5,14 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { nanoid } from 'nanoid';
+import { splitGames } from './pgn-reader.js';
+import loadConfig from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
-const configPath = path.join(__dirname, '..', '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
 
 class FilterWorker {
   constructor() {
@@ -22,89 +23,42 @@ class FilterWorker {
 
   /**
    * Traite un chunk de parties PGN
-   */  processChunk(chunkText, chunkId) {
-    const lines = chunkText.split('\n');
-    let currentGame = '';
-    let gameHeaders = {};
-    let inGameMoves = false;
+   */
+  processChunk(chunkText, chunkId) {
     let gamesAll = [];
     let gamesLimited = [];
     let gamesEval = [];
     let totalGames = 0;
 
-    const processCompleteGame = () => {
-      if (currentGame.trim()) {
-        totalGames++;
-        if (this.shouldKeepGameAll(gameHeaders, currentGame)) {
-          gamesAll.push(currentGame);
-
+    for (const { headers, movetext, raw } of splitGames(chunkText)) {
+      totalGames++;
 
-          if (this.shouldKeepGameLimited(gameHeaders, currentGame)) {
-            gamesLimited.push(currentGame);
-          }
+      const gameHeaders = {
+        WhiteElo: parseInt(headers.WhiteElo) || 0,
+        BlackElo: parseInt(headers.BlackElo) || 0,
+        TimeControl: headers.TimeControl || ''
+      };
 
-
-          if (this.shouldKeepGameEval(currentGame)) {
-            gamesEval.push(currentGame);
-          }
-        }
+      if (!this.shouldKeepGameAll(gameHeaders, movetext)) {
+        continue;
       }
 
+      const maxElo = Math.max(gameHeaders.WhiteElo, gameHeaders.BlackElo);
+      const game = `[ID "${nanoid()}"]\n[Source "Online"]\n[MaxElo "${maxElo}"]\n`
+        + raw.replace(/^\[(ID|Source|MaxElo) "[^"]*"\]\n?/gm, '');
 
-      currentGame = '';
-      gameHeaders = {};
-      inGameMoves = false;
-    };
+      gamesAll.push(game);
 
-    for (const line of lines) {
-      if (line.startsWith('[Event ')) {
-        if (currentGame) {
-          processCompleteGame();
-        }
-        const id = nanoid();
-        const eventValue = this.extractHeaderValue(line, 'Event');
-        currentGame = `[ID "${id}"]\n[Source "Online"]\n[Event "${eventValue}"]\n`;
-        gameHeaders = { Event: eventValue, id };
-        inGameMoves = false;
-      }
-      else if (line.startsWith('[') && !inGameMoves) {
-        if (line.startsWith('[WhiteElo ')) {
-          gameHeaders.WhiteElo = parseInt(this.extractHeaderValue(line, 'WhiteElo')) || 0;
-          currentGame += line + '\n';
-        } else if (line.startsWith('[BlackElo ')) {
-          gameHeaders.BlackElo = parseInt(this.extractHeaderValue(line, 'BlackElo')) || 0;
-          currentGame += line + '\n';
-        } else if (line.startsWith('[TimeControl ')) {
-          gameHeaders.TimeControl = this.extractHeaderValue(line, 'TimeControl');
-          currentGame += line + '\n';
-        } else if (!line.startsWith('[Event ')) {
-          currentGame += line + '\n';
-        }
+      if (this.shouldKeepGameLimited(gameHeaders, movetext)) {
+        gamesLimited.push(game);
       }
-      else if (line.trim() === '' && currentGame && !inGameMoves) {
-        const maxElo = Math.max(gameHeaders.WhiteElo || 0, gameHeaders.BlackElo || 0);
-        currentGame = currentGame.replace(/\[MaxElo "[^"]*"\]\n?/g, '');
-        currentGame = currentGame.replace(
-          /(\[Source "Online"\]\n)/,
-          `$1[MaxElo "${maxElo}"]\n`
-        );
-        currentGame += line + '\n';
-        inGameMoves = true;
-      }
-      else if (inGameMoves || (!line.startsWith('[') && currentGame)) {
-        currentGame += line + '\n';
-        inGameMoves = true;
 
-        if (line.match(/\s+(1-0|0-1|1\/2-1\/2|\*)\s*$/)) {
-          processCompleteGame();
-        }
+      if (this.shouldKeepGameEval(movetext)) {
+        gamesEval.push(game);
       }
     }
 
-
-    if (currentGame) {
-      processCompleteGame();
-    }    return {
+    return {
       chunkId,
       totalGames,
       gamesAll,
@@ -116,25 +70,9 @@ class FilterWorker {
     };
   }
   /**
-   * Compte le nombre de coups (ply) dans une partie PGN
+   * Compte le nombre de coups (ply) du texte des coups d'une partie
    */
-  countPly(gameText) {
-
-    const lines = gameText.split('\n');
-    let movesText = '';
-    let inMoves = false;
-
-    for (const line of lines) {
-      if (line.trim() === '' && !inMoves) {
-        inMoves = true;
-        continue;
-      }
-      if (inMoves) {
-        movesText += line + ' ';
-      }
-    }
-
-
+  countPly(movesText) {
     const cleanMoves = movesText
       .replace(/\d+\./g, '')
       .replace(/\{[^}]*\}/g, '')
@@ -159,10 +97,10 @@ class FilterWorker {
   /**
    * Critères de filtrage ALL: ELO >= config.minOnlineElo + coups >= config.minPlyDepth
    */
-  shouldKeepGameAll(gameHeaders, gameText) {
+  shouldKeepGameAll(gameHeaders, movetext) {
     const whiteElo = gameHeaders.WhiteElo || 0;
     const blackElo = gameHeaders.BlackElo || 0;
-    const plyCount = this.countPly(gameText);
+    const plyCount = this.countPly(movetext);
 
     return whiteElo >= this.eloThreshold &&
            blackElo >= this.eloThreshold &&
@@ -172,9 +110,9 @@ class FilterWorker {
   /**
    * Critères de filtrage LIMITED: ELO >= config.minOnlineElo + TimeControl >= config.minGameTime + coups >= config.minPlyDepth
    */
-  shouldKeepGameLimited(gameHeaders, gameText) {
+  shouldKeepGameLimited(gameHeaders, movetext) {
 
-    if (!this.shouldKeepGameAll(gameHeaders, gameText)) {
+    if (!this.shouldKeepGameAll(gameHeaders, movetext)) {
       return false;
     }
 
@@ -195,9 +133,9 @@ class FilterWorker {
   /**
    * Critères de filtrage EVAL: basé sur ALL + contient des évaluations
    */
-  shouldKeepGameEval(gameText) {
+  shouldKeepGameEval(movetext) {
 
-    return gameText.includes('[%eval ');
+    return movetext.includes('[%eval ');
   }
 }
 
@@ -220,3 +158,4 @@ if (parentPort) {
     }
   });
 }
+export default FilterWorker;
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { parentPort } from 'worker_threads';
+
+const READ_BLOCK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Compte les lignes qui commencent par un tag ("[ID ") dans une plage d'octets d'un fichier PGN (game-count.js)
+ * Une ligne compte pour la plage [start, end[ qui contient son premier octet : les plages voisines ne se recouvrent pas.
+ */
+class GameCountWorker {
+  countRange(file, start, end, tag) {
+    const prefix = Buffer.from(tag);
+    const needle = Buffer.from('\n' + tag);
+    const size = fs.statSync(file).size;
+    const fd = fs.openSync(file, 'r');
+    let count = 0;
+
+    try {
+      if (start === 0) {
+        const head = Buffer.alloc(prefix.length);
+        const bytesRead = fs.readSync(fd, head, 0, head.length, 0);
+        if (bytesRead === prefix.length && head.equals(prefix)) count++;
+      }
+
+      // Sauts de ligne précédant une ligne de la plage : positions [start - 1, end - 1[
+      // Chaque bloc déborde de la longueur du motif pour trouver ceux coupés entre deux blocs
+      const buffer = Buffer.alloc(READ_BLOCK_SIZE + needle.length - 1);
+      const last = Math.min(end, size) - 1;
+      let position = Math.max(0, start - 1);
+
+      while (position < last) {
+        const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, size - position), position);
+        if (bytesRead === 0) break;
+
+        const block = buffer.subarray(0, bytesRead);
+        const limit = Math.min(READ_BLOCK_SIZE, last - position);
+        for (let index = block.indexOf(needle); index !== -1 && index < limit; index = block.indexOf(needle, index + 1)) {
+          count++;
+        }
+        position += READ_BLOCK_SIZE;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return count;
+  }
+}
+
+if (parentPort) {
+  const worker = new GameCountWorker();
+
+  parentPort.on('message', ({ file, start, end, tag }) => {
+    try {
+      parentPort.postMessage({ success: true, result: worker.countRange(file, start, end, tag) });
+    } catch (error) {
+      parentPort.postMessage({ success: false, error: error.message });
+    }
+  });
+}
+
+export default GameCountWorker;
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WorkerPool from './worker-pool.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// En dessous, un seul worker : le démarrage des autres coûterait plus que leur part du scan
+const MIN_RANGE_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Nombre de parties d'un fichier PGN : <fichier>.count.json écrit par compil.js, deduplicate-pgn.js et game-checker.js
+ *   { version: 1, games, size, mtimeMs }
+ * Taille et date de modification du PGN au moment de l'écriture : le compte est périmé dès que le fichier change.
+ * Sans compte à jour, getGameCount scanne les tags [ID en parallèle par plages d'octets et enregistre le résultat.
+ */
+
+export function countFile(pgnFile) {
+  return pgnFile + '.count.json';
+}
+
+/**
+ * Lit le nombre de parties enregistré ; null si absent, illisible ou périmé
+ */
+export function readGameCount(pgnFile) {
+  const file = countFile(pgnFile);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    const { games, size, mtimeMs } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const stats = fs.statSync(pgnFile);
+    if (!Number.isInteger(games) || size !== stats.size || mtimeMs !== stats.mtimeMs) {
+      console.warn(`⚠️  ${path.basename(file)} ne correspond plus à ${path.basename(pgnFile)}, compte ignoré`);
+      return null;
+    }
+    return games;
+  } catch (error) {
+    console.warn(`⚠️  ${path.basename(file)} illisible, compte ignoré: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Écrit le nombre de parties d'un fichier PGN terminé (écriture atomique)
+ */
+export function writeGameCount(pgnFile, games) {
+  const file = countFile(pgnFile);
+  const tempFile = file + '.tmp';
+  const { size, mtimeMs } = fs.statSync(pgnFile);
+  fs.writeFileSync(tempFile, JSON.stringify({ version: 1, games, size, mtimeMs }, null, 2), 'utf8');
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Compte les lignes "[ID " du fichier : une plage d'octets par worker (un par cœur) ; une ligne à cheval
+ * sur deux plages n'est comptée que dans celle de son premier octet
+ */
+export async function scanGameCount(pgnFile, tag = '[ID ') {
+  const { size } = fs.statSync(pgnFile);
+  const rangeCount = Math.max(1, Math.min(os.cpus().length, Math.floor(size / MIN_RANGE_SIZE)));
+  const rangeSize = Math.ceil(size / rangeCount);
+  const pool = new WorkerPool(path.join(__dirname, 'game-count-worker.js'), rangeCount);
+
+  try {
+    const counts = await Promise.all(Array.from({ length: rangeCount }, (_, index) => pool.execute({
+      file: pgnFile,
+      start: index * rangeSize,
+      end: Math.min(size, (index + 1) * rangeSize),
+      tag
+    })));
+    return counts.reduce((total, count) => total + count, 0);
+  } finally {
+    await pool.shutdown();
+  }
+}
+
+/**
+ * Nombre exact de parties d'un fichier PGN : compte enregistré s'il est à jour, sinon scan parallèle (puis enregistré)
+ */
+export async function getGameCount(pgnFile) {
+  const recorded = readGameCount(pgnFile);
+  if (recorded !== null) {
+    console.log(`📊 ${recorded.toLocaleString()} parties (${path.basename(countFile(pgnFile))})`);
+    return recorded;
+  }
+
+  console.log(`🔍 Comptage des parties de ${path.basename(pgnFile)} (scan des tags [ID)...`);
+  const startTime = Date.now();
+  const games = await scanGameCount(pgnFile);
+  console.log(`📊 ${games.toLocaleString()} parties (scan en ${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
+
+  try {
+    writeGameCount(pgnFile, games);
+  } catch (error) {
+    console.warn(`⚠️  Compte non enregistré: ${error.message}`);
+  }
+  return games;
+}
+
+export default getGameCount;
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import { parseMovetext } from './annotations.js';
+
+/**
+ * Clés de déduplication par suite de coups (deduplicate-pgn.js --mode moves)
+ * Deux copies d'une même partie venant de sources différentes ("Carlsen, M" / "Carlsen, Magnus",
+ * Site ou Date absents) ont la même ligne principale et le même résultat.
+ */
+
+// Tags ajoutés par les scripts de téléchargement : ils ne disent rien de la richesse des en-têtes d'origine
+const GENERATED_TAGS = new Set(['ID', 'Source', 'MaxElo']);
+const EMPTY_VALUES = new Set(['', '?', '-', '*', '????.??.??']);
+
+/**
+ * SAN comparable entre sources : sans + ni #, roques 0-0 → O-O
+ */
+export function normalizeSan(san) {
+  return san.replace(/[+#]/g, '').replace(/^0-0-0$/, 'O-O-O').replace(/^0-0$/, 'O-O');
+}
+
+/**
+ * Nom de famille sans accents ni ponctuation : "Carlsen, Magnus", "Carlsen,M", "Magnus Carlsen" → "carlsen"
+ */
+export function surname(player = '') {
+  const name = player.includes(',') ? player.split(',')[0] : player.trim().split(/\s+/).pop() || '';
+  return name.normalize('NFD').replace(/[^a-zA-Z]/g, '').toLowerCase();
+}
+
+/**
+ * Année de la partie ("2023.05.??" → "2023"), vide si inconnue
+ */
+export function year(date = '') {
+  const match = date.match(/^(\d{4})/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Clé d'une partie : coups normalisés de la ligne principale + résultat,
+ * plus l'année et les noms de famille si matchDate / matchPlayers
+ * Partie sans coups : null (jamais considérée comme doublon)
+ */
+export function movesKey({ headers, movetext }, { matchDate = false, matchPlayers = false } = {}) {
+  const moves = parseMovetext(movetext).map(({ san }) => normalizeSan(san));
+  if (moves.length === 0) {
+    return null;
+  }
+
+  const parts = [moves.join(' '), headers.Result || '*'];
+  if (matchDate) {
+    parts.push(year(headers.Date));
+  }
+  if (matchPlayers) {
+    parts.push(surname(headers.White), surname(headers.Black));
+  }
+
+  return crypto.createHash('md5').update(parts.join('|')).digest('base64');
+}
+
+/**
+ * Richesse des en-têtes : nombre de tags renseignés, puis longueur de leurs valeurs
+ * (la copie au score le plus haut est gardée)
+ */
+export function headerScore(headers) {
+  let count = 0;
+  let length = 0;
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (GENERATED_TAGS.has(name) || EMPTY_VALUES.has(value.trim())) continue;
+    count++;
+    length += value.length;
+  }
+
+  return count * 10000 + Math.min(length, 9999);
+}
+
+export default movesKey;
@@ -1,28 +1,28 @@
 #!/usr/bin/env node
 
 import { parentPort } from 'worker_threads'
-import { createHash } from 'crypto'
+import { createPositionHasher } from './position-hash.js'
 
-const cityHash64 = (str) => {
-  const hash = createHash('sha256').update(str).digest()
-  return hash.readBigUInt64LE(0)
-}
+const hashers = {}
 
 parentPort.on('message', (data) => {
   try {
-    const { lines, batchId } = data
+    const { lines, scheme, replaceHash, batchId } = data
+    const hashPosition = hashers[scheme] || (hashers[scheme] = createPositionHasher(scheme))
     const hashedLines = []
 
     for (const line of lines) {
-      const fen = line.split('\t')[0]
-      const hashFen = cityHash64(fen)
-      hashedLines.push(`${hashFen.toString()}\t${line}`)
+      // Colonne hash existante (autre schéma) retirée avant de recalculer
+      const row = replaceHash ? line.slice(line.indexOf('\t') + 1) : line
+      const fen = row.split('\t')[0]
+      hashedLines.push(`${hashPosition(fen)}\t${row}`)
     }
 
     parentPort.postMessage({
       success: true,
       result: {
         lines: hashedLines,
+        processedCount: hashedLines.length,
         batchId
       }
     })
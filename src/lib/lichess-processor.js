@@ -3,39 +3,59 @@
 import fs from 'fs';
 import path from 'path';
 import https from 'https';
+import http from 'http';
+import crypto from 'crypto';
 import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import { pipeline, Readable } from 'stream';
+import { pipeline as pipelineAsync } from 'stream/promises';
 import pkg from 'simple-zstd';
 const { ZSTDDecompress } = pkg;
 import { fileURLToPath } from 'url';
 import WorkerPool from './worker-pool.js';
+import { readGameBlocks, splitGames } from './pgn-reader.js';
+import loadConfig from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Charger la configuration
-const configPath = path.join(__dirname, '..', '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
 
 const workerScript = path.join(__dirname, 'filter-worker.js');
 
+/**
+ * Téléchargement et filtrage d'une base Lichess : standard (par défaut) ou une variante
+ * (chess960, crazyhouse...), chacune avec ses propres fichiers de sortie lichess-<variante>-*.pgn
+ */
 class LichessProcessor {
-  constructor() {
-    this.baseUrl = 'https://database.lichess.org/standard/';
+  constructor({ dryRun = false, variant = 'standard' } = {}) {
+    this.variant = variant;
+    this.baseUrl = `${config.sources.lichess}/${variant}/`;
     this.outputDir = path.join(__dirname, '..', 'output');
 
     // Génération automatique des noms de fichiers basés sur la configuration
     const minElo = config.minOnlineElo;
     const minTime = config.minGameTime;
+    this.filePrefix = variant === 'standard' ? 'lichess' : `lichess-${variant}`;
 
-    this.outputFileAll = path.join(this.outputDir, `lichess-${minElo}.pgn`);
-    this.outputFileLimited = path.join(this.outputDir, `lichess-${minElo}-${minTime}.pgn`);
-    this.outputFileEval = path.join(this.outputDir, `lichess-eval.pgn`);
+    this.outputFileAll = path.join(this.outputDir, `${this.filePrefix}-${minElo}.pgn`);
+    this.outputFileLimited = path.join(this.outputDir, `${this.filePrefix}-${minElo}-${minTime}.pgn`);
+    this.outputFileEval = path.join(this.outputDir, `${this.filePrefix}-eval.pgn`);
 
     this.tempDir = path.join(__dirname, '..', 'temp');
-
-    this.ensureDirectories();
+    // Délai d'inactivité d'un téléchargement avant abandon
+    this.downloadTimeout = 60000;
+    // Délai maximum entre deux essais (backoff exponentiel à partir de lichess.retryDelayMs)
+    this.maxRetryDelay = 60000;
+    // Une archive corrompue est téléchargée une seconde fois avant d'abandonner le mois
+    this.checksumAttempts = 2;
+    this.checksums = null;
+
+    if (!dryRun) {
+      this.ensureDirectories();
+    }
   }  ensureDirectories() {
-    [this.outputDir, this.tempDir].forEach(dir => {
+    [this.outputDir, path.join(__dirname, '..', 'progress'), this.tempDir].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
@@ -65,74 +85,265 @@ class LichessProcessor {
 
   createUrlFromDate(dateString) {
     const [year, month] = dateString.split('-');
-    const filename = `lichess_db_standard_rated_${dateString}.pgn.zst`;
+    const filename = `lichess_db_${this.variant}_rated_${dateString}.pgn.zst`;
 
     return {
       url: this.baseUrl + filename,
       filename,
+      date: dateString,
       year: parseInt(year),
       month
     };
   }
 
-  generateUrls(startYear = 2013, startMonth = 1) {
+  /**
+   * 404 sur une variante : Lichess ne publie pas toutes les variantes depuis 2013-01,
+   * le mois est simplement absent de la base
+   */
+  isUnpublishedMonth(error) {
+    return this.variant !== 'standard' && error.statusCode === 404;
+  }
+
+  /**
+   * Dernier mois publié par Lichess (le mois précédent)
+   */
+  getLastAvailableMonth() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth();
+
+    return month === 0 ? `${year - 1}-12` : `${year}-${month.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Mois de startMonth à endMonth inclus (par défaut : config lichess.startMonth → dernier mois publié)
+   */
+  generateUrls(startMonth = config.lichess.startMonth, endMonth = config.lichess.endMonth) {
+    const lastMonth = endMonth && endMonth < this.getLastAvailableMonth() ? endMonth : this.getLastAvailableMonth();
     const urls = [];
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear();
-    const currentMonth = currentDate.getMonth() + 1;
-
-    for (let year = startYear; year <= currentYear; year++) {
-      const startM = year === startYear ? startMonth : 1;
-      const endM = year === currentYear ? currentMonth - 1 : 12;
-
-      for (let month = startM; month <= endM; month++) {
-        const monthStr = month.toString().padStart(2, '0');
-        const dateString = `${year}-${monthStr}`;
-        urls.push(this.createUrlFromDate(dateString));
+
+    let [year, month] = startMonth.split('-').map(num => parseInt(num));
+    let dateString = startMonth;
+    while (dateString <= lastMonth) {
+      urls.push(this.createUrlFromDate(dateString));
+
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
       }
+      dateString = `${year}-${month.toString().padStart(2, '0')}`;
     }
 
     return urls;
   }
 
   /**
-   * Télécharge un fichier depuis une URL
+   * Fichiers de sortie dont la progression suit les plages d'octets
    */
-  async downloadFile(url, outputPath) {
-    return new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(outputPath);
+  getOutputFiles() {
+    return [this.outputFileLimited, this.outputFileEval];
+  }
 
-      const request = https.get(url, (response) => {
-        if (response.statusCode !== 200) {
-          reject(new Error(`Erreur HTTP: ${response.statusCode}`));
+  /**
+   * Ouvre un téléchargement à partir de l'octet start (en-tête Range si start > 0)
+   * Retourne la réponse (200 ou 206) et la taille totale de la ressource si elle est connue
+   */
+  openDownload(url, start = 0) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const headers = start > 0 ? { Range: `bytes=${start}-` } : {};
+
+      const request = client.get(url, { headers }, (response) => {
+        const { statusCode } = response;
+        if (statusCode !== 200 && statusCode !== 206) {
+          response.resume();
+          const error = new Error(`Erreur HTTP: ${statusCode}`);
+          error.statusCode = statusCode;
+          // Une archive absente ne sera pas publiée entre deux essais
+          error.permanent = statusCode === 404 || statusCode === 416;
+          reject(error);
           return;
         }
 
-        let downloadedSize = 0;
-
-        response.on('data', (chunk) => {
-          downloadedSize += chunk.length;
-        });
+        const contentRange = response.headers['content-range'];
+        const totalBytes = statusCode === 206 && contentRange
+          ? parseInt(contentRange.split('/')[1]) || null
+          : parseInt(response.headers['content-length']) || null;
 
-        response.pipe(file);
+        resolve({ response, totalBytes });
       });
 
-      file.on('finish', () => {
-        file.close();
-        resolve();
+      request.on('error', reject);
+      request.setTimeout(this.downloadTimeout, () => {
+        request.destroy(new Error(`Aucune donnée reçue depuis ${this.downloadTimeout / 1000}s`));
       });
+    });
+  }
 
-      request.on('error', (err) => {
-        fs.unlink(outputPath, () => { }); // Supprimer le fichier partiel
-        reject(err);
-      });
+  /**
+   * Attend avant un nouvel essai : lichess.retryDelayMs, puis x2 à chaque échec
+   */
+  async waitBeforeRetry(attempt, url, error) {
+    const delay = Math.min(config.lichess.retryDelayMs * 2 ** (attempt - 1), this.maxRetryDelay);
+    console.warn(`⚠️  ${path.basename(url)}: ${error.message}, essai ${attempt}/${config.lichess.maxRetries} dans ${delay / 1000}s`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
 
-      file.on('error', (err) => {
-        fs.unlink(outputPath, () => { }); // Supprimer le fichier partiel
-        reject(err);
-      });
-    });
-  }  /**
+  /**
+   * Octets d'une ressource à partir de start, avec reprise automatique :
+   * après une coupure, la connexion est rouverte avec Range depuis le dernier octet reçu.
+   * Si le serveur ignore Range (200), les octets déjà reçus sont sautés.
+   * 416 sur une reprise : la ressource était déjà complète.
+   */
+  async *downloadChunks(url, start = 0) {
+    let offset = start;
+    let totalBytes = null;
+    let attempt = 0;
+
+    while (totalBytes === null || offset < totalBytes) {
+      let opened;
+      try {
+        opened = await this.openDownload(url, offset);
+      } catch (error) {
+        if (error.statusCode === 416 && offset > 0) {
+          return;
+        }
+        if (error.permanent || ++attempt > config.lichess.maxRetries) {
+          throw error;
+        }
+        await this.waitBeforeRetry(attempt, url, error);
+        continue;
+      }
+
+      const { response } = opened;
+      const attemptStart = offset;
+      totalBytes = opened.totalBytes;
+      // Octets déjà reçus à sauter ; offset reste sur le dernier octet reçu pour une reprise pendant le saut
+      let skip = response.statusCode === 200 ? offset : 0;
+
+      try {
+        for await (let chunk of response) {
+          if (skip > 0) {
+            const skipped = Math.min(skip, chunk.length);
+            skip -= skipped;
+            chunk = chunk.subarray(skipped);
+            if (chunk.length === 0) continue;
+          }
+          offset += chunk.length;
+          yield chunk;
+        }
+
+        if (!response.complete) {
+          throw new Error('connexion interrompue');
+        }
+        if (totalBytes === null) {
+          return;
+        }
+        if (offset < totalBytes) {
+          throw new Error(`réponse incomplète (${offset}/${totalBytes} octets)`);
+        }
+      } catch (error) {
+        // Un essai qui a fait progresser le téléchargement remet le compteur à zéro
+        if (offset > attemptStart) {
+          attempt = 0;
+        }
+        if (++attempt > config.lichess.maxRetries) {
+          throw new Error(`Téléchargement interrompu après ${config.lichess.maxRetries} essais: ${error.message}`);
+        }
+        await this.waitBeforeRetry(attempt, url, error);
+      } finally {
+        response.destroy();
+      }
+    }
+  }
+
+  /**
+   * Télécharge un fichier avec reprise : les octets arrivent dans <fichier>.part,
+   * renommé une fois complet. Un .part laissé par une interruption est repris là où il s'était arrêté.
+   */
+  async downloadFile(url, outputPath) {
+    const partPath = outputPath + '.part';
+    const start = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    if (start > 0) {
+      console.log(`↪️  Reprise de ${path.basename(outputPath)} à ${(start / 1024 / 1024).toFixed(1)} MB`);
+    }
+
+    const file = createWriteStream(partPath, { flags: start > 0 ? 'a' : 'w' });
+    try {
+      for await (const chunk of this.downloadChunks(url, start)) {
+        if (!file.write(chunk)) {
+          await once(file, 'drain');
+        }
+      }
+    } finally {
+      await new Promise(resolve => file.end(resolve));
+    }
+
+    await fs.promises.rename(partPath, outputPath);
+  }
+
+  /**
+   * Sommes sha256 publiées par Lichess (sha256sums.txt), chargées une seule fois
+   * Map vide si la liste est indisponible, null si la vérification est désactivée
+   */
+  loadChecksums() {
+    if (!this.checksums) {
+      this.checksums = this.fetchChecksums();
+    }
+    return this.checksums;
+  }
+
+  async fetchChecksums() {
+    if (!config.lichess.verifyChecksums) {
+      return null;
+    }
+
+    const url = this.baseUrl + 'sha256sums.txt';
+    try {
+      const chunks = [];
+      for await (const chunk of this.downloadChunks(url)) {
+        chunks.push(chunk);
+      }
+
+      const checksums = new Map();
+      for (const line of Buffer.concat(chunks).toString('utf8').split('\n')) {
+        const match = line.trim().match(/^([0-9a-f]{64})\s+\*?(\S+)$/i);
+        if (match) {
+          checksums.set(match[2], match[1].toLowerCase());
+        }
+      }
+
+      console.log(`🔐 ${checksums.size} sommes sha256 chargées depuis ${url}`);
+      return checksums;
+    } catch (error) {
+      console.warn(`⚠️  Liste sha256 indisponible (${error.message}): les archives ne pourront pas être vérifiées`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Somme sha256 attendue pour une archive ({ expected } ou { expected: null, reason })
+   */
+  async getExpectedChecksum(filename) {
+    const checksums = await this.loadChecksums();
+    if (checksums === null) {
+      return { expected: null, reason: 'vérification désactivée' };
+    }
+
+    const expected = checksums.get(filename) || null;
+    return expected ? { expected } : { expected: null, reason: checksums.size > 0 ? 'absente de sha256sums.txt' : 'sha256sums.txt indisponible' };
+  }
+
+  async computeSha256(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
    * Décompresse un fichier .zst en streaming natif - AUCUNE limite de taille
    * Utilise simple-zstd pour un vrai streaming sans charger en mémoire
    */
@@ -190,7 +401,7 @@ class LichessProcessor {
    */  async filterGames(inputPath, year, month) {
     console.log(`Filtrage streaming multithread: ${year}-${month}`);
 
-    const workerPool = new WorkerPool(workerScript);
+    const workerPool = this.createWorkerPool();
 
     try {
       console.time('⏱️  Streaming Processing');
@@ -206,51 +417,58 @@ class LichessProcessor {
     }
   }
 
+  /**
+   * Pool de workers de filtrage (partagé entre les mois traités en parallèle en mode streaming)
+   */
+  createWorkerPool() {
+    return new WorkerPool(workerScript);
+  }
+
   /**
    * Télécharge et décompresse un mois (étape 1 du pipeline)
    */
   async downloadAndDecompress(urlData) {
-    const { url, filename, year, month } = urlData;
-    const zstPath = path.join(this.tempDir, filename);
-    const pgnPath = path.join(this.tempDir, filename.replace('.zst', ''));
-
+    const { year, month } = urlData;
 
-    try {
-      console.time(`⏱️  Download+Decompress ${year}-${month}`);
-      // 1. Télécharger
-      await this.downloadFile(url, zstPath);
-
-      // 2. Décompresser
-      await this.decompressZst(zstPath, pgnPath);
+    console.time(`⏱️  Download+Decompress ${year}-${month}`);
+    const downloadData = await this.downloadOnly(urlData);
+    const decompressed = await this.decompressOnly(downloadData);
+    console.timeEnd(`⏱️  Download+Decompress ${year}-${month}`);
 
-      // 3. Supprimer le .zst pour économiser l'espace
-      await this.deleteFile(zstPath);
-
-      console.timeEnd(`⏱️  Download+Decompress ${year}-${month}`);
-      return { pgnPath, year, month };
-    } catch (error) {
-      // Nettoyer en cas d'erreur
-      await this.deleteFile(zstPath);
-      await this.deleteFile(pgnPath);
-      throw error;
-    }
+    return decompressed;
   }
 
   /**
-   * Télécharge seulement un fichier (sans décompression)
+   * Télécharge seulement un fichier (sans décompression) et le vérifie avant de le rendre :
+   * une archive dont le sha256 ne correspond pas est supprimée et téléchargée à nouveau.
+   * Une archive déjà complète dans src/temp est réutilisée si elle est valide.
+   * verification : { verified: true } ou { verified: false, reason }
    */
   async downloadOnly(urlData) {
-    const { url, filename, year, month } = urlData;
+    const { url, filename, year, month, date } = urlData;
     const zstPath = path.join(this.tempDir, filename);
+    const { expected, reason } = await this.getExpectedChecksum(filename);
 
+    for (let attempt = 1; ; attempt++) {
+      if (!fs.existsSync(zstPath)) {
+        await this.downloadFile(url, zstPath);
+      }
 
-    try {
-      await this.downloadFile(url, zstPath);
+      if (!expected) {
+        return { zstPath, filename, year, month, date, verification: { verified: false, reason } };
+      }
+
+      const actual = await this.computeSha256(zstPath);
+      if (actual === expected) {
+        console.log(`🔐 ${filename}: sha256 vérifié`);
+        return { zstPath, filename, year, month, date, verification: { verified: true } };
+      }
 
-      return { zstPath, filename, year, month };
-    } catch (error) {
       await this.deleteFile(zstPath);
-      throw error;
+      if (attempt >= this.checksumAttempts) {
+        throw new Error(`Archive ${filename} corrompue: sha256 différent après ${attempt} téléchargements`);
+      }
+      console.warn(`⚠️  ${filename}: sha256 différent (${actual.slice(0, 12)}… au lieu de ${expected.slice(0, 12)}…), nouveau téléchargement`);
     }
   }
 
@@ -258,7 +476,7 @@ class LichessProcessor {
    * Décompresse seulement un fichier déjà téléchargé
    */
   async decompressOnly(downloadData) {
-    const { zstPath, filename, year, month } = downloadData;
+    const { zstPath, filename, year, month, verification } = downloadData;
     const pgnPath = path.join(this.tempDir, filename.replace('.zst', ''));
 
     try {
@@ -266,7 +484,7 @@ class LichessProcessor {
 
       await this.deleteFile(zstPath);
 
-      return { pgnPath, year, month };
+      return { pgnPath, year, month, verification };
     } catch (error) {
       await this.deleteFile(zstPath);
       await this.deleteFile(pgnPath);
@@ -295,6 +513,95 @@ class LichessProcessor {
     }
   }
 
+  /**
+   * Fichiers temporaires d'un mois en mode streaming (parties déjà filtrées uniquement)
+   */
+  getMonthTempOutputs(date) {
+    return {
+      limited: path.join(this.tempDir, `${this.filePrefix}-${date}-limited.pgn`),
+      eval: path.join(this.tempDir, `${this.filePrefix}-${date}-eval.pgn`)
+    };
+  }
+
+  /**
+   * Mode streaming : réponse HTTP → ZSTDDecompress → workers de filtrage, en une seule passe.
+   * Ni le .zst ni le PGN décompressé ne sont écrits sur disque ; les parties retenues vont dans
+   * les fichiers temporaires du mois, ajoutés aux sorties finales par appendMonthOutputs seulement une fois
+   * le sha256 vérifié (archive corrompue : fichiers du mois supprimés, les sorties finales ne changent pas).
+   */
+  async streamFilterMonth(urlData, workerPool) {
+    const { url, filename, date } = urlData;
+    const outputs = this.getMonthTempOutputs(date);
+    const { expected, reason } = await this.getExpectedChecksum(filename);
+
+    for (let attempt = 1; ; attempt++) {
+      for (const file of Object.values(outputs)) {
+        await fs.promises.writeFile(file, '', 'utf8');
+      }
+
+      // Les octets sont hachés au passage ; la reprise Range continue le même flux zstd
+      const hash = crypto.createHash('sha256');
+      let downloadComplete = false;
+      const chunks = this.downloadChunks(url);
+      const body = Readable.from((async function* () {
+        for await (const chunk of chunks) {
+          hash.update(chunk);
+          yield chunk;
+        }
+        downloadComplete = true;
+      })());
+
+      let stats;
+      try {
+        // pipeline détruit le flux décompressé si le téléchargement échoue : l'erreur remonte dans la lecture des parties
+        const decompressStream = ZSTDDecompress();
+        pipeline(body, decompressStream, () => { });
+
+        console.time(`⏱️  Streaming ${date}`);
+        stats = await this.streamingFilterGames(decompressStream, workerPool, outputs);
+        console.timeEnd(`⏱️  Streaming ${date}`);
+      } catch (error) {
+        await this.deleteMonthTempOutputs(outputs);
+        throw error;
+      } finally {
+        body.destroy();
+      }
+
+      // zstd ne signale pas une archive corrompue ou tronquée : somme sha256 et fin du téléchargement
+      const actual = downloadComplete ? hash.digest('hex') : null;
+      if (downloadComplete && (!expected || actual === expected)) {
+        const verification = expected ? { verified: true } : { verified: false, reason };
+        console.log(`Filtrage ${date} terminé: ${stats.filteredLimited} limited, ${stats.filteredEval} eval sur ${stats.total}${expected ? ' (sha256 vérifié)' : ''}`);
+        return { ...stats, outputs, verification };
+      }
+
+      await this.deleteMonthTempOutputs(outputs);
+      const problem = downloadComplete ? 'sha256 différent' : 'archive zstd terminée avant la fin du téléchargement';
+      if (attempt >= this.checksumAttempts) {
+        throw new Error(`Archive ${filename} corrompue: ${problem} après ${attempt} téléchargements`);
+      }
+      console.warn(`⚠️  ${filename}: ${problem}, nouveau téléchargement`);
+    }
+  }
+
+  /**
+   * Ajoute les parties filtrées d'un mois à la fin des sorties finales puis supprime les fichiers du mois
+   */
+  async appendMonthOutputs(outputs) {
+    const targets = { limited: this.outputFileLimited, eval: this.outputFileEval };
+
+    for (const [key, file] of Object.entries(outputs)) {
+      await pipelineAsync(createReadStream(file), createWriteStream(targets[key], { flags: 'a' }));
+    }
+    await this.deleteMonthTempOutputs(outputs);
+  }
+
+  async deleteMonthTempOutputs(outputs) {
+    for (const file of Object.values(outputs)) {
+      await this.deleteFile(file);
+    }
+  }
+
   /**
    * Supprime un fichier
    */
@@ -344,10 +651,7 @@ class LichessProcessor {
         }
 
         const content = await fs.promises.readFile(filePath, 'utf8');
-
-        // Compter les parties (approximatif)
-        const gameMatches = content.match(/\[Event /g);
-        const gameCount = gameMatches ? gameMatches.length : 0;
+        const gameCount = splitGames(content).length;
 
         if (gameCount === 0) {
           continue;
@@ -374,152 +678,117 @@ class LichessProcessor {
 
   /**
    * Traitement streaming des parties PGN - découpe et traite à la volée sans charger tout en mémoire
-   */  async streamingFilterGames(inputPath, workerPool) {
-    return new Promise((resolve, reject) => {
-      const readStream = createReadStream(inputPath, { encoding: 'utf8', highWaterMark: 64 * 1024 });
-
-      // État du parsing
-      let buffer = '';
-      let currentChunk = '';
-      let currentChunkGameCount = 0;
-      let chunkId = 0;
-      const maxGamesPerChunk = 2000;
-
-      // Statistiques globales
-      let totalGames = 0;
-      let totalFilteredAll = 0;
-      let totalFilteredLimited = 0;
-      let totalFilteredEval = 0;
-
-      // Gestion des chunks en cours de traitement
-      const processingPromises = [];
+   * input : chemin d'un PGN ou flux (ex : réponse HTTP décompressée) ; outputs : fichiers limited/eval
+   */  async streamingFilterGames(input, workerPool, outputs = { limited: this.outputFileLimited, eval: this.outputFileEval }) {
+    const readStream = typeof input === 'string'
+      ? createReadStream(input, { highWaterMark: 64 * 1024 })
+      : input;
+
+    // État du découpage (blocs d'environ 2 Mo, soit quelques milliers de parties)
+    let chunkId = 0;
+    const chunkSize = 2 * 1024 * 1024;
+
+    // Statistiques globales
+    let totalGames = 0;
+    let totalFilteredAll = 0;
+    let totalFilteredLimited = 0;
+    let totalFilteredEval = 0;
+    // Chunks dont le worker a échoué : leurs parties manquent, le mois ne doit pas être marqué terminé
+    let failedChunks = 0;
+
+    // Gestion des chunks en cours de traitement (bornée pour ne pas lire plus vite que les workers)
+    const processingPromises = [];
+    const pendingChunks = new Set();
+    const maxPendingChunks = workerPool.poolSize * 2;
+
+    // Flux d'écriture (créés à la demande)
+    let writeStreamAll = null;
+    let writeStreamLimited = null;
+    let writeStreamEval = null;
+
+    // Fonction pour traiter un chunk complet
+    const processChunk = async (chunkText, id) => {
+      try {
+        const result = await workerPool.execute({
+          chunkText: chunkText,
+          chunkId: id
+        });
 
-      // Flux d'écriture (créés à la demande)
-      let writeStreamAll = null;
-      let writeStreamLimited = null;
-      let writeStreamEval = null;
+        totalGames += result.totalGames;
+        totalFilteredAll += result.filteredAll;
+        totalFilteredLimited += result.filteredLimited;
+        totalFilteredEval += result.filteredEval;
 
-      // Fonction pour traiter un chunk complet
-      const processChunk = async (chunkText, id) => {
-        try {
-          const result = await workerPool.execute({
-            chunkText: chunkText,
-            chunkId: id
-          });
-
-          totalGames += result.totalGames;
-          totalFilteredAll += result.filteredAll;
-          totalFilteredLimited += result.filteredLimited;
-          totalFilteredEval += result.filteredEval;
-
-          // Écrire les parties LIMITED
-          if (result.gamesLimited.length > 0) {
-            if (!writeStreamLimited) {
-              writeStreamLimited = createWriteStream(this.outputFileLimited, { flags: 'a' });
-            }
-            for (const game of result.gamesLimited) {
-              writeStreamLimited.write(game + '\n\n');
-            }
+        // Écrire les parties LIMITED
+        if (result.gamesLimited.length > 0) {
+          if (!writeStreamLimited) {
+            writeStreamLimited = createWriteStream(outputs.limited, { flags: 'a' });
           }
-
-          // Écrire les parties EVAL
-          if (result.gamesEval.length > 0) {
-            if (!writeStreamEval) {
-              writeStreamEval = createWriteStream(this.outputFileEval, { flags: 'a' });
-            }
-            for (const game of result.gamesEval) {
-              writeStreamEval.write(game + '\n\n');
-            }
+          for (const game of result.gamesLimited) {
+            writeStreamLimited.write(game + '\n\n');
           }
-
-        } catch (error) {
-          console.error(`Erreur chunk ${id}: ${error.message}`);
         }
-      };
-
-      // Fonction pour finaliser un chunk et l'envoyer au traitement
-      const finalizeChunk = () => {
-        if (currentChunk.trim() && currentChunkGameCount > 0) {
-          const promise = processChunk(currentChunk, chunkId++);
-          processingPromises.push(promise);
 
-          currentChunk = '';
-          currentChunkGameCount = 0;
-        }
-      };
-
-      // Parsing ligne par ligne
-      let currentGame = '';
-      let inGame = false;
-
-      readStream.on('data', (chunk) => {
-        buffer += chunk;
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.startsWith('[Event ')) {
-            // Nouvelle partie détectée
-            if (inGame && currentGame) {
-              // Finaliser la partie précédente
-              currentChunk += currentGame + '\n\n';
-              currentChunkGameCount++;
-
-              // Vérifier si on doit créer un nouveau chunk
-              if (currentChunkGameCount >= maxGamesPerChunk) {
-                finalizeChunk();
-              }
-            }
-            currentGame = line + '\n';
-            inGame = true;
-          } else if (inGame) {
-            currentGame += line + '\n';
+        // Écrire les parties EVAL
+        if (result.gamesEval.length > 0) {
+          if (!writeStreamEval) {
+            writeStreamEval = createWriteStream(outputs.eval, { flags: 'a' });
+          }
+          for (const game of result.gamesEval) {
+            writeStreamEval.write(game + '\n\n');
           }
         }
-      });
 
-      readStream.on('end', async () => {
-        try {
-          // Traiter la dernière partie et le dernier chunk
-          if (inGame && currentGame) {
-            currentChunk += currentGame + '\n\n';
-            currentChunkGameCount++;
-          }
+      } catch (error) {
+        failedChunks++;
+        console.error(`Erreur chunk ${id}: ${error.message}`);
+      }
+    };
 
-          if (currentChunk.trim()) {
-            finalizeChunk();
-          }
+    // Le thread principal coupe seulement entre deux parties (pgn-reader, readGameBlocks) :
+    // l'analyse des parties (splitGames) se fait dans les workers
+    // Fermer les flux d'écriture et attendre l'écriture sur disque (la progression lit la taille des sorties)
+    const closeStreams = () => Promise.all([writeStreamAll, writeStreamLimited, writeStreamEval]
+      .filter(stream => stream)
+      .map(stream => new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+      })));
 
-          // Attendre que tous les chunks soient traités
-          console.log(`Attente du traitement de ${processingPromises.length} chunks...`);
-          await Promise.all(processingPromises);
+    try {
+      for await (const chunkText of readGameBlocks(readStream, chunkSize)) {
+        if (!chunkText.trim()) continue;
 
-          // Fermer les flux d'écriture
-          if (writeStreamAll) {
-            writeStreamAll.end();
-          } if (writeStreamLimited) {
-            writeStreamLimited.end();
-          }
-          if (writeStreamEval) {
-            writeStreamEval.end();
-          }
+        const promise = processChunk(chunkText, chunkId++);
+        processingPromises.push(promise);
+        pendingChunks.add(promise);
+        promise.finally(() => pendingChunks.delete(promise));
 
-          console.log(`Streaming terminé: ${chunkId} chunks traités`);
+        if (pendingChunks.size >= maxPendingChunks) {
+          await Promise.race(pendingChunks);
+        }
+      }
+    } catch (error) {
+      // Flux interrompu : les chunks en cours finissent d'écrire avant que l'appelant ne supprime les sorties du mois
+      await Promise.allSettled(processingPromises);
+      await closeStreams().catch(() => { });
+      throw error;
+    }
 
-          resolve({
-            total: totalGames,
-            filteredAll: totalFilteredAll,
-            filteredLimited: totalFilteredLimited,
-            filteredEval: totalFilteredEval
-          });
+    // Attendre que tous les chunks soient traités
+    console.log(`Attente du traitement de ${processingPromises.length} chunks...`);
+    await Promise.all(processingPromises);
+    await closeStreams();
 
-        } catch (error) {
-          reject(error);
-        }
-      });
+    console.log(`Streaming terminé: ${chunkId} chunks traités${failedChunks > 0 ? `, ${failedChunks} en échec` : ''}`);
 
-      readStream.on('error', reject);
-    });
+    return {
+      total: totalGames,
+      filteredAll: totalFilteredAll,
+      filteredLimited: totalFilteredLimited,
+      filteredEval: totalFilteredEval,
+      failedChunks
+    };
   }
 }
 
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { readGames } from './pgn-reader.js';
+
+/**
+ * Progression Lichess (src/progress/lichess.json)
+ * Garde pour chaque mois traité le nombre de parties et la plage d'octets [début, fin[
+ * qu'il a ajoutée dans chaque fichier de sortie. Le mois en cours est noté dans "pending"
+ * avec la taille des sorties avant traitement : après une interruption, les sorties sont
+ * tronquées à ces tailles avant de retraiter le mois, sans doublons.
+ */
+class LichessProgress {
+  constructor(progressFile, legacyFile = null) {
+    this.progressFile = progressFile;
+    this.legacyFile = legacyFile;
+    this.data = { version: 1, months: {}, pending: null };
+    this.load();
+  }
+
+  /**
+   * Charge la progression ; reprend l'ancien lichess.pv (prochain mois à traiter) s'il existe seul
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.progressFile)) {
+        const content = JSON.parse(fs.readFileSync(this.progressFile, 'utf8'));
+        this.data = {
+          version: 1,
+          months: content.months || {},
+          pending: content.pending || null
+        };
+        return;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Progression Lichess illisible, elle sera recréée: ${error.message}`);
+      return;
+    }
+
+    if (this.legacyFile && fs.existsSync(this.legacyFile)) {
+      const nextMonth = fs.readFileSync(this.legacyFile, 'utf8').trim();
+      if (/^\d{4}-\d{2}$/.test(nextMonth)) {
+        for (let month = '2013-01'; month < nextMonth; month = LichessProgress.nextMonth(month)) {
+          this.data.months[month] = { games: null, outputs: null, legacy: true };
+        }
+        console.log(`🔄 Progression reprise de ${path.basename(this.legacyFile)}: ${Object.keys(this.data.months).length} mois déjà traités`);
+      }
+    }
+  }
+
+  /**
+   * Sauvegarde de manière atomique (fichier temporaire + rename)
+   */
+  save() {
+    const dir = path.dirname(this.progressFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempFile = this.progressFile + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2), 'utf8');
+    fs.renameSync(tempFile, this.progressFile);
+  }
+
+  static nextMonth(month) {
+    const [year, m] = month.split('-').map(num => parseInt(num));
+    return m === 12 ? `${year + 1}-01` : `${year}-${(m + 1).toString().padStart(2, '0')}`;
+  }
+
+  isDone(month) {
+    return Boolean(this.data.months[month]);
+  }
+
+  completedMonths() {
+    return Object.keys(this.data.months).sort();
+  }
+
+  /**
+   * Mois traités dont l'archive n'a pas pu être vérifiée (mois repris de lichess.pv exclus : inconnu)
+   */
+  unverifiedMonths() {
+    return this.completedMonths().filter(month => this.data.months[month].sha256 === 'unverified');
+  }
+
+  /**
+   * Taille actuelle de chaque sortie (0 si absente), indexée par nom de fichier
+   */
+  static outputSizes(outputFiles) {
+    const sizes = {};
+    for (const file of outputFiles) {
+      sizes[path.basename(file)] = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+    return sizes;
+  }
+
+  /**
+   * Remet les sorties dans l'état du dernier mois terminé
+   *  - mois interrompu : sorties tronquées à leur taille d'avant traitement (seul cas de troncature)
+   *  - sortie plus courte que la fin du dernier mois enregistré : nettoyée entre deux runs (game-checker.js
+   *    la remplace par sa copie sans les parties invalides), les plages d'octets sont recalculées depuis son contenu
+   *  - sortie absente alors que des mois y ont écrit : progression invalide, tout est retraité (retourne false)
+   */
+  async recover(outputFiles) {
+    const pending = this.data.pending;
+    if (pending) {
+      console.log(`🔄 Mois ${pending.month} interrompu: retour des sorties à leur état précédent`);
+      this.rollback(outputFiles);
+    }
+
+    const sizes = LichessProgress.outputSizes(outputFiles);
+    for (const file of outputFiles) {
+      const name = path.basename(file);
+      const recordedEnd = Math.max(0, ...Object.values(this.data.months)
+        .map(entry => entry.outputs?.[name]?.[1] ?? 0));
+
+      if (recordedEnd > 0 && !fs.existsSync(file)) {
+        console.warn(`⚠️  ${name} absent alors que la progression y a enregistré des mois, retraitement complet`);
+        this.reset();
+        return false;
+      }
+
+      if (sizes[name] < recordedEnd) {
+        console.log(`📐 ${name} nettoyé depuis le dernier run (${sizes[name]} < ${recordedEnd} octets): plages d'octets recalculées`);
+        await this.rebuildRanges(file, sizes[name]);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Recalcule les plages d'octets d'une sortie nettoyée depuis son contenu : chaque partie est rattachée au mois
+   * de son tag UTCDate (une archive Lichess contient les parties commencées dans le mois). Les mois sont ajoutés
+   * d'un bloc, chacun doit donc former une seule plage ; un mois dont il ne reste aucune partie n'a plus de plage (null).
+   * Partie d'un mois non traité ou mois en plusieurs morceaux : plages de cette sortie inconnues (null).
+   */
+  async rebuildRanges(file, size) {
+    const name = path.basename(file);
+    const starts = new Map();
+    let current = null;
+    let consistent = true;
+
+    for await (const game of readGames(file, { maxGameSize: 0 })) {
+      const month = (game.headers.UTCDate || game.headers.Date || '').slice(0, 7).replace('.', '-');
+      if (month === current) continue;
+      if (!this.data.months[month] || starts.has(month)) {
+        consistent = false;
+        break;
+      }
+      starts.set(month, game.byteOffset);
+      current = month;
+    }
+
+    // Un mois s'étend jusqu'au début du suivant (lignes vides comprises), le dernier jusqu'à la fin du fichier
+    const ordered = [...starts];
+    const ranges = new Map(ordered.map(([month, start], index) => [month, [start, ordered[index + 1]?.[1] ?? size]]));
+
+    for (const [month, entry] of Object.entries(this.data.months)) {
+      if (entry.outputs?.[name] !== undefined) {
+        entry.outputs[name] = consistent ? ranges.get(month) ?? null : null;
+      }
+    }
+    if (!consistent) {
+      console.warn(`⚠️  ${name}: parties hors de l'ordre des mois, plages d'octets inconnues`);
+    }
+    this.save();
+  }
+
+  /**
+   * Oublie tous les mois traités
+   */
+  reset() {
+    this.data = { version: 1, months: {}, pending: null };
+    this.save();
+  }
+
+  /**
+   * Note le début du traitement d'un mois avec la taille actuelle des sorties
+   */
+  markStarted(month, outputFiles) {
+    this.data.pending = {
+      month,
+      sizes: LichessProgress.outputSizes(outputFiles),
+      startedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Abandonne le mois en cours (interrompu, ou chunks en échec) : sorties tronquées à leur taille d'avant traitement,
+   * le mois reste absent de la progression et sera retraité au prochain run
+   */
+  rollback(outputFiles) {
+    const pending = this.data.pending;
+    if (!pending) return;
+
+    for (const file of outputFiles) {
+      const size = pending.sizes[path.basename(file)];
+      if (size !== undefined && fs.existsSync(file) && fs.statSync(file).size > size) {
+        fs.truncateSync(file, size);
+      }
+    }
+    this.data.pending = null;
+    this.save();
+  }
+
+  /**
+   * Enregistre un mois sans archive publiée (variante pas encore disponible ce mois-là)
+   */
+  markMissing(month) {
+    this.data.months[month] = { games: 0, outputs: null, missing: true, completedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  /**
+   * Enregistre un mois terminé et les plages d'octets qu'il a produites
+   * verification : résultat du contrôle sha256 de l'archive ({ verified, reason })
+   */
+  markCompleted(month, outputFiles, games, verification = null) {
+    const before = this.data.pending?.month === month ? this.data.pending.sizes : {};
+    const after = LichessProgress.outputSizes(outputFiles);
+
+    this.data.months[month] = {
+      games,
+      outputs: Object.fromEntries(Object.entries(after).map(([name, end]) => [name, [before[name] ?? end, end]])),
+      sha256: verification?.verified ? 'verified' : 'unverified',
+      ...(verification && !verification.verified ? { unverifiedReason: verification.reason } : {}),
+      completedAt: new Date().toISOString()
+    };
+    this.data.pending = null;
+    this.save();
+  }
+}
+
+export default LichessProgress;
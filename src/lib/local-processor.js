@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import unzipper from 'unzipper';
+import pkg from 'simple-zstd';
+import { nanoid } from 'nanoid';
+import FilterWorker from './filter-worker.js';
+import { readGames } from './pgn-reader.js';
+import loadConfig from './config.js';
+
+const { ZSTDDecompress } = pkg;
+
+const config = loadConfig();
+
+const EXTENSIONS = ['.pgn', '.pgn.gz', '.pgn.zst', '.pgn.bz2', '.zip'];
+
+class LocalProcessor {
+  constructor({ dryRun = false } = {}) {
+    this.outputFile = './src/output/local.pgn';
+    this.tempFile = './src/temp/local-current.pgn';
+    this.progressFile = './src/progress/local.pv';
+    this.tempDir = './src/temp';
+
+    this.source = config.local.source;
+    this.applyOnlineFilters = config.local.applyOnlineFilters;
+
+    // Mêmes seuils que les sources en ligne
+    this.filter = new FilterWorker();
+
+    if (!dryRun) {
+      this.ensureDirectories();
+    }
+  }
+
+  ensureDirectories() {
+    ['./src/output', './src/progress', this.tempDir].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+  }
+
+  /**
+   * Liste récursivement les fichiers PGN (compressés ou non) des chemins donnés
+   */
+  async listFiles(inputPaths) {
+    const files = [];
+
+    const walk = async (target) => {
+      const stats = await fs.promises.stat(target);
+      if (stats.isDirectory()) {
+        const entries = await fs.promises.readdir(target);
+        for (const entry of entries.sort()) {
+          await walk(path.join(target, entry));
+        }
+      } else if (EXTENSIONS.some(ext => target.toLowerCase().endsWith(ext))) {
+        files.push({ path: path.resolve(target), size: stats.size, mtimeMs: Math.floor(stats.mtimeMs) });
+      }
+    };
+
+    for (const inputPath of inputPaths) {
+      if (!fs.existsSync(inputPath)) {
+        console.warn(`⚠️  Chemin introuvable: ${inputPath}`);
+        continue;
+      }
+      await walk(inputPath);
+    }
+
+    return files;
+  }
+
+  /**
+   * Paramètres qui décident des parties conservées, enregistrés en tête de local.pv (#filters=...)
+   */
+  filtersHeader() {
+    const { source, applyOnlineFilters } = this;
+    const { minOnlineElo, minGameTime, minPlyDepth } = config;
+    return '#filters=' + JSON.stringify({ source, applyOnlineFilters, minOnlineElo, minGameTime, minPlyDepth });
+  }
+
+  /**
+   * Raison de tout réimporter (null si local.pv est utilisable) : filtres modifiés depuis l'import,
+   * local.pgn absent, ou local.pv absent alors que local.pgn existe (les parties seraient ajoutées en double)
+   */
+  progressResetReason() {
+    const outputName = path.basename(this.outputFile);
+    if (!fs.existsSync(this.progressFile)) {
+      return fs.existsSync(this.outputFile) ? `${path.basename(this.progressFile)} absent alors que ${outputName} existe` : null;
+    }
+    if (!fs.existsSync(this.outputFile)) {
+      return `${outputName} absent`;
+    }
+    const [header] = fs.readFileSync(this.progressFile, 'utf8').split('\n', 1);
+    return header === this.filtersHeader() ? null : 'filtres modifiés depuis l\'import';
+  }
+
+  /**
+   * Fichiers déjà importés (chemin, taille et date identiques) ; aucun si tout doit être réimporté
+   */
+  async loadProgress() {
+    if (this.progressResetReason() || !fs.existsSync(this.progressFile)) {
+      return new Set();
+    }
+
+    const content = await fs.promises.readFile(this.progressFile, 'utf8');
+    return new Set(content.split('\n').filter(line => line.trim() && !line.startsWith('#')));
+  }
+
+  /**
+   * Supprime local.pgn et repart d'un local.pv vide avec les filtres actuels
+   */
+  async resetProgress() {
+    await fs.promises.rm(this.outputFile, { force: true });
+    await fs.promises.writeFile(this.progressFile, this.filtersHeader() + '\n', 'utf8');
+  }
+
+  progressKey(file) {
+    return `${file.path}\t${file.size}\t${file.mtimeMs}`;
+  }
+
+  async saveProgress(file) {
+    if (!fs.existsSync(this.progressFile)) {
+      await fs.promises.writeFile(this.progressFile, this.filtersHeader() + '\n', 'utf8');
+    }
+    await fs.promises.appendFile(this.progressFile, this.progressKey(file) + '\n', 'utf8');
+  }
+
+  /**
+   * Ouvre un fichier et produit un flux PGN décompressé par partie de l'archive
+   * (un seul flux pour .pgn/.gz/.zst/.bz2, un flux par fichier .pgn d'un .zip)
+   */
+  async *openPgnStreams(filePath) {
+    const lower = filePath.toLowerCase();
+
+    if (lower.endsWith('.zip')) {
+      const zip = fs.createReadStream(filePath).pipe(unzipper.Parse({ forceStream: true }));
+      for await (const entry of zip) {
+        if (entry.type === 'File' && entry.path.toLowerCase().endsWith('.pgn')) {
+          yield { name: `${path.basename(filePath)}:${entry.path}`, stream: entry };
+        } else {
+          entry.autodrain();
+        }
+      }
+      return;
+    }
+
+    if (lower.endsWith('.bz2')) {
+      const bzip2 = spawn('bzip2', ['-dc', filePath], { stdio: ['ignore', 'pipe', 'inherit'] });
+      const exit = new Promise((resolve, reject) => {
+        bzip2.on('error', (error) => reject(new Error(`bzip2 introuvable: ${error.message}`)));
+        bzip2.on('close', (code) => code === 0 ? resolve() : reject(new Error(`bzip2 a échoué avec le code ${code}`)));
+      });
+      exit.catch(() => { });
+
+      yield { name: path.basename(filePath), stream: bzip2.stdout };
+      await exit;
+      return;
+    }
+
+    const input = fs.createReadStream(filePath);
+    if (lower.endsWith('.gz')) {
+      yield { name: path.basename(filePath), stream: input.pipe(zlib.createGunzip()) };
+    } else if (lower.endsWith('.zst')) {
+      yield { name: path.basename(filePath), stream: input.pipe(ZSTDDecompress()) };
+    } else {
+      yield { name: path.basename(filePath), stream: input };
+    }
+  }
+
+  /**
+   * Filtres configurés : minPlyDepth toujours, ELO et cadence si local.applyOnlineFilters
+   * La cadence n'est vérifiée que si le TimeControl est au format "secondes+incrément"
+   */
+  shouldKeepGame({ headers, movetext }) {
+    if (!this.applyOnlineFilters) {
+      return this.filter.countPly(movetext) >= this.filter.minPlyCount;
+    }
+
+    const gameHeaders = {
+      WhiteElo: parseInt(headers.WhiteElo) || 0,
+      BlackElo: parseInt(headers.BlackElo) || 0
+    };
+    if (!this.filter.shouldKeepGameAll(gameHeaders, movetext)) {
+      return false;
+    }
+
+    const timeControl = headers.TimeControl || '';
+    if (/^\d+(\+\d+)?$/.test(timeControl)) {
+      return this.filter.extractBaseTimeFromTimeControl(timeControl) >= this.filter.timeThreshold;
+    }
+    return true;
+  }
+
+  /**
+   * Ajoute les tags [ID], [Source], [MaxElo] en tête de partie (comme TwicProcessor.addSourceTag)
+   * Les tags déjà présents (fichier issu d'un export précédent) sont remplacés
+   */
+  addSourceTag({ headers, raw }) {
+    const maxElo = Math.max(parseInt(headers.WhiteElo) || 0, parseInt(headers.BlackElo) || 0);
+    const id = nanoid();
+
+    const cleanGame = raw.replace(/^\[(ID|Source|MaxElo) "[^"]*"\]\n?/gm, '');
+
+    return `[ID "${id}"]\n[Source "${this.source}"]\n[MaxElo "${maxElo}"]\n${cleanGame}`;
+  }
+
+  /**
+   * Découpe un flux en parties, filtre, tague et écrit les parties conservées
+   */
+  async appendGames(stream, writeStream, stats) {
+    for await (const game of readGames(stream)) {
+      stats.totalGames++;
+      if (!this.shouldKeepGame(game)) {
+        stats.filteredGames++;
+        continue;
+      }
+
+      stats.keptGames++;
+      if (!writeStream.write(this.addSourceTag(game) + '\n\n')) {
+        await once(writeStream, 'drain');
+      }
+    }
+  }
+
+  /**
+   * Importe un fichier : écriture dans un fichier temporaire puis ajout au fichier local.pgn
+   * pour qu'une interruption ne laisse jamais de partie à moitié importée
+   */
+  async processFile(file) {
+    const stats = { totalGames: 0, keptGames: 0, filteredGames: 0 };
+    const writeStream = fs.createWriteStream(this.tempFile);
+
+    try {
+      for await (const { name, stream } of this.openPgnStreams(file.path)) {
+        console.log(`   📄 ${name}`);
+        await this.appendGames(stream, writeStream, stats);
+      }
+
+      writeStream.end();
+      await once(writeStream, 'finish');
+    } catch (error) {
+      writeStream.destroy();
+      await fs.promises.rm(this.tempFile, { force: true });
+      throw error;
+    }
+
+    await pipeline(fs.createReadStream(this.tempFile), fs.createWriteStream(this.outputFile, { flags: 'a' }));
+    await fs.promises.rm(this.tempFile, { force: true });
+
+    return stats;
+  }
+}
+
+export default LocalProcessor;
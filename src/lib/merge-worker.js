@@ -378,6 +378,136 @@ class MergeWorker {
       };
     }
   }
+
+  /**
+   * K-way merge générique de fichiers de lignes triées (ordre des chaînes) : générateur des lignes dans l'ordre global
+   * Utilisé hors worker par la déduplication sur disque (external-dedup.js), l'export du livre (export-book.js)
+   * et les arêtes de moves-all.tsv (mergeEdges)
+   */
+  async *mergeSortedLines(inputFiles, highWaterMark = 1024 * 1024) {
+    const readers = inputFiles.map((file, index) => ({
+      file,
+      index,
+      readStream: fs.createReadStream(file, { encoding: 'utf8', highWaterMark }),
+      buffer: '',
+      currentLine: null,
+      finished: false,
+      streamEnded: false,
+      lineQueue: []
+    }));
+
+    try {
+      await Promise.all(readers.map(reader => this.readNextLineBatch(reader, 100)));
+
+      while (true) {
+        let next = null;
+        for (const reader of readers) {
+          if (!reader.finished && reader.lineQueue.length === 0) {
+            await this.readNextLineBatch(reader, 100);
+          }
+          if (reader.lineQueue.length > 0 && (!next || reader.lineQueue[0] < next.lineQueue[0])) {
+            next = reader;
+          }
+        }
+        if (!next) break;
+
+        yield next.lineQueue.shift();
+      }
+    } finally {
+      for (const reader of readers) {
+        reader.readStream.destroy();
+      }
+    }
+  }
+
+  /**
+   * Arêtes position → coup (moves-all.tsv) agrégées depuis des fichiers triés en texte
+   * Lignes brutes (chunks de fen.js) : hash|coup|fen|résultat|elo|demi-coup
+   * Lignes agrégées (phases) : hash|coup|fen|count|white|black|draw|somme des elo|parties avec elo|premier demi-coup
+   * Demi-coup vide : arête vue seulement dans des parties qui ne partent pas de la position initiale standard
+   * Le hash est complété à largeur fixe : "hash|coup|" est un préfixe, donc les lignes d'une même arête se suivent
+   */
+  async *mergeEdges(inputFiles) {
+    let current = null;
+
+    for await (const line of this.mergeSortedLines(inputFiles, 8 * 1024 * 1024)) {
+      const parts = line.split('|');
+      const [hash, move, fen] = parts;
+
+      if (!current || current.hash !== hash || current.move !== move) {
+        if (current) yield current;
+        current = { hash, move, fen, count: 0, white: 0, black: 0, draw: 0, eloSum: 0, eloCount: 0, minPly: null };
+      }
+
+      const ply = parts[parts.length - 1];
+      if (ply !== '' && (current.minPly === null || parseInt(ply) < current.minPly)) {
+        current.minPly = parseInt(ply);
+      }
+
+      if (parts.length === 6) {
+        const elo = parseInt(parts[4]) || 0;
+        current.count++;
+        current.white += parts[3] === '1-0' ? 1 : 0;
+        current.black += parts[3] === '0-1' ? 1 : 0;
+        current.draw += parts[3] === '1/2-1/2' ? 1 : 0;
+        current.eloSum += elo;
+        current.eloCount += elo > 0 ? 1 : 0;
+      } else {
+        current.count += parseInt(parts[3]) || 0;
+        current.white += parseInt(parts[4]) || 0;
+        current.black += parseInt(parts[5]) || 0;
+        current.draw += parseInt(parts[6]) || 0;
+        current.eloSum += parseInt(parts[7]) || 0;
+        current.eloCount += parseInt(parts[8]) || 0;
+      }
+    }
+
+    if (current) yield current;
+  }
+
+  /**
+   * K-way merge d'arêtes vers un seul fichier agrégé (phases intermédiaires de moves-all.tsv)
+   */
+  async kWayMergeEdgesToSingleFile(inputFiles, outputFile) {
+    const startTime = Date.now();
+    let positionsWritten = 0;
+
+    try {
+      const outputStream = fs.createWriteStream(outputFile, { encoding: 'utf8', highWaterMark: 8 * 1024 * 1024 });
+      let writeBuffer = '';
+
+      for await (const edge of this.mergeEdges(inputFiles)) {
+        writeBuffer += `${edge.hash}|${edge.move}|${edge.fen}|${edge.count}|${edge.white}|${edge.black}|${edge.draw}|${edge.eloSum}|${edge.eloCount}|${edge.minPly ?? ''}\n`;
+        positionsWritten++;
+
+        if (writeBuffer.length >= 1024 * 1024) {
+          if (!outputStream.write(writeBuffer)) {
+            await new Promise(resolve => outputStream.once('drain', resolve));
+          }
+          writeBuffer = '';
+        }
+      }
+
+      outputStream.end(writeBuffer);
+      await new Promise(resolve => outputStream.on('finish', resolve));
+
+      return {
+        success: true,
+        positionsWritten,
+        inputFiles: inputFiles.length,
+        outputFile: path.basename(outputFile),
+        elapsedTime: this.formatTime((Date.now() - startTime) / 1000),
+        workerId: this.workerId
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        stack: error.stack,
+        workerId: this.workerId
+      };
+    }
+  }
 }
 
 // Écouter les messages du thread principal
@@ -385,10 +515,12 @@ if (parentPort) {
   const worker = new MergeWorker();
 
   parentPort.on('message', async (message) => {
-    const { inputFiles, outputFile, isFirstPhase, batchId } = message;
+    const { inputFiles, outputFile, isFirstPhase, kind, batchId } = message;
 
     try {
-      const result = await worker.kWayMergeToSingleFile(inputFiles, outputFile, isFirstPhase);
+      const result = kind === 'moves'
+        ? await worker.kWayMergeEdgesToSingleFile(inputFiles, outputFile)
+        : await worker.kWayMergeToSingleFile(inputFiles, outputFile, isFirstPhase);
 
       parentPort.postMessage({
         ...result,
@@ -408,3 +540,5 @@ if (parentPort) {
     console.error('Worker error:', error);
   });
 }
+
+export default MergeWorker;
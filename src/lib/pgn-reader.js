@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+
+const TAG_LINE = /^\s*(\[[A-Za-z0-9_]+\s+"(?:[^"\\]|\\.)*"\s*\]\s*)+$/;
+const TAG = /\[([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g;
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Découpe des lignes PGN en parties
+ * Une partie commence à la première ligne de tags qui suit un texte de coups
+ * (ou à un tag déjà vu dans l'en-tête courant), jamais à l'intérieur d'un commentaire { ... }.
+ * Gère donc les parties sans [Event], sans ligne vide de séparation et les commentaires contenant "[".
+ */
+export class PgnSplitter {
+  constructor({ maxGameSize = Infinity } = {}) {
+    this.maxGameSize = maxGameSize;
+    this.game = null;
+    this.state = 'idle';
+    this.braceDepth = 0;
+    this.firstLine = true;
+  }
+
+  startGame(offset) {
+    this.game = { headers: {}, lines: [], headerLineCount: 0, start: offset, end: offset, size: 0, truncated: false };
+  }
+
+  addLine(line, offset, bytes) {
+    const game = this.game;
+    game.size += bytes;
+    if (game.size > this.maxGameSize) {
+      game.truncated = true;
+      game.lines = [];
+    } else if (!game.truncated) {
+      game.lines.push(line);
+    }
+    if (line.trim() !== '') {
+      game.end = offset + bytes;
+    }
+  }
+
+  /**
+   * Met à jour la profondeur des commentaires { } (les commentaires ";" vont jusqu'à la fin de ligne)
+   */
+  scanComments(line) {
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (this.braceDepth > 0) {
+        if (char === '}') this.braceDepth = 0;
+      } else if (char === '{') {
+        this.braceDepth = 1;
+      } else if (char === ';') {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Ajoute une ligne (sans \n) ; retourne la partie terminée par cette ligne, sinon null
+   */
+  pushLine(line, offset, bytes) {
+    if (line.endsWith('\r')) line = line.slice(0, -1);
+    if (this.firstLine) {
+      this.firstLine = false;
+      if (line.charCodeAt(0) === 0xFEFF) line = line.slice(1);
+    }
+
+    let finished = null;
+
+    if (this.braceDepth === 0 && TAG_LINE.test(line)) {
+      const tags = [...line.matchAll(TAG)];
+      const repeated = this.state === 'headers' && tags.some(([, name]) => name in this.game.headers);
+
+      if (this.state === 'movetext' || repeated) {
+        finished = this.finishGame();
+      }
+      if (this.state === 'idle') {
+        this.startGame(offset);
+      }
+
+      for (const [, name, value] of tags) {
+        this.game.headers[name] = value.replace(/\\(["\\])/g, '$1');
+      }
+      this.state = 'headers';
+      this.addLine(line, offset, bytes);
+      this.game.headerLineCount = this.game.lines.length;
+      return finished;
+    }
+
+    if (line.trim() === '') {
+      if (this.state !== 'idle') {
+        this.addLine(line, offset, bytes);
+      }
+      return null;
+    }
+
+    if (this.state === 'idle') {
+      this.startGame(offset);
+    }
+
+    if (this.state === 'headers' && this.braceDepth === 0 && line.trimStart().startsWith('[') && this.game.lines.length === this.game.headerLineCount) {
+      // Tag mal formé au milieu de l'en-tête : gardé tel quel dans l'en-tête
+      this.addLine(line, offset, bytes);
+      this.game.headerLineCount = this.game.lines.length;
+      return null;
+    }
+
+    this.state = 'movetext';
+    this.scanComments(line);
+    this.addLine(line, offset, bytes);
+    return null;
+  }
+
+  /**
+   * Termine la partie en cours et la retourne ({ headers, movetext, raw, byteOffset, byteLength })
+   */
+  finishGame() {
+    const game = this.game;
+    this.game = null;
+    this.state = 'idle';
+    this.braceDepth = 0;
+    if (!game) return null;
+
+    let lastLine = game.lines.length;
+    while (lastLine > 0 && game.lines[lastLine - 1].trim() === '') lastLine--;
+
+    return {
+      headers: game.headers,
+      movetext: game.lines.slice(game.headerLineCount, lastLine).join('\n').trim(),
+      raw: game.lines.slice(0, lastLine).join('\n'),
+      byteOffset: game.start,
+      byteLength: game.end - game.start,
+      truncated: game.truncated
+    };
+  }
+}
+
+/**
+ * Lit un fichier PGN (chemin) ou un flux (Buffer ou texte) et produit ses parties une par une
+ *   for await (const { headers, movetext, raw, byteOffset } of readGames(file)) { ... }
+ * byteOffset/byteLength : position de la partie dans la source (BOM et \r compris)
+ * Option maxGameSize : au-delà, le texte de la partie n'est pas conservé (truncated: true)
+ */
+export async function* readGames(source, options = {}) {
+  const stream = typeof source === 'string'
+    ? fs.createReadStream(source, { highWaterMark: READ_CHUNK_SIZE })
+    : source;
+  const splitter = new PgnSplitter(options);
+
+  let offset = 0;
+  let leftover = null;
+
+  for await (const chunk of stream) {
+    let data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+    if (leftover) {
+      data = Buffer.concat([leftover, data]);
+      leftover = null;
+    }
+
+    let start = 0;
+    let index;
+    while ((index = data.indexOf(10, start)) !== -1) {
+      const game = splitter.pushLine(data.toString('utf8', start, index), offset, index - start + 1);
+      offset += index - start + 1;
+      start = index + 1;
+      if (game) yield game;
+    }
+
+    if (start < data.length) {
+      leftover = data.subarray(start);
+    }
+  }
+
+  if (leftover) {
+    const game = splitter.pushLine(leftover.toString('utf8'), offset, leftover.length);
+    if (game) yield game;
+  }
+
+  const last = splitter.finishGame();
+  if (last) yield last;
+}
+
+/**
+ * Version synchrone pour un texte déjà en mémoire (chunk d'un worker, petit fichier)
+ * Les offsets sont relatifs au début du texte.
+ */
+export function splitGames(text, options = {}) {
+  const splitter = new PgnSplitter(options);
+  const games = [];
+  const lines = text.split('\n');
+
+  let offset = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const bytes = Buffer.byteLength(lines[i], 'utf8') + (i < lines.length - 1 ? 1 : 0);
+    const game = splitter.pushLine(lines[i], offset, bytes);
+    offset += bytes;
+    if (game) games.push(game);
+  }
+
+  const last = splitter.finishGame();
+  if (last) games.push(last);
+  return games;
+}
+
+/**
+ * Fin du dernier bloc de parties entières d'un buffer : début de la dernière ligne de tags précédée
+ * d'une ligne vide ("\n\n[" ou "\r\n\r\n["), -1 si aucune
+ */
+function lastGameBoundary(buffer) {
+  const lf = buffer.lastIndexOf('\n\n[');
+  const crlf = buffer.lastIndexOf('\n\r\n[');
+  return Math.max(lf === -1 ? -1 : lf + 2, crlf === -1 ? -1 : crlf + 3);
+}
+
+/**
+ * Début de la dernière partie d'un buffer qui commence par une partie, détecté par PgnSplitter
+ * (ligne de tags après les coups, même sans ligne vide), -1 si aucune ; seules les lignes complètes comptent
+ */
+function lastSplitterBoundary(buffer) {
+  const splitter = new PgnSplitter({ maxGameSize: 0 });
+  let boundary = -1;
+  let start = 0;
+  let index;
+  while ((index = buffer.indexOf(10, start)) !== -1) {
+    if (splitter.pushLine(buffer.toString('utf8', start, index), start, index - start + 1)) {
+      boundary = start;
+    }
+    start = index + 1;
+  }
+  return boundary;
+}
+
+/**
+ * Découpe rapide d'un PGN en blocs de parties entières (texte) d'au moins blockSize octets, sans analyser les parties :
+ * pour le thread principal, quand les workers analysent ensuite chaque bloc avec splitGames.
+ * Les blocs sont coupés avant une ligne de tags qui suit une ligne vide (parties séparées par une ligne vide,
+ * comme dans les exports Lichess) ; la fin du flux après la dernière coupure est reportée sur le bloc suivant.
+ * Sans ligne vide dans la seconde moitié du buffer, la coupure est cherchée par PgnSplitter (parties non séparées).
+ */
+export async function* readGameBlocks(source, blockSize = 2 * 1024 * 1024) {
+  const stream = typeof source === 'string'
+    ? fs.createReadStream(source, { highWaterMark: READ_CHUNK_SIZE })
+    : source;
+
+  let pending = [];
+  let pendingSize = 0;
+  let nextCut = blockSize;
+
+  for await (const chunk of stream) {
+    const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+    pending.push(data);
+    pendingSize += data.length;
+    if (pendingSize < nextCut) continue;
+
+    const buffer = Buffer.concat(pending);
+    let boundary = lastGameBoundary(buffer);
+    if (boundary < buffer.length / 2) {
+      boundary = Math.max(boundary, lastSplitterBoundary(buffer));
+    }
+    if (boundary <= 0) {
+      // Une seule partie plus grande que le buffer : nouvel essai quand il aura doublé (copies et analyses en temps linéaire)
+      pending = [buffer];
+      nextCut = pendingSize * 2;
+      continue;
+    }
+
+    yield buffer.toString('utf8', 0, boundary);
+    pending = [buffer.subarray(boundary)];
+    pendingSize = buffer.length - boundary;
+    nextCut = blockSize;
+  }
+
+  if (pendingSize > 0) {
+    yield Buffer.concat(pending).toString('utf8');
+  }
+}
+
+/**
+ * Compte les parties d'un fichier PGN
+ */
+export async function countGames(source) {
+  let count = 0;
+  for await (const game of readGames(source, { maxGameSize: 0 })) {
+    if (game) count++;
+  }
+  return count;
+}
+
+export default readGames;
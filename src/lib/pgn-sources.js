@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Provenance des parties d'un fichier compilé : <fichier>.sources.json écrit par compil.js
+ *   { version: 1, sources: [{ file: "twic.pgn", start, end, games }] }
+ * Plages d'octets [start, end[ de chaque fichier d'entrée dans le fichier compilé, dans l'ordre.
+ * deduplicate-pgn.js s'en sert pour dire d'où vient chaque copie gardée et le réécrit après nettoyage.
+ */
+
+export function sourcesFile(pgnFile) {
+  return pgnFile + '.sources.json';
+}
+
+/**
+ * Lit la provenance d'un fichier PGN ; null si absente, illisible ou périmée
+ * (fichier modifié depuis : la dernière plage ne finit plus à sa taille)
+ */
+export function readSources(pgnFile) {
+  const file = sourcesFile(pgnFile);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    const { sources } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const size = fs.statSync(pgnFile).size;
+    if (!Array.isArray(sources) || sources.length === 0 || sources[sources.length - 1].end !== size) {
+      console.warn(`⚠️  ${path.basename(file)} ne correspond plus à ${path.basename(pgnFile)}, provenance ignorée`);
+      return null;
+    }
+    return sources;
+  } catch (error) {
+    console.warn(`⚠️  ${path.basename(file)} illisible, provenance ignorée: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Écrit la provenance (écriture atomique)
+ */
+export function writeSources(pgnFile, sources) {
+  const file = sourcesFile(pgnFile);
+  const tempFile = file + '.tmp';
+  fs.writeFileSync(tempFile, JSON.stringify({ version: 1, sources }, null, 2), 'utf8');
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Index de la source contenant un octet du fichier compilé (recherche dichotomique), -1 hors plages
+ */
+export function sourceIndexAt(sources, byteOffset) {
+  let low = 0;
+  let high = sources.length - 1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (byteOffset < sources[middle].start) {
+      high = middle - 1;
+    } else if (byteOffset >= sources[middle].end) {
+      low = middle + 1;
+    } else {
+      return middle;
+    }
+  }
+  return -1;
+}
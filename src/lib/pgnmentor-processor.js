@@ -8,14 +8,26 @@ import { createWriteStream, createReadStream } from 'fs';
 import crypto from 'crypto';
 import { pipeline } from 'stream/promises';
 import { Extract } from 'unzipper';
-import { createInterface } from 'readline';
 import { nanoid } from 'nanoid';
+import loadConfig, { PGNMENTOR_CATEGORIES } from './config.js';
+import { readGames, splitGames } from './pgn-reader.js';
+
+const config = loadConfig();
 
 class PGNMentorProcessor {
-  constructor() {
-    this.baseUrl = 'https://www.pgnmentor.com';
+  constructor({ dryRun = false } = {}) {
+    this.baseUrl = config.sources.pgnmentor;
     this.outputFile = './src/output/pgnmentor.pgn';
+    this.progressFile = './src/progress/pgnmentor.pv';
     this.tempDir = './src/temp';
+    this.selectionFile = './src/progress/pgnmentor-selection.json';
+
+    // Filtres de sélection (config pgnmentor.*), enregistrés avec la liste choisie
+    this.filters = {
+      categories: config.pgnmentor.categories,
+      include: config.pgnmentor.include,
+      exclude: config.pgnmentor.exclude
+    };
 
     // Déduplication - Set en mémoire des hash des parties
     this.gameHashes = new Set();
@@ -24,11 +36,13 @@ class PGNMentorProcessor {
     this.maxRetries = 3;
     this.retryDelay = 2000; // 2 secondes
 
-    this.ensureDirectories();
+    if (!dryRun) {
+      this.ensureDirectories();
+    }
   }
   ensureDirectories() {
     const outputDir = './src/output';
-    [outputDir, this.tempDir].forEach(dir => {
+    [outputDir, './src/progress', this.tempDir].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
@@ -48,42 +62,16 @@ class PGNMentorProcessor {
     console.time('Chargement hash');
 
     let gameCount = 0;
-    let currentGame = '';
-
-    const fileStream = createReadStream(this.outputFile, { encoding: 'utf8' });
-    const rl = createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
-
-    for await (const line of rl) {
-      const trimmed = line.trim();
 
-      if (trimmed.startsWith('[Event ')) {
-        // Début d'une nouvelle partie
-        if (currentGame) {
-          // Traiter la partie précédente
-          const hash = this.hashGame(currentGame);
-          this.gameHashes.add(hash);
-          gameCount++;
+    for await (const game of readGames(this.outputFile)) {
+      this.gameHashes.add(this.hashGame(game.raw));
+      gameCount++;
 
-          if (gameCount % 10000 === 0) {
-            process.stdout.write(`\r🔄 ${gameCount} parties chargées...`);
-          }
-        }
-        currentGame = trimmed + '\n';
-      } else if (currentGame) {
-        currentGame += trimmed + '\n';
+      if (gameCount % 10000 === 0) {
+        process.stdout.write(`\r🔄 ${gameCount} parties chargées...`);
       }
     }
 
-    // Traiter la dernière partie
-    if (currentGame) {
-      const hash = this.hashGame(currentGame);
-      this.gameHashes.add(hash);
-      gameCount++;
-    }
-
     console.timeEnd('Chargement hash');
     console.log(`\n✅ ${gameCount} parties existantes chargées (${this.gameHashes.size} hash uniques)`);
   }
@@ -138,81 +126,139 @@ class PGNMentorProcessor {
     } catch (error) {
       // Ignorer les erreurs de chmod
     }
-  }/**
-   * Récupère tous les liens PGN depuis la page principale
+  }
+
+  /**
+   * Catégorie d'un lien de files.html d'après son dossier (players/Carlsen.zip → players), sinon "other"
    */
-  async getAllPgnLinks() {
-    console.log('🔍 Scraping de la page PGN Mentor...');
-
-    const html = await this.downloadContent('https://www.pgnmentor.com/files.html');
-    console.log(`📄 HTML téléchargé: ${html.length} caractères`);
-
-    // Debug: afficher quelques exemples de liens
-    const allLinks = html.match(/<a[^>]+href="[^"]*\.(pgn|zip)"[^>]*>/gi);
-    if (allLinks && allLinks.length > 0) {
-      console.log(`🔍 Exemples de liens trouvés:`);
-      allLinks.slice(0, 3).forEach(link => console.log(`  ${link}`));
-    } else {
-      console.log(`❌ Aucun lien .pgn ou .zip trouvé dans le HTML`);
-      // Afficher un extrait du HTML pour debug
-      const sample = html.slice(0, 500);
-      console.log(`📄 Extrait HTML:\n${sample}`);
-    }
+  static linkCategory(href) {
+    const folder = href.replace(/^https?:\/\/[^/]+\//, '').split('/').slice(-2, -1)[0];
+    return PGNMENTOR_CATEGORIES.includes(folder) ? folder : 'other';
+  }
 
+  /**
+   * Extrait les liens .pgn ou .zip de la page files.html (sans doublons) : { url, href, name, category }
+   */
+  extractLinks(html, extension) {
     const links = [];
     const seenNames = new Set();
-
-    // Regex pour trouver tous les liens .pgn
-    const pgnRegex = /<a[^>]+href="([^"]+\.pgn)"[^>]*>/gi;
+    const linkRegex = new RegExp(`<a[^>]+href="([^"]+\\.${extension})"[^>]*>`, 'gi');
     let match;
 
-    while ((match = pgnRegex.exec(html)) !== null) {
-      const url = match[1].startsWith('http') ? match[1] : this.baseUrl + '/' + match[1];
-      // Extraire le nom du fichier depuis l'URL
-      const name = url.split('/').pop();
+    while ((match = linkRegex.exec(html)) !== null) {
+      const link = this.linkFromHref(match[1]);
 
       // Filtrer les noms valides et éviter les doublons
-      if (name && name.endsWith('.pgn') && name.length > 4 && !seenNames.has(name)) {
-        seenNames.add(name);
-        links.push({ url, name });
+      if (link.name && link.name.endsWith(`.${extension}`) && link.name.length > 4 && !seenNames.has(link.name)) {
+        seenNames.add(link.name);
+        links.push(link);
       }
     }
 
-    console.log(`📋 ${links.length} liens PGN trouvés`);
     return links;
   }
 
   /**
-   * Récupère tous les liens ZIP depuis la page principale
+   * Lien absolu ou relatif à sources.pgnmentor (la sélection enregistrée garde le href d'origine)
    */
-  async getAllZipLinks() {
-    console.log('🔍 Scraping des fichiers ZIP...');
+  linkFromHref(href) {
+    const url = href.startsWith('http') ? href : this.baseUrl + '/' + href;
+    return { url, href, name: url.split('/').pop(), category: PGNMentorProcessor.linkCategory(href) };
+  }
 
-    const html = await this.downloadContent('https://www.pgnmentor.com/files.html');
-    console.log(`📄 HTML téléchargé: ${html.length} caractères`);
+  /**
+   * Récupère tous les liens PGN (tournois) puis ZIP (collections) de files.html
+   */
+  async getCatalog() {
+    const html = await this.downloadContent(`${this.baseUrl}/files.html`);
+    return [...this.extractLinks(html, 'pgn'), ...this.extractLinks(html, 'zip')];
+  }
 
-    const links = [];
-    const seenNames = new Set();
+  /**
+   * Motif de nom avec jokers * et ? (insensible à la casse)
+   */
+  static patternToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+  }
 
-    // Regex pour trouver tous les liens .zip
-    const zipRegex = /<a[^>]+href="([^"]+\.zip)"[^>]*>/gi;
-    let match;
+  /**
+   * Un lien passe les filtres pgnmentor.* : catégorie retenue, un motif include (si la liste n'est pas vide)
+   * et aucun motif exclude. Un motif avec "/" porte sur "catégorie/nom", sinon sur le nom seul.
+   */
+  matchesFilters(link) {
+    const matches = (pattern) => PGNMentorProcessor.patternToRegExp(pattern)
+      .test(pattern.includes('/') ? `${link.category}/${link.name}` : link.name);
 
-    while ((match = zipRegex.exec(html)) !== null) {
-      const url = match[1].startsWith('http') ? match[1] : this.baseUrl + '/' + match[1];
-      // Extraire le nom du fichier depuis l'URL
-      const name = url.split('/').pop();
+    return this.filters.categories.includes(link.category)
+      && (this.filters.include.length === 0 || this.filters.include.some(matches))
+      && !this.filters.exclude.some(matches);
+  }
 
-      // Filtrer les noms valides et éviter les doublons
-      if (name && name.endsWith('.zip') && name.length > 4 && !seenNames.has(name)) {
-        seenNames.add(name);
-        links.push({ url, name });
+  loadSelection() {
+    try {
+      return fs.existsSync(this.selectionFile) ? JSON.parse(fs.readFileSync(this.selectionFile, 'utf8')) : null;
+    } catch (error) {
+      console.warn(`⚠️  Sélection PGN Mentor illisible, elle sera recréée: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Liste des fichiers à traiter : { links, reused, filtersChanged, selectedAt, catalogSize }
+   * La sélection enregistrée (src/progress/pgnmentor-selection.json) est reprise telle quelle tant que
+   * les filtres n'ont pas changé ; refresh ou filtres modifiés : files.html relu et sélection réenregistrée.
+   * Filtres modifiés : pgnmentor.pgn et pgnmentor.pv sont supprimés avant l'enregistrement (resetOutput),
+   * la sortie est reconstruite à partir de la nouvelle sélection.
+   */
+  async getSelection({ refresh = false, save = true } = {}) {
+    const saved = this.loadSelection();
+    if (saved && !refresh && JSON.stringify(saved.filters) === JSON.stringify(this.filters)) {
+      return {
+        links: saved.files.map(file => this.linkFromHref(file.href)),
+        reused: true,
+        filtersChanged: false,
+        selectedAt: saved.selectedAt,
+        catalogSize: saved.catalogSize
+      };
+    }
+
+    const filtersChanged = Boolean(saved) && JSON.stringify(saved.filters) !== JSON.stringify(this.filters);
+    const catalog = await this.getCatalog();
+    const links = catalog.filter(link => this.matchesFilters(link));
+    const selection = {
+      version: 1,
+      filters: this.filters,
+      selectedAt: new Date().toISOString(),
+      catalogSize: catalog.length,
+      files: links.map(({ href, name, category }) => ({ href, name, category }))
+    };
+
+    if (save) {
+      // Avant la nouvelle sélection : une interruption ne doit pas laisser l'ancienne sortie avec les nouveaux filtres
+      if (filtersChanged) {
+        this.resetOutput();
       }
+      const tempFile = this.selectionFile + '.tmp';
+      fs.writeFileSync(tempFile, JSON.stringify(selection, null, 2), 'utf8');
+      fs.renameSync(tempFile, this.selectionFile);
     }
 
-    console.log(`📦 ${links.length} liens ZIP trouvés`);
-    return links;
-  }  /**
+    return { links, reused: false, selectedAt: selection.selectedAt, catalogSize: catalog.length, filtersChanged };
+  }
+
+  /**
+   * Supprime pgnmentor.pgn et pgnmentor.pv : tous les fichiers de la sélection seront retraités
+   */
+  resetOutput() {
+    for (const file of [this.outputFile, this.progressFile]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+
+  /**
    * Télécharge le contenu depuis une URL avec retry
    */
   async downloadContent(url) {
@@ -375,7 +421,7 @@ class PGNMentorProcessor {
               const games = this.parsePGN(content);
 
               for (const game of games) {
-                const hash = this.hashGame(game);
+                const hash = this.hashGame(game.raw);
 
                 if (!this.gameHashes.has(hash)) {
                   this.gameHashes.add(hash);
@@ -413,21 +459,10 @@ class PGNMentorProcessor {
   }
 
   /**
-   * Parse un contenu PGN et extrait les parties
+   * Parse un contenu PGN et extrait les parties ({ headers, movetext, raw })
    */
   parsePGN(content) {
-    const games = [];
-    const gameRegex = /(\[Event[^]*?(?=\[Event|$))/g;
-    let match;
-
-    while ((match = gameRegex.exec(content)) !== null) {
-      const gameContent = match[1].trim();
-      if (gameContent && gameContent.includes('[White ') && gameContent.includes('[Black ')) {
-        games.push(gameContent);
-      }
-    }
-
-    return games;
+    return splitGames(content).filter(game => game.headers.White && game.headers.Black);
   }
 
   /**
@@ -445,7 +480,7 @@ class PGNMentorProcessor {
       const writeStream = createWriteStream(this.outputFile, { flags: 'a' });
 
       for (const game of games) {
-        const hash = this.hashGame(game);
+        const hash = this.hashGame(game.raw);
 
         if (!this.gameHashes.has(hash)) {
           // Partie unique
@@ -472,29 +507,24 @@ class PGNMentorProcessor {
   }
 
   /**
-   * Extrait MaxElo d'une partie PGN
+   * Extrait MaxElo des en-têtes d'une partie
    */
-  extractMaxElo(gameText) {
-    const whiteEloMatch = gameText.match(/\[WhiteElo "(\d+)"\]/);
-    const blackEloMatch = gameText.match(/\[BlackElo "(\d+)"\]/);
-    const whiteElo = whiteEloMatch ? parseInt(whiteEloMatch[1]) : 0;
-    const blackElo = blackEloMatch ? parseInt(blackEloMatch[1]) : 0;
+  extractMaxElo(headers) {
+    const whiteElo = parseInt(headers.WhiteElo) || 0;
+    const blackElo = parseInt(headers.BlackElo) || 0;
     return Math.max(whiteElo, blackElo);
   }
 
   /**
-   * Ajoute les tags [ID], [Source "Official"], [MaxElo] avant [Event]
+   * Ajoute les tags [ID], [Source "Official"], [MaxElo] en tête de partie
    */
-  addSourceTag(game) {
-    const maxElo = this.extractMaxElo(game);
+  addSourceTag({ headers, raw }) {
+    const maxElo = this.extractMaxElo(headers);
     const id = nanoid();
 
-    const cleanGame = game.replace(/\[MaxElo "[^"]*"\]\n?/g, '');
+    const cleanGame = raw.replace(/^\[(ID|Source|MaxElo) "[^"]*"\]\n?/gm, '');
 
-    return cleanGame.replace(
-      /\[Event ([^\]]+)\]/,
-      `[ID "${id}"]\n[Source "Official"]\n[MaxElo "${maxElo}"]\n[Event $1]`
-    );
+    return `[ID "${id}"]\n[Source "Official"]\n[MaxElo "${maxElo}"]\n` + cleanGame;
   }
 
   /**
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Manifeste d'exécution du pipeline (src/output/pipeline-manifest.json)
+ * Garde pour chaque étape ses entrées, sorties, tailles, empreintes, statut et horodatages
+ * afin de pouvoir reprendre une génération sans tout relancer
+ */
+class PipelineManifest {
+  constructor(manifestFile) {
+    this.manifestFile = manifestFile;
+    this.sampleSize = 1024 * 1024;
+    this.data = { version: 1, steps: {}, files: {} };
+    this.load();
+  }
+
+  /**
+   * Charge le manifeste existant (un manifeste illisible est ignoré)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.manifestFile)) {
+        const content = JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+        this.data = {
+          version: 1,
+          steps: content.steps || {},
+          files: content.files || {}
+        };
+      }
+    } catch (error) {
+      console.warn(`⚠️  Manifeste illisible, il sera recréé: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sauvegarde le manifeste de manière atomique (fichier temporaire + rename)
+   */
+  save() {
+    const dir = path.dirname(this.manifestFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempFile = this.manifestFile + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2), 'utf8');
+    fs.renameSync(tempFile, this.manifestFile);
+  }
+
+  /**
+   * Calcule l'empreinte d'un fichier : sha256 de la taille + début, milieu et fin du fichier
+   * Les fichiers font souvent plusieurs dizaines de GB, un hash complet serait trop long
+   */
+  async computeChecksum(filePath, size) {
+    const hash = crypto.createHash('sha256');
+    hash.update(String(size));
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const offsets = size <= this.sampleSize * 3
+        ? [0]
+        : [0, Math.floor(size / 2), size - this.sampleSize];
+      const length = Math.min(size, size <= this.sampleSize * 3 ? size : this.sampleSize);
+
+      for (const offset of offsets) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        hash.update(buffer.subarray(0, bytesRead));
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Signature d'un fichier (null s'il n'existe pas)
+   */
+  async fileSignature(filePath) {
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return {
+        size: stats.size,
+        mtime: stats.mtime.toISOString(),
+        checksum: await this.computeChecksum(filePath, stats.size)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Signatures de plusieurs fichiers, indexées par chemin
+   */
+  async signatures(files) {
+    const result = {};
+    for (const file of files) {
+      result[file] = await this.fileSignature(file);
+    }
+    return result;
+  }
+
+  /**
+   * Compare deux signatures (la date de modification n'est pas prise en compte)
+   */
+  sameSignature(a, b) {
+    if (!a || !b) return !a && !b;
+    return a.size === b.size && a.checksum === b.checksum;
+  }
+
+  /**
+   * Vérifie si une étape peut être sautée : terminée, mêmes paramètres,
+   * sorties identiques à ce que le pipeline a écrit et entrées inchangées
+   */
+  async checkStep(name, { inputs = [], outputs = [], params = {} }) {
+    const step = this.data.steps[name];
+
+    if (!step || step.status !== 'completed') {
+      return { upToDate: false, reason: step ? `statut ${step.status}` : 'jamais exécutée' };
+    }
+
+    if (JSON.stringify(step.params || {}) !== JSON.stringify(params)) {
+      return { upToDate: false, reason: 'paramètres modifiés' };
+    }
+
+    for (const output of outputs) {
+      const current = await this.fileSignature(output);
+      if (!this.sameSignature(current, this.data.files[output] || null)) {
+        return { upToDate: false, reason: `sortie modifiée ou absente: ${path.basename(output)}` };
+      }
+    }
+
+    // Les fichiers modifiés en place (entrée = sortie) sont déjà couverts par les sorties
+    for (const input of inputs.filter(file => !outputs.includes(file))) {
+      const current = await this.fileSignature(input);
+      if (!this.sameSignature(current, step.inputs?.[input] || null)) {
+        return { upToDate: false, reason: `entrée modifiée: ${path.basename(input)}` };
+      }
+    }
+
+    return { upToDate: true, reason: 'à jour' };
+  }
+
+  /**
+   * Enregistre le démarrage d'une étape
+   */
+  async markStarted(name, { inputs = [], outputs = [], params = {} }) {
+    this.data.steps[name] = {
+      name,
+      status: 'running',
+      params,
+      inputs: await this.signatures(inputs),
+      outputs: Object.fromEntries(outputs.map(output => [output, null])),
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      durationMs: null,
+      error: null
+    };
+    this.save();
+  }
+
+  /**
+   * Enregistre la fin d'une étape et la signature de ses sorties
+   */
+  async markCompleted(name, outputs = []) {
+    const step = this.data.steps[name];
+    step.outputs = await this.signatures(outputs);
+    step.status = 'completed';
+    step.completedAt = new Date().toISOString();
+    step.durationMs = Date.parse(step.completedAt) - Date.parse(step.startedAt);
+
+    for (const [file, signature] of Object.entries(step.outputs)) {
+      this.data.files[file] = signature;
+    }
+    this.save();
+  }
+
+  /**
+   * Enregistre l'échec d'une étape
+   */
+  markFailed(name, error) {
+    const step = this.data.steps[name];
+    if (!step) return;
+
+    step.status = 'failed';
+    step.completedAt = new Date().toISOString();
+    step.durationMs = Date.parse(step.completedAt) - Date.parse(step.startedAt);
+    step.error = error.message;
+    this.save();
+  }
+
+  /**
+   * Enregistre qu'une étape a été volontairement ignorée lors de ce lancement
+   */
+  markSkipped(name, reason) {
+    const step = this.data.steps[name];
+    if (step) {
+      step.lastSkippedAt = new Date().toISOString();
+      step.lastSkipReason = reason;
+      this.save();
+    }
+  }
+}
+
+export default PipelineManifest;
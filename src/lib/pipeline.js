@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+import path from 'path';
+
+/**
+ * Définition déclarative du pipeline (section "pipeline" de config.json)
+ * Résout les variables {xxx}, filtre les étapes désactivées et construit le graphe de dépendances
+ *
+ * Une étape dépend :
+ *  - de la dernière étape précédente (dans l'ordre de la liste) qui produit une de ses entrées
+ *  - des étapes listées explicitement dans "after"
+ */
+class Pipeline {
+  constructor(definition, config, variables) {
+    if (!definition || !Array.isArray(definition.steps)) {
+      throw new Error('Section "pipeline.steps" absente de la configuration');
+    }
+
+    this.config = config;
+    this.variables = variables;
+    this.rootDir = variables.root;
+    this.maxParallel = Math.max(1, definition.maxParallel || 1);
+    this.allSteps = definition.steps.map(step => this.resolveStep(step));
+    this.steps = this.allSteps.filter(step => step.enabled);
+
+    this.buildGraph();
+  }
+
+  /**
+   * Remplace les variables {nom} d'une chaîne par leur valeur
+   */
+  resolveTemplate(value) {
+    return String(value).replace(/\{([\w.]+)\}/g, (match, name) => {
+      if (name === 'inputs') return match;
+      const resolved = name in this.variables ? this.variables[name] : this.getConfigValue(name);
+      if (resolved === undefined || resolved === null || typeof resolved === 'object') {
+        throw new Error(`Variable inconnue dans le pipeline: ${match}`);
+      }
+      return String(resolved);
+    });
+  }
+
+  /**
+   * Lit une valeur de configuration à partir d'un chemin "a.b.c"
+   */
+  getConfigValue(keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), this.config);
+  }
+
+  /**
+   * Évalue la condition "when" d'une étape : booléen, ou chemin de config éventuellement préfixé par "!"
+   */
+  evaluateCondition(when) {
+    if (when === undefined || when === null) return true;
+    if (typeof when === 'boolean') return when;
+
+    const negate = when.startsWith('!');
+    const value = Boolean(this.getConfigValue(negate ? when.slice(1) : when));
+    return negate ? !value : value;
+  }
+
+  /**
+   * Transforme une étape de la configuration en étape exécutable
+   */
+  resolveStep(definition) {
+    if (!definition.name || !definition.script) {
+      throw new Error(`Étape de pipeline invalide (name et script requis): ${JSON.stringify(definition)}`);
+    }
+
+    const resolvePath = (file) => path.resolve(this.rootDir, this.resolveTemplate(file));
+    const enabled = this.evaluateCondition(definition.when);
+
+    // Une entrée ou une sortie peut être conditionnelle : { "file": "...", "when": "local.enabled" }
+    // ou répétée pour chaque valeur d'une liste de config : { "file": "...-{each}.pgn", "each": "lichess.variants" }
+    const conditionalFiles = (files = []) => files
+      .filter(file => typeof file === 'string' || this.evaluateCondition(file.when))
+      .flatMap(file => {
+        if (typeof file === 'string') return [file];
+        if (file.each === undefined) return [file.file];
+
+        const values = this.getConfigValue(file.each);
+        if (!Array.isArray(values)) {
+          throw new Error(`Étape "${definition.name}": "each" doit désigner une liste de la configuration: ${file.each}`);
+        }
+        return values.map(value => file.file.replaceAll('{each}', value));
+      });
+    const inputs = conditionalFiles(definition.inputs);
+
+    return {
+      name: definition.name,
+      description: definition.description || '',
+      enabled,
+      script: path.resolve(this.rootDir, definition.script),
+      args: enabled ? (definition.args || []).map(arg => this.resolveTemplate(arg)) : [],
+      inputs: enabled ? inputs.map(resolvePath) : [],
+      outputs: enabled ? conditionalFiles(definition.outputs).map(resolvePath) : [],
+      after: definition.after || [],
+      optionalInputs: Boolean(definition.optionalInputs),
+      continueOnError: Boolean(definition.continueOnError),
+      exclusive: Boolean(definition.exclusive),
+      // Source distante à mode incrémental : toujours lancée, ses dépendantes ne sont relancées que si ses sorties changent
+      always: enabled && definition.always !== undefined && this.evaluateCondition(definition.always),
+      params: enabled ? this.buildParams(definition) : {},
+      dependsOn: [],
+      dependents: []
+    };
+  }
+
+  /**
+   * Paramètres mémorisés dans le manifeste : script, arguments et clés de config listées dans "params"
+   */
+  buildParams(definition) {
+    const params = {
+      script: definition.script,
+      args: (definition.args || []).map(arg => this.resolveTemplate(arg))
+    };
+
+    for (const key of definition.params || []) {
+      params[key] = this.getConfigValue(key) ?? null;
+    }
+
+    return params;
+  }
+
+  /**
+   * Construit les dépendances entre étapes et vérifie l'absence de cycle
+   */
+  buildGraph() {
+    const names = new Set();
+    for (const step of this.allSteps) {
+      if (names.has(step.name)) {
+        throw new Error(`Nom d'étape dupliqué dans le pipeline: ${step.name}`);
+      }
+      names.add(step.name);
+    }
+
+    const enabledNames = new Set(this.steps.map(step => step.name));
+
+    this.steps.forEach((step, index) => {
+      const dependencies = new Set();
+
+      for (const input of step.inputs) {
+        for (let i = index - 1; i >= 0; i--) {
+          if (this.steps[i].outputs.includes(input)) {
+            dependencies.add(this.steps[i].name);
+            break;
+          }
+        }
+      }
+
+      for (const name of step.after) {
+        if (!names.has(name)) {
+          throw new Error(`Étape "${step.name}": dépendance inconnue dans after: ${name}`);
+        }
+        // Une étape désactivée n'impose pas d'ordre
+        if (enabledNames.has(name)) {
+          dependencies.add(name);
+        }
+      }
+
+      step.dependsOn = [...dependencies];
+    });
+
+    for (const step of this.steps) {
+      for (const dependency of step.dependsOn) {
+        this.getStep(dependency).dependents.push(step.name);
+      }
+    }
+
+    this.order = this.topologicalOrder();
+  }
+
+  /**
+   * Ordre topologique stable (respecte l'ordre de la liste quand c'est possible)
+   */
+  topologicalOrder() {
+    const order = [];
+    const done = new Set();
+
+    while (order.length < this.steps.length) {
+      const next = this.steps.find(step =>
+        !done.has(step.name) && step.dependsOn.every(dependency => done.has(dependency))
+      );
+
+      if (!next) {
+        const blocked = this.steps.filter(step => !done.has(step.name)).map(step => step.name);
+        throw new Error(`Cycle de dépendances dans le pipeline: ${blocked.join(', ')}`);
+      }
+
+      order.push(next);
+      done.add(next.name);
+    }
+
+    return order;
+  }
+
+  getStep(name) {
+    return this.steps.find(step => step.name === name) || null;
+  }
+
+  /**
+   * Une étape et toutes celles qui en dépendent (directement ou non)
+   */
+  descendants(name) {
+    const result = new Set([name]);
+    const queue = [name];
+
+    while (queue.length > 0) {
+      const step = this.getStep(queue.shift());
+      for (const dependent of step?.dependents || []) {
+        if (!result.has(dependent)) {
+          result.add(dependent);
+          queue.push(dependent);
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+export default Pipeline;
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Format des livres d'ouvertures Polyglot (.bin) : entrées de 16 octets big-endian triées par clé
+ *   clé (64 bits, polyglotKey de position-hash.js) | coup (16 bits) | poids (16 bits) | learn (32 bits, 0)
+ * Plusieurs entrées par position, une par coup, poids décroissants.
+ */
+
+export const ENTRY_SIZE = 16;
+const MAX_WEIGHT = 0xFFFF;
+const PROMOTIONS = { n: 1, b: 2, r: 3, q: 4 };
+
+const squareIndex = (square) => (square.charCodeAt(0) - 97) + 8 * (Number(square[1]) - 1);
+
+/**
+ * Pièce d'une case dans le placement d'un FEN (null si vide)
+ */
+function pieceAt(fen, square) {
+  const row = fen.split(' ')[0].split('/')[8 - Number(square[1])].replace(/\d/g, empty => '.'.repeat(Number(empty)));
+  const piece = row[square.charCodeAt(0) - 97];
+  return piece === '.' ? null : piece;
+}
+
+/**
+ * Coup Polyglot d'un coup UCI joué depuis fen : case d'arrivée (bits 0-5), case de départ (bits 6-11),
+ * promotion (bits 12-14). Le roque (roi déplacé de deux colonnes) est noté roi prend sa tour (e1h1, e1a1, e8h8, e8a8).
+ */
+export function polyglotMove(fen, uci) {
+  const from = uci.slice(0, 2);
+  const to = uci.slice(2, 4);
+
+  let target = squareIndex(to);
+  if (pieceAt(fen, from)?.toLowerCase() === 'k' && Math.abs(from.charCodeAt(0) - to.charCodeAt(0)) === 2) {
+    target = squareIndex(`${to[0] === 'g' ? 'h' : 'a'}${to[1]}`);
+  }
+
+  return (PROMOTIONS[uci[4]] || 0) << 12 | squareIndex(from) << 6 | target;
+}
+
+/**
+ * Poids des coups d'une position d'après leurs statistiques [{ move, count, win, loss, draw }]
+ * (point de vue du joueur au trait) : points marqués (2 par victoire, 1 par nulle), ramenés à 16 bits
+ * en gardant les proportions. Les coups sans aucun point (toujours perdus) sont écartés.
+ * Retourne [{ move, weight }] par poids décroissant.
+ */
+export function bookWeights(moves) {
+  const points = moves.map(({ win, draw }) => 2 * win + draw);
+  const scale = Math.min(1, MAX_WEIGHT / Math.max(...points, 1));
+
+  return moves
+    .map(({ move }, index) => ({ move, weight: points[index] === 0 ? 0 : Math.max(1, Math.round(points[index] * scale)) }))
+    .filter(({ weight }) => weight > 0)
+    .sort((a, b) => b.weight - a.weight || a.move - b.move);
+}
+
+/**
+ * Entrées binaires d'une position
+ */
+export function encodeEntries(key, weightedMoves) {
+  const buffer = Buffer.alloc(weightedMoves.length * ENTRY_SIZE);
+  weightedMoves.forEach(({ move, weight }, index) => {
+    const offset = index * ENTRY_SIZE;
+    buffer.writeBigUInt64BE(key, offset);
+    buffer.writeUInt16BE(move, offset + 8);
+    buffer.writeUInt16BE(weight, offset + 10);
+  });
+  return buffer;
+}
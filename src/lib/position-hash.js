@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import cityhash from 'google-cityhash';
+import POLYGLOT_RANDOM from './polyglot-random.js';
+import { fenRulesLabel, parseFenRulesLabel } from './fen-normalize.js';
+import loadConfig, { HASH_SCHEMES } from './config.js';
+
+const config = loadConfig();
+
+/**
+ * Hash des positions (colonne hash des fens-*.tsv, hashFen des *-pgi.tsv, evals.tsv), calculé sur le FEN normalisé
+ *  - city64 : CityHash64 du FEN
+ *  - zobrist : clé Polyglot (Zobrist, table Random64), la même que dans les livres d'ouvertures .bin
+ *  - city64-zobrist : 128 bits, CityHash64 en poids fort et clé Polyglot en poids faible (deux familles de hash
+ *    indépendantes : une collision demande les deux)
+ * Chaque fichier commence par une ligne "#hash=<schéma> fen=<règles>" (règles de normalisation, fen-normalize.js) ;
+ * des fichiers de schémas ou de règles différents ne sont jamais fusionnés.
+ */
+
+// Index des pièces dans la table Polyglot : bp wp bn wn bb wb br wr bq wq bk wk
+const POLYGLOT_PIECES = 'pPnNbBrRqQkK';
+const POLYGLOT_CASTLING = { K: 768, Q: 769, k: 770, q: 771 };
+const POLYGLOT_EN_PASSANT = 772;
+const POLYGLOT_TURN = 780;
+
+const MASK_64 = (1n << 64n) - 1n;
+
+/**
+ * Clé Polyglot d'un FEN (BigInt de 64 bits)
+ * La colonne de prise en passant ne compte que si un pion du camp au trait peut réellement prendre
+ */
+export function polyglotKey(fen) {
+  const [placement, turn, castling = '-', enPassant = '-'] = fen.split(' ');
+  const board = new Array(64);
+  let key = 0n;
+
+  placement.split('/').forEach((rowText, index) => {
+    const row = 7 - index;
+    let file = 0;
+    for (const char of rowText) {
+      if (char >= '1' && char <= '8') {
+        file += Number(char);
+        continue;
+      }
+      const square = 8 * row + file;
+      board[square] = char;
+      key ^= POLYGLOT_RANDOM[64 * POLYGLOT_PIECES.indexOf(char) + square];
+      file++;
+    }
+  });
+
+  for (const right of castling) {
+    if (POLYGLOT_CASTLING[right] !== undefined) {
+      key ^= POLYGLOT_RANDOM[POLYGLOT_CASTLING[right]];
+    }
+  }
+
+  if (enPassant !== '-') {
+    const file = enPassant.charCodeAt(0) - 97;
+    const pawn = turn === 'w' ? 'P' : 'p';
+    const row = turn === 'w' ? 4 : 3;
+    if ((file > 0 && board[8 * row + file - 1] === pawn) || (file < 7 && board[8 * row + file + 1] === pawn)) {
+      key ^= POLYGLOT_RANDOM[POLYGLOT_EN_PASSANT + file];
+    }
+  }
+
+  if (turn === 'w') {
+    key ^= POLYGLOT_RANDOM[POLYGLOT_TURN];
+  }
+
+  return key;
+}
+
+const HASHERS = {
+  'city64': fen => cityhash.city64(fen).toString(),
+  'zobrist': fen => polyglotKey(fen).toString(),
+  'city64-zobrist': fen => (((BigInt(cityhash.city64(fen).toString()) & MASK_64) << 64n) | polyglotKey(fen)).toString()
+};
+
+/**
+ * Fonction de hash d'un schéma (défaut : config positionHash), hash décimal en chaîne
+ */
+export function createPositionHasher(scheme = config.positionHash) {
+  if (!HASHERS[scheme]) {
+    throw new Error(`Schéma de hash inconnu: ${scheme} (attendu: ${HASH_SCHEMES.join(', ')})`);
+  }
+  return HASHERS[scheme];
+}
+
+/**
+ * Nombre de chiffres décimaux d'un hash du schéma : les fichiers temporaires triés en texte
+ * (arêtes de moves-all.tsv) complètent les hashs à cette largeur pour que l'ordre des chaînes soit celui des nombres
+ */
+export function hashDigits(scheme = config.positionHash) {
+  return scheme === 'city64-zobrist' ? 39 : 20;
+}
+
+/**
+ * Ligne d'en-tête qui enregistre le schéma et les règles de normalisation des FENs, écrite avant la ligne des colonnes
+ * (fenRules null : règles inconnues, ligne sans fen=)
+ */
+export function hashSchemeLine(scheme = config.positionHash, fenRules = fenRulesLabel()) {
+  return fenRules ? `#hash=${scheme} fen=${fenRules}` : `#hash=${scheme}`;
+}
+
+/**
+ * Schéma d'une ligne d'en-tête "#hash=..." (null pour une autre ligne)
+ */
+export function parseHashSchemeLine(line) {
+  const match = line.match(/^#hash=([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+function readFirstLine(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(256);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Schéma enregistré dans un fichier (première ligne), null si absent (fichier d'avant l'en-tête)
+ */
+export function readHashScheme(file) {
+  return parseHashSchemeLine(readFirstLine(file));
+}
+
+/**
+ * Refuse de fusionner des fichiers dont les hashs ne sont pas comparables :
+ * schéma ou règles de normalisation des FENs différents de ceux attendus, ou non enregistrés
+ */
+export function assertHashScheme(files, expected = config.positionHash, expectedFenRules = fenRulesLabel()) {
+  const mismatches = files
+    .map(file => {
+      const line = readFirstLine(file);
+      return { file, scheme: parseHashSchemeLine(line), fenRules: parseFenRulesLabel(line) };
+    })
+    .filter(({ scheme, fenRules }) => scheme !== expected || fenRules !== expectedFenRules);
+
+  if (mismatches.length > 0) {
+    const details = mismatches
+      .map(({ file, scheme, fenRules }) => `${path.basename(file)} (${scheme || 'schéma non enregistré'}, fen=${fenRules || 'règles non enregistrées'})`)
+      .join(', ');
+    throw new Error(`Hashs incompatibles avec le schéma ${expected} fen=${expectedFenRules}: ${details}. Régénérez ces fichiers avec la configuration actuelle (positionHash, fenNormalization)`);
+  }
+}
+
+export default createPositionHasher;
@@ -1,12 +1,9 @@
 #!/usr/bin/env node
 
 import { parentPort } from 'worker_threads'
-import { createHash } from 'crypto'
+import { createPositionHasher } from './position-hash.js'
 
-const cityHash64 = (str) => {
-  const hash = createHash('sha256').update(str).digest()
-  return hash.readBigUInt64LE(0)
-}
+const hashPosition = createPositionHasher()
 
 parentPort.on('message', (data) => {
   try {
@@ -18,7 +15,7 @@ parentPort.on('message', (data) => {
       if (columns.length < 2) continue
 
       const fen = columns[0]
-      const hashFen = cityHash64(fen)
+      const hashFen = hashPosition(fen)
       processedLines.push(`${hashFen}\t${line}`)
     }
 
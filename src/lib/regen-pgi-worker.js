@@ -2,18 +2,15 @@
 
 import { parentPort } from 'worker_threads'
 import { Chess } from 'chess.js'
-import { createHash } from 'crypto'
+import { normalizeFen } from './fen-normalize.js'
+import { createPositionHasher } from './position-hash.js'
 
-const cityHash64 = (str) => {
-  const hash = createHash('sha256').update(str).digest()
-  return hash.readBigUInt64LE(0)
-}
+const hashPosition = createPositionHasher()
 
-const normalizeFen = (fen) => {
-  const parts = fen.split(' ')
-  parts[4] = '0'
-  parts[5] = '1'
-  return parts.join(' ')
+// Position de départ [FEN] de la partie, sinon position standard
+const extractSetupFen = (pgn) => {
+  const match = pgn.match(/\[FEN "([^"]+)"\]/)
+  return match ? match[1] : undefined
 }
 
 const isOfficialSource = (site, pgn) => {
@@ -72,15 +69,13 @@ const processGame = (game, pgn) => {
     chess.loadPgn(pgn)
     const history = chess.history({ verbose: true })
 
-    const replayChess = new Chess()
+    const replayChess = new Chess(extractSetupFen(pgn))
 
     for (let i = 0; i < history.length; i++) {
       const currentFen = replayChess.fen()
       const normalizedFen = normalizeFen(currentFen)
-      const hashFen = cityHash64(normalizedFen)
-
       positions.push({
-        hashFen: hashFen.toString(),
+        hashFen: hashPosition(normalizedFen),
         fen: normalizedFen,
         gameId: game.id,
         whiteElo: game.whiteElo,
@@ -93,9 +88,8 @@ const processGame = (game, pgn) => {
 
     const finalFen = replayChess.fen()
     const normalizedFinalFen = normalizeFen(finalFen)
-    const hashFinalFen = cityHash64(normalizedFinalFen)
     positions.push({
-      hashFen: hashFinalFen.toString(),
+      hashFen: hashPosition(normalizedFinalFen),
       fen: normalizedFinalFen,
       gameId: game.id,
       whiteElo: game.whiteElo,
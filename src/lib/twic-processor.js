@@ -3,20 +3,28 @@
 import fs from 'fs';
 import path from 'path';
 import https from 'https';
+import http from 'http';
 import unzipper from 'unzipper';
+import { once } from 'events';
 import { nanoid } from 'nanoid';
+import loadConfig from './config.js';
+import { readGames } from './pgn-reader.js';
 
-class TwicProcessor {  constructor() {
-    this.baseUrl = 'https://theweekinchess.com/zips/';
-    this.twicPageUrl = 'https://theweekinchess.com/twic';
+const config = loadConfig();
+
+class TwicProcessor {  constructor({ dryRun = false } = {}) {
+    this.baseUrl = `${config.sources.twic}/zips/`;
+    this.twicPageUrl = `${config.sources.twic}/twic`;
     this.outputFile = './src/output/twic.pgn';
     this.tempDir = './src/temp';
-    this.ensureDirectories();
+    if (!dryRun) {
+      this.ensureDirectories();
+    }
   }
 
   ensureDirectories() {
     const outputDir = './src/output';
-    [outputDir, this.tempDir].forEach(dir => {
+    [outputDir, './src/progress', this.tempDir].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
@@ -28,7 +36,8 @@ class TwicProcessor {  constructor() {
    */
   async getLatestWeekNumber() {
     return new Promise((resolve, reject) => {
-      const request = https.get(this.twicPageUrl, (response) => {
+      const client = this.twicPageUrl.startsWith('https:') ? https : http;
+      const request = client.get(this.twicPageUrl, (response) => {
         if (response.statusCode !== 200) {
           reject(new Error(`Erreur HTTP: ${response.statusCode}`));
           return;
@@ -111,14 +120,21 @@ class TwicProcessor {  constructor() {
 
   /**
    * Télécharge un fichier ZIP depuis une URL
+   * Erreur HTTP : exception avec statusCode (404 : semaine pas publiée)
    */
   async downloadFile(url, outputPath) {
     return new Promise((resolve, reject) => {
       const file = fs.createWriteStream(outputPath);
 
-      const request = https.get(url, (response) => {
+      const client = url.startsWith('https:') ? https : http;
+      const request = client.get(url, (response) => {
         if (response.statusCode !== 200) {
-          reject(new Error(`Erreur HTTP: ${response.statusCode} pour ${url}`));
+          response.resume();
+          file.close();
+          fs.unlink(outputPath, () => { });
+          const error = new Error(`Erreur HTTP: ${response.statusCode} pour ${url}`);
+          error.statusCode = response.statusCode;
+          reject(error);
           return;
         }
 
@@ -142,6 +158,7 @@ class TwicProcessor {  constructor() {
     });
   }  /**
    * Extrait les fichiers PGN d'un ZIP
+   * Archive illisible : exception marquée corrupt
    */
   async extractPgnFromZip(zipPath, extractDir) {
     return new Promise((resolve, reject) => {
@@ -172,7 +189,11 @@ class TwicProcessor {  constructor() {
           console.log(`Fichiers PGN extraits: ${extractedFiles.length}`);
           resolve(extractedFiles);
         })
-        .on('error', reject);
+        .on('error', (error) => {
+          const corruptError = new Error(`Archive ZIP corrompue: ${error.message}`);
+          corruptError.corrupt = true;
+          reject(corruptError);
+        });
     });
   }
   /**
@@ -195,7 +216,9 @@ class TwicProcessor {  constructor() {
       const pgnFiles = await this.extractPgnFromZip(zipPath, extractDir);
 
       if (pgnFiles.length === 0) {
-        throw new Error('Aucun fichier PGN trouvé dans le ZIP');
+        const error = new Error('Aucun fichier PGN trouvé dans le ZIP');
+        error.corrupt = true;
+        throw error;
       }
 
       // 3. Ajouter directement au fichier final
@@ -223,33 +246,25 @@ class TwicProcessor {  constructor() {
   async appendPgnToFinalFile(pgnFiles) {
     let totalGames = 0;
 
+    // Séparer des parties déjà présentes dans le fichier final
+    let needsSeparator = fs.existsSync(this.outputFile) && fs.statSync(this.outputFile).size > 0;
+
     // Ouvrir le fichier en mode append
     const writeStream = fs.createWriteStream(this.outputFile, { flags: 'a' });
 
     try {
       for (const pgnFile of pgnFiles) {
         if (fs.existsSync(pgnFile)) {
-          const content = await fs.promises.readFile(pgnFile, 'utf8');
-
-          // Compter les parties
-          const gameMatches = content.match(/\[Event /g);
-          const gameCount = gameMatches ? gameMatches.length : 0;
-
-          if (gameCount > 0) {
-            // S'assurer qu'il y a un saut de ligne avant
-            if (totalGames > 0 || fs.existsSync(this.outputFile)) {
+          for await (const game of readGames(pgnFile)) {
+            if (needsSeparator) {
               writeStream.write('\n');
+              needsSeparator = false;
             }
 
-            const contentWithSource = this.addSourceTag(content);
-            writeStream.write(contentWithSource);
-
-            // S'assurer qu'il y a un saut de ligne après
-            if (!content.endsWith('\n')) {
-              writeStream.write('\n');
+            if (!writeStream.write(this.addSourceTag(game) + '\n\n')) {
+              await once(writeStream, 'drain');
             }
-
-            totalGames += gameCount;
+            totalGames++;
           }
         }
       }
@@ -267,39 +282,24 @@ class TwicProcessor {  constructor() {
     }
   }
   /**
-   * Extrait MaxElo d'une partie PGN
+   * Extrait MaxElo des en-têtes d'une partie
    */
-  extractMaxElo(gameText) {
-    const whiteEloMatch = gameText.match(/\[WhiteElo "(\d+)"\]/);
-    const blackEloMatch = gameText.match(/\[BlackElo "(\d+)"\]/);
-    const whiteElo = whiteEloMatch ? parseInt(whiteEloMatch[1]) : 0;
-    const blackElo = blackEloMatch ? parseInt(blackEloMatch[1]) : 0;
+  extractMaxElo(headers) {
+    const whiteElo = parseInt(headers.WhiteElo) || 0;
+    const blackElo = parseInt(headers.BlackElo) || 0;
     return Math.max(whiteElo, blackElo);
   }
 
   /**
-   * Ajoute les tags [ID], [Source "Official"], [MaxElo] avant [Event]
+   * Ajoute les tags [ID], [Source "Official"], [MaxElo] en tête de partie
    */
-  addSourceTag(content) {
-    const games = content.split(/(?=\[Event )/);
-    const processedGames = games.map(game => {
-      if (!game.trim() || !game.includes('[Event ')) return game;
-
-      const maxElo = this.extractMaxElo(game);
-      const id = nanoid();
-      const eventMatch = game.match(/\[Event ([^\]]+)\]/);
+  addSourceTag({ headers, raw }) {
+    const maxElo = this.extractMaxElo(headers);
+    const id = nanoid();
 
-      if (!eventMatch) return game;
-
-      const cleanGame = game.replace(/\[MaxElo "[^"]*"\]\n?/g, '');
-
-      return cleanGame.replace(
-        /\[Event ([^\]]+)\]/,
-        `[ID "${id}"]\n[Source "Official"]\n[MaxElo "${maxElo}"]\n[Event $1]`
-      );
-    });
+    const cleanGame = raw.replace(/^\[(ID|Source|MaxElo) "[^"]*"\]\n?/gm, '');
 
-    return processedGames.join('');
+    return `[ID "${id}"]\n[Source "Official"]\n[MaxElo "${maxElo}"]\n` + cleanGame;
   }
 
   /**
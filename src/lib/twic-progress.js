@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+
+export const FIRST_WEEK = 920;
+
+/**
+ * Progression TWIC (src/progress/twic.json)
+ *  - weeks : semaines ajoutées à twic.pgn, avec leur nombre de parties et la plage d'octets [début, fin[
+ *  - lastWeek : dernière semaine traitée avec succès
+ *  - missing : semaines introuvables (404) ou à l'archive corrompue, retentées au lancement suivant
+ *  - pending : semaine en cours et taille de twic.pgn avant son ajout ; après une interruption,
+ *    la sortie est tronquée à cette taille avant de retraiter la semaine
+ */
+class TwicProgress {
+  constructor(progressFile, legacyFile = null) {
+    this.progressFile = progressFile;
+    this.legacyFile = legacyFile;
+    this.data = TwicProgress.emptyData();
+    this.load();
+  }
+
+  static emptyData() {
+    return { version: 1, lastWeek: null, weeks: {}, missing: {}, pending: null };
+  }
+
+  /**
+   * Charge la progression ; reprend l'ancien twic.pv (prochaine semaine à traiter) s'il existe seul
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.progressFile)) {
+        const content = JSON.parse(fs.readFileSync(this.progressFile, 'utf8'));
+        this.data = {
+          ...TwicProgress.emptyData(),
+          lastWeek: content.lastWeek ?? null,
+          weeks: content.weeks || {},
+          missing: content.missing || {},
+          pending: content.pending || null
+        };
+        return;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Progression TWIC illisible, elle sera recréée: ${error.message}`);
+      return;
+    }
+
+    if (this.legacyFile && fs.existsSync(this.legacyFile)) {
+      const nextWeek = parseInt(fs.readFileSync(this.legacyFile, 'utf8').trim());
+      if (nextWeek > FIRST_WEEK) {
+        for (let week = FIRST_WEEK; week < nextWeek; week++) {
+          this.data.weeks[week] = { games: null, output: null, legacy: true };
+        }
+        this.data.lastWeek = nextWeek - 1;
+        console.log(`🔄 Progression reprise de ${path.basename(this.legacyFile)}: semaines ${FIRST_WEEK} → ${nextWeek - 1} déjà traitées`);
+      }
+    }
+  }
+
+  /**
+   * Sauvegarde de manière atomique (fichier temporaire + rename)
+   */
+  save() {
+    const dir = path.dirname(this.progressFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempFile = this.progressFile + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2), 'utf8');
+    fs.renameSync(tempFile, this.progressFile);
+  }
+
+  isDone(week) {
+    return Boolean(this.data.weeks[week]);
+  }
+
+  completedWeeks() {
+    return Object.keys(this.data.weeks).map(week => parseInt(week)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Semaines manquantes : [{ week, reason, attempts }] triées par numéro
+   */
+  missingWeeks() {
+    return Object.entries(this.data.missing)
+      .map(([week, entry]) => ({ week: parseInt(week), ...entry }))
+      .sort((a, b) => a.week - b.week);
+  }
+
+  /**
+   * Remet twic.pgn dans l'état de la dernière semaine terminée
+   *  - semaine interrompue : sortie tronquée à sa taille d'avant traitement
+   *  - sortie absente ou plus courte que la fin de la dernière semaine enregistrée : progression invalide,
+   *    tout est retraité (retourne false)
+   */
+  recover(outputFile) {
+    if (this.data.pending) {
+      console.log(`🔄 Semaine ${this.data.pending.week} interrompue: retour de ${path.basename(outputFile)} à son état précédent`);
+      this.rollback(outputFile);
+    }
+
+    const exists = fs.existsSync(outputFile);
+    const size = exists ? fs.statSync(outputFile).size : 0;
+    const recordedEnd = Math.max(0, ...Object.values(this.data.weeks).map(entry => entry.output?.[1] ?? 0));
+
+    if (this.completedWeeks().length > 0 && (!exists || size < recordedEnd)) {
+      console.warn(`⚠️  ${path.basename(outputFile)} absent ou plus court que la progression enregistrée (${size} < ${recordedEnd} octets), retraitement complet`);
+      this.reset();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Annule la semaine en cours : sortie tronquée à sa taille notée par markStarted
+   */
+  rollback(outputFile) {
+    const pending = this.data.pending;
+    if (!pending) return;
+
+    if (fs.existsSync(outputFile) && fs.statSync(outputFile).size > pending.size) {
+      fs.truncateSync(outputFile, pending.size);
+    }
+    this.data.pending = null;
+    this.save();
+  }
+
+  /**
+   * Oublie toutes les semaines traitées et manquantes
+   */
+  reset() {
+    this.data = TwicProgress.emptyData();
+    this.save();
+  }
+
+  /**
+   * Note le début du traitement d'une semaine avec la taille actuelle de la sortie
+   */
+  markStarted(week, outputFile) {
+    this.data.pending = {
+      week,
+      size: fs.existsSync(outputFile) ? fs.statSync(outputFile).size : 0,
+      startedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Enregistre une semaine ajoutée à la sortie (et la retire des semaines manquantes)
+   */
+  markCompleted(week, outputFile, games) {
+    const start = this.data.pending?.week === week ? this.data.pending.size : null;
+    const end = fs.statSync(outputFile).size;
+
+    this.data.weeks[week] = { games, output: [start ?? end, end], completedAt: new Date().toISOString() };
+    this.data.lastWeek = Math.max(this.data.lastWeek ?? week, week);
+    delete this.data.missing[week];
+    this.data.pending = null;
+    this.save();
+  }
+
+  /**
+   * Enregistre une semaine manquante (404 ou archive corrompue) pour la retenter au prochain lancement
+   */
+  markMissing(week, reason) {
+    const previous = this.data.missing[week];
+    this.data.missing[week] = {
+      reason,
+      attempts: (previous?.attempts || 0) + 1,
+      lastAttempt: new Date().toISOString()
+    };
+    this.save();
+  }
+}
+
+export default TwicProgress;
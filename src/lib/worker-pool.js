@@ -11,6 +11,9 @@ class WorkerPool {  constructor(workerScript, poolSize = null) {
     this.taskQueue = [];
     this.activeTasksCount = 0;
     this.isShuttingDown = false;
+    // Tâches lancées par submit() et pas encore terminées
+    this.pendingTasks = new Set();
+    this.maxPendingTasks = this.poolSize * 2;
 
     this.createWorkers();
   }
@@ -92,6 +95,28 @@ class WorkerPool {  constructor(workerScript, poolSize = null) {
     worker.postMessage(task.data);
   }
 
+  /**
+   * Lance une tâche sans attendre son résultat (passé à onResult) et ne rend la main que s'il reste de la place :
+   * au plus maxPendingTasks tâches en cours, pour que l'appelant lise sa source au rythme des workers.
+   * Une tâche en échec reste dans pendingTasks : l'erreur remonte au prochain submit() ou à drain().
+   */
+  async submit(taskData, onResult) {
+    const task = this.execute(taskData).then(onResult);
+    this.pendingTasks.add(task);
+    task.then(() => this.pendingTasks.delete(task), () => { });
+
+    if (this.pendingTasks.size >= this.maxPendingTasks) {
+      await Promise.race(this.pendingTasks);
+    }
+  }
+
+  /**
+   * Attend toutes les tâches lancées par submit()
+   */
+  async drain() {
+    await Promise.all(this.pendingTasks);
+  }
+
   /**
    * Attend que toutes les tâches en cours se terminent
    */
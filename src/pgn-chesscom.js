@@ -6,16 +6,21 @@ import { fileURLToPath } from 'url';
 import ChesscomLeaderboard from './lib/chesscom-leaderboard.js';
 import ChesscomArchives from './lib/chesscom-archives.js';
 import ChesscomDownloader from './lib/chesscom-downloader.js';
+import loadConfig from './lib/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const config = loadConfig();
+
 class ChesscomMain {
   constructor() {
     this.leaderboard = new ChesscomLeaderboard();
     this.archives = new ChesscomArchives();
     this.downloader = new ChesscomDownloader();
     this.usernamesFile = path.join(__dirname, 'progress/chesscomusername.pv');
+    // Mode mise à jour : nouvelles archives de chaque joueur depuis son dernier mois traité
+    this.update = process.argv.includes('--update') || config.chesscom.update;
   }
 
   /**
@@ -33,10 +38,15 @@ class ChesscomMain {
 
 
       console.log('\n� ÉTAPE 2: Récupération des URLs d\'archives');
-      await this.archives.processAllUsers();
-      await this.archives.showStats();
+      let updateUrls = null;
+      if (this.update) {
+        updateUrls = await this.archives.collectUpdates(await this.downloader.loadProcessedUrls());
+      } else {
+        await this.archives.processAllUsers();
+        await this.archives.showStats();
+      }
       console.log('\n🎯 ÉTAPE 3: Téléchargement et filtrage des parties');
-      await this.downloader.processAllArchives();      console.log('\n🏆 PIPELINE CHESS.COM TERMINÉ !');
+      await this.downloader.processAllArchives(updateUrls);      console.log('\n🏆 PIPELINE CHESS.COM TERMINÉ !');
       console.log('================================');
       console.log('✅ Toutes les étapes ont été complétées avec succès');
       console.log('📁 Fichiers finaux disponibles dans: apps/backend/src/output/');
@@ -1,72 +1,66 @@
 #!/usr/bin/env node
 
 import LichessProcessor from './lib/lichess-processor.js';
+import LichessProgress from './lib/lichess-progress.js';
 import fs from 'fs';
-
-const configPath = path.join(__dirname, '..', 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-
-const PROGRESS_FILE = './src/progress/lichess.pv';
-
-class LichessMain {
-  constructor() {
-    this.processor = new LichessProcessor();
-  }
-
-  async readProgress() {
-    try {
-      if (fs.existsSync(PROGRESS_FILE)) {
-        const content = await fs.promises.readFile(PROGRESS_FILE, 'utf8');
-        const dateStr = content.trim();
-        console.log(`Reprise depuis: ${dateStr}`);
-        return dateStr;
-      } else {
-        console.log('Première exécution');
-        await this.saveProgress('2013-01');
-        return '2013-01';
-      }
-    } catch (error) {
-      console.warn('Erreur lecture progression, reprise depuis 2013-01');
-      return '2013-01';
+import path from 'path';
+import loadConfig from './lib/config.js';
+
+const config = loadConfig();
+
+const PROGRESS_DIR = './src/progress';
+const LEGACY_PROGRESS_FILE = './src/progress/lichess.pv';
+const FIRST_MONTH = '2013-01';
+const PRELOAD_COUNT = 5;
+
+/**
+ * Options : --start YYYY-MM, --end YYYY-MM (défaut : config lichess.*), --full (retraite toute la plage),
+ * --stream (filtre les archives à la volée, défaut : config lichess.streaming)
+ */
+function parseArgs(args) {
+  const options = {
+    startMonth: config.lichess.startMonth,
+    endMonth: config.lichess.endMonth,
+    full: args.includes('--full'),
+    stream: args.includes('--stream') || config.lichess.streaming
+  };
+
+  for (const [flag, key] of [['--start', 'startMonth'], ['--end', 'endMonth']]) {
+    const index = args.indexOf(flag);
+    if (index === -1) continue;
+
+    const value = args[index + 1];
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(value || '')) {
+      throw new Error(`${flag} attend un mois au format YYYY-MM (reçu ${value || 'rien'})`);
     }
+    options[key] = value;
   }
 
-  async saveProgress(dateStr) {
-    try {
-      await fs.promises.writeFile(PROGRESS_FILE, dateStr, 'utf8');
-    } catch (error) {
-      console.warn(`Impossible de sauver la progression: ${error.message}`);
-    }
+  if (options.startMonth < FIRST_MONTH) {
+    throw new Error(`Les archives Lichess commencent en ${FIRST_MONTH} (début demandé: ${options.startMonth})`);
   }
-  getNextMonth(dateStr) {
-    const [year, month] = dateStr.split('-').map(num => parseInt(num));
-    if (month === 12) {
-      return `${year + 1}-01`;
-    } else {
-      return `${year}-${(month + 1).toString().padStart(2, '0')}`;
-    }
+  if (options.endMonth && options.endMonth < options.startMonth) {
+    throw new Error(`Mois de fin ${options.endMonth} antérieur au mois de début ${options.startMonth}`);
   }
 
-  getLastAvailableMonth(last) {
-    if (last) return last;
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-
-    if (month === 0) {
-      return `${year - 1}-12`;
-    } else {
-      return `${year}-${month.toString().padStart(2, '0')}`;
-    }
-  }
-
-  isDateBefore(date1, date2) {
-    const [y1, m1] = date1.split('-').map(num => parseInt(num));
-    const [y2, m2] = date2.split('-').map(num => parseInt(num));
+  return options;
+}
 
-    if (y1 < y2) return true;
-    if (y1 > y2) return false;
-    return m1 < m2;
+/**
+ * Traitement d'une base Lichess (standard ou variante), avec sa propre progression src/progress/<préfixe>.json
+ */
+class LichessMain {
+  constructor(options, variant = 'standard') {
+    this.options = options;
+    this.variant = variant;
+    this.processor = new LichessProcessor({ variant });
+    this.progress = new LichessProgress(
+      path.join(PROGRESS_DIR, `${this.processor.filePrefix}.json`),
+      variant === 'standard' ? LEGACY_PROGRESS_FILE : null
+    );
+    this.totals = { processed: 0, limited: 0, eval: 0, missing: 0 };
+    this.unverified = [];
+    this.failed = [];
   }
 
   /**
@@ -74,7 +68,6 @@ class LichessMain {
    */
   async initializeOutputFiles() {
     try {
-      const fs = await import('fs');
       await fs.promises.writeFile(this.processor.outputFileLimited, '', 'utf8');
       await fs.promises.writeFile(this.processor.outputFileEval, '', 'utf8');
       console.log('📁 Fichiers de sortie initialisés');
@@ -83,91 +76,141 @@ class LichessMain {
     }
   }
 
-  async run() {
-    console.log('Démarrage du traitement Lichess avec pipeline N+4 (5 downloads simultanés)');
-    console.log('Critères: ELO >= 2200, deux outputs: all + limited (>=10min)\n');
+  /**
+   * Mode incrémental : les sorties sont conservées et seuls les mois absents de la progression sont traités.
+   * Sinon (--full ou lichess.incremental = false) : sorties et progression remises à zéro.
+   */
+  async prepareOutputs() {
+    const incremental = config.lichess.incremental && !this.options.full;
 
-    console.time('Temps total');
+    if (!incremental || !(await this.progress.recover(this.processor.getOutputFiles()))) {
+      this.progress.reset();
+      await this.initializeOutputFiles();
+    }
 
+    return incremental;
+  }
 
-    await this.initializeOutputFiles();
+  /**
+   * Enregistre un mois terminé (progression + totaux)
+   */
+  recordMonth(date, stats, verification) {
+    if (verification && !verification.verified) {
+      this.unverified.push({ date, reason: verification.reason });
+    }
+    this.totals.processed += stats.total;
+    this.totals.limited += stats.filteredLimited;
+    this.totals.eval += stats.filteredEval;
+
+    console.log(`${date} terminé: ${stats.filteredLimited} limited, ${stats.filteredEval} eval`);
+    console.log(`Total: ${this.totals.limited} limited, ${this.totals.eval} eval sur ${this.totals.processed}`);
+  }
+
+  /**
+   * Mois dont des chunks ont échoué : non enregistré dans la progression, retraité au prochain run
+   */
+  recordFailed(date, failedChunks) {
+    this.failed.push({ date, failedChunks });
+    console.error(`❌ ${date}: ${failedChunks} chunk(s) en échec, mois abandonné (retraité au prochain run)`);
+  }
+
+  /**
+   * Mois sans archive pour cette variante : noté comme traité, sans parties
+   */
+  recordMissing(date) {
+    this.progress.markMissing(date);
+    this.totals.missing++;
+    console.log(`⏭️  ${date}: aucune archive ${this.variant} publiée`);
+  }
 
-    const lastAvailable = this.getLastAvailableMonth();
-    console.log(`Traitement jusqu'à: ${lastAvailable}`);
-    let currentDate = await this.readProgress();
-    let totalProcessed = 0;
-    let totalFilteredLimited = 0;
-    let totalFilteredEval = 0;
+  /**
+   * Rapport des archives non vérifiées (sha256 absent, liste indisponible ou vérification désactivée)
+   */
+  reportUnverified() {
+    if (this.unverified.length === 0) {
+      console.log('  🔐 Toutes les archives traitées ont été vérifiées (sha256)');
+    } else {
+      console.warn(`  ⚠️  ${this.unverified.length} mois non vérifiés (sha256) :`);
+      for (const { date, reason } of this.unverified) {
+        console.warn(`     - ${date}: ${reason}`);
+      }
+    }
 
+    const previous = this.progress.unverifiedMonths().filter(month => !this.unverified.some(entry => entry.date === month));
+    if (previous.length > 0) {
+      console.warn(`  ⚠️  Mois non vérifiés lors de runs précédents: ${previous.join(', ')} (--full pour les retraiter)`);
+    }
+  }
+
+  /**
+   * Mode disque : .zst téléchargés en avance (N+4), décompressés dans src/temp puis filtrés
+   */
+  async runDownloads(remaining) {
     const downloadQueue = new Map();
-    let processData = null;
-
-    const startDownloadIfNeeded = (monthString) => {
-      if (!downloadQueue.has(monthString) &&
-        (this.isDateBefore(monthString, lastAvailable) || monthString === lastAvailable)) {
-
-        const urlData = this.processor.createUrlFromDate(monthString);
-        const promise = this.processor.downloadOnly(urlData)
-          .then(downloadData => {
-            console.log(`✅ Téléchargement ${monthString} terminé`);
-            return downloadData;
-          });
-
-        downloadQueue.set(monthString, promise);
-        console.log(`📥 Téléchargement ${monthString} démarré en arrière-plan`);
-        return true;
+
+    const startDownloadIfNeeded = (index) => {
+      if (index >= remaining.length || downloadQueue.has(index)) {
+        return;
       }
-      return false;
+
+      const urlData = remaining[index];
+      const promise = this.processor.downloadOnly(urlData)
+        .then(downloadData => {
+          console.log(`✅ Téléchargement ${urlData.date} terminé`);
+          return downloadData;
+        }, error => {
+          if (this.processor.isUnpublishedMonth(error)) return null;
+          throw error;
+        });
+      // Une erreur est traitée quand le mois est attendu
+      promise.catch(() => { });
+
+      downloadQueue.set(index, promise);
+      console.log(`📥 Téléchargement ${urlData.date} démarré en arrière-plan`);
     };
 
-    let preloadMonth = currentDate;
-    for (let i = 0; i < 5; i++) {
-      if (startDownloadIfNeeded(preloadMonth)) {
-        preloadMonth = this.getNextMonth(preloadMonth);
-      } else {
-        break;
-      }
+    for (let i = 0; i < PRELOAD_COUNT; i++) {
+      startDownloadIfNeeded(i);
     }
 
-    while (this.isDateBefore(currentDate, lastAvailable) || currentDate === lastAvailable) {
+    for (let index = 0; index < remaining.length; index++) {
+      const currentDate = remaining[index].date;
       console.log(`\nTraitement: ${currentDate}`);
 
+      let processData = null;
       try {
         const timerLabel = `Temps ${currentDate}`;
         console.time(timerLabel);
 
-        if (!processData) {
-          const downloadPromise = downloadQueue.get(currentDate);
-          if (!downloadPromise) {
-            throw new Error(`Téléchargement manquant pour ${currentDate}`);
-          }
+        const downloadData = await downloadQueue.get(index);
+        if (downloadData === null) {
+          startDownloadIfNeeded(index + PRELOAD_COUNT);
+          downloadQueue.delete(index);
+          this.recordMissing(currentDate);
+          console.timeEnd(timerLabel);
+          continue;
+        }
 
-          const downloadData = await downloadPromise;
-          console.log(`🔄 Décompression ${currentDate} en cours...`);
-          processData = await this.processor.decompressOnly(downloadData);
-          console.log(`✅ Décompression ${currentDate} terminée`);
+        console.log(`🔄 Décompression ${currentDate} en cours...`);
+        processData = await this.processor.decompressOnly(downloadData);
+        console.log(`✅ Décompression ${currentDate} terminée`);
 
-          const next5Month = this.getNextMonth(this.getNextMonth(this.getNextMonth(this.getNextMonth(this.getNextMonth(currentDate)))));
-          startDownloadIfNeeded(next5Month);
+        startDownloadIfNeeded(index + PRELOAD_COUNT);
+        downloadQueue.delete(index);
 
-          downloadQueue.delete(currentDate);
-        }
+        this.progress.markStarted(currentDate, this.processor.getOutputFiles());
         const stats = await this.processor.processDownloadedFile(processData);
-
-        totalProcessed += stats.total;
-        totalFilteredLimited += stats.filteredLimited;
-        totalFilteredEval += stats.filteredEval;
-
-        const nextMonth = this.getNextMonth(currentDate);
-        await this.saveProgress(nextMonth);
+        if (stats.failedChunks > 0) {
+          this.progress.rollback(this.processor.getOutputFiles());
+          this.recordFailed(currentDate, stats.failedChunks);
+          console.timeEnd(timerLabel);
+          continue;
+        }
+        this.progress.markCompleted(currentDate, this.processor.getOutputFiles(), stats.total, processData.verification);
 
         console.timeEnd(timerLabel);
-        console.log(`${currentDate} terminé: ${stats.filteredLimited} limited, ${stats.filteredEval} eval`);
-        console.log(`Total: ${totalFilteredLimited} limited, ${totalFilteredEval} eval sur ${totalProcessed}`);
+        this.recordMonth(currentDate, stats, processData.verification);
         console.log(`📊 Queue: ${downloadQueue.size} téléchargements en cours`);
-
-        currentDate = nextMonth;
-        processData = null;
       } catch (error) {
         console.error(`❌ ERREUR CRITIQUE ${currentDate}: ${error.message}`);
         console.error(`❌ ARRÊT DU TRAITEMENT - Corrigez le problème et relancez`);
@@ -187,25 +230,152 @@ class LichessMain {
     }
     if (downloadQueue.size > 0) {
       console.log(`🧹 Nettoyage de ${downloadQueue.size} téléchargements en cours...`);
-      try {
-        await Promise.allSettled(Array.from(downloadQueue.values()));
-      } catch (error) {
-        console.warn('Erreur lors du nettoyage des téléchargements:', error.message);
+      await Promise.allSettled(Array.from(downloadQueue.values()));
+    }
+  }
+
+  /**
+   * Mode streaming : chaque mois est filtré pendant son téléchargement (lichess.concurrentMonths mois en parallèle,
+   * un seul pool de workers). Les mois sont ajoutés aux sorties dans l'ordre pour garder des plages d'octets contiguës.
+   */
+  async runStreaming(remaining) {
+    const concurrency = config.lichess.concurrentMonths;
+    const workerPool = this.processor.createWorkerPool();
+    const tasks = new Map();
+
+    const startMonth = (index) => {
+      if (index >= remaining.length || tasks.has(index)) {
+        return;
+      }
+
+      const urlData = remaining[index];
+      const promise = this.processor.streamFilterMonth(urlData, workerPool)
+        .catch(error => {
+          if (this.processor.isUnpublishedMonth(error)) return null;
+          throw error;
+        });
+      // Une erreur est traitée quand le mois est attendu
+      promise.catch(() => { });
+
+      tasks.set(index, promise);
+      console.log(`📡 Streaming ${urlData.date} démarré`);
+    };
+
+    try {
+      for (let i = 0; i < concurrency; i++) {
+        startMonth(i);
+      }
+
+      for (let index = 0; index < remaining.length; index++) {
+        const currentDate = remaining[index].date;
+
+        try {
+          const stats = await tasks.get(index);
+          tasks.delete(index);
+          startMonth(index + concurrency);
+
+          if (stats === null) {
+            this.recordMissing(currentDate);
+            continue;
+          }
+          if (stats.failedChunks > 0) {
+            await this.processor.deleteMonthTempOutputs(stats.outputs);
+            this.recordFailed(currentDate, stats.failedChunks);
+            continue;
+          }
+
+          this.progress.markStarted(currentDate, this.processor.getOutputFiles());
+          await this.processor.appendMonthOutputs(stats.outputs);
+          this.progress.markCompleted(currentDate, this.processor.getOutputFiles(), stats.total, stats.verification);
+
+          this.recordMonth(currentDate, stats, stats.verification);
+        } catch (error) {
+          console.error(`❌ ERREUR CRITIQUE ${currentDate}: ${error.message}`);
+          console.error(`❌ ARRÊT DU TRAITEMENT - Corrigez le problème et relancez`);
+
+          // Les mois déjà lancés se terminent, leurs parties filtrées sont abandonnées
+          await Promise.allSettled(Array.from(tasks.values()));
+          for (const pendingIndex of tasks.keys()) {
+            await this.processor.deleteMonthTempOutputs(this.processor.getMonthTempOutputs(remaining[pendingIndex].date));
+          }
+
+          throw error;
+        }
       }
+    } finally {
+      await workerPool.shutdown();
+    }
+  }
+
+  async run() {
+    const { startMonth, endMonth, stream } = this.options;
+
+    if (this.variant !== 'standard') {
+      console.log(`\n♞ Variante ${this.variant} (${this.processor.baseUrl})`);
+    }
+    if (stream) {
+      console.log(`Démarrage du traitement Lichess en streaming (${config.lichess.concurrentMonths} mois en parallèle, sans décompression sur disque)`);
+    } else {
+      console.log(`Démarrage du traitement Lichess avec pipeline N+${PRELOAD_COUNT - 1} (${PRELOAD_COUNT} downloads simultanés)`);
+    }
+    console.log(`Critères: ELO >= ${config.minOnlineElo}, deux outputs: limited (>= ${config.minGameTime}s) + eval\n`);
+
+    console.time('Temps total');
+
+    const incremental = await this.prepareOutputs();
+
+    const months = this.processor.generateUrls(startMonth, endMonth);
+    const remaining = months.filter(month => !this.progress.isDone(month.date));
+
+    console.log(`Plage: ${startMonth} → ${months.length > 0 ? months[months.length - 1].date : startMonth} (${months.length} mois)`);
+    console.log(`Mode: ${incremental ? 'incrémental' : 'complet'}, ${months.length - remaining.length} mois déjà traités, ${remaining.length} à traiter`);
+
+    if (stream) {
+      await this.runStreaming(remaining);
+    } else {
+      await this.runDownloads(remaining);
     }
+
     console.log('\nTraitement terminé !');
     console.log(`Résumé final:`);
-    console.log(`  Limited: ${totalFilteredLimited} parties (ELO >= ${config.minOnlineElo} + Temps >= ${config.minGameTime}s)`);
-    console.log(`  Eval: ${totalFilteredEval} parties (ELO >= ${config.minOnlineElo} + évaluations engine)`);
-    console.log(`  Total traité: ${totalProcessed} parties`);
+    console.log(`  Mois traités: ${remaining.length}${remaining.length === 0 ? ' (aucun nouveau mois publié)' : ''}${this.totals.missing > 0 ? `, dont ${this.totals.missing} sans archive` : ''}`);
+    console.log(`  Limited: ${this.totals.limited} parties (ELO >= ${config.minOnlineElo} + Temps >= ${config.minGameTime}s)`);
+    console.log(`  Eval: ${this.totals.eval} parties (ELO >= ${config.minOnlineElo} + évaluations engine)`);
+    console.log(`  Total traité: ${this.totals.processed} parties`);
+    if (this.failed.length > 0) {
+      console.warn(`  ⚠️  ${this.failed.length} mois abandonnés (chunks en échec), retraités au prochain run: ${this.failed.map(({ date }) => date).join(', ')}`);
+    }
+    this.reportUnverified();
 
     console.timeEnd('Temps total');
     console.log('\nTraitement terminé ! Fichiers finaux directement disponibles :');
     console.log(`📁 LIMITED: ${this.processor.outputFileLimited}`);
     console.log(`📁 EVAL: ${this.processor.outputFileEval}`);
+    console.log(`📄 Progression: ${this.progress.progressFile}`);
   }
 }
 
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * Base standard puis chaque variante de lichess.variants
+ */
+async function runAll() {
+  for (const variant of ['standard', ...config.lichess.variants]) {
+    await new LichessMain(options, variant).run();
+  }
+}
 
-const main = new LichessMain();
-main.run().catch(console.error);
+// Sortie explicite : en cas d'erreur, un décompresseur zstd interrompu peut garder le processus ouvert
+runAll()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
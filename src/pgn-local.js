@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+import LocalProcessor from './lib/local-processor.js';
+import loadConfig from './lib/config.js';
+
+const config = loadConfig();
+
+class LocalMain {
+  constructor() {
+    this.processor = new LocalProcessor();
+  }
+
+  async run() {
+    const args = process.argv.slice(2);
+    const inputPaths = args.length > 0 ? args : config.local.paths;
+
+    console.log('Démarrage de l\'import des fichiers locaux');
+    console.log(`Chemins: ${inputPaths.join(', ') || '(aucun)'}`);
+    console.log(`Source: ${config.local.source}, filtres ${config.local.applyOnlineFilters ? `en ligne (ELO >= ${config.minOnlineElo}, temps >= ${config.minGameTime}s, ` : '('}coups >= ${config.minPlyDepth})\n`);
+
+    console.time('Temps total');
+
+    try {
+      if (inputPaths.length === 0) {
+        throw new Error('Aucun chemin à importer (local.paths dans config.json ou arguments)');
+      }
+
+      const files = await this.processor.listFiles(inputPaths);
+      const resetReason = this.processor.progressResetReason();
+      if (resetReason) {
+        console.log(`🔄 ${resetReason} : ${this.processor.outputFile} et ${this.processor.progressFile} réinitialisés, réimport complet`);
+        await this.processor.resetProgress();
+      }
+      const imported = await this.processor.loadProgress();
+      const remaining = files.filter(file => !imported.has(this.processor.progressKey(file)));
+
+      console.log(`📁 ${files.length} fichiers trouvés, ${remaining.length} à importer`);
+
+      let totalGames = 0;
+      let keptGames = 0;
+
+      for (let i = 0; i < remaining.length; i++) {
+        const file = remaining[i];
+        console.log(`\n[${i + 1}/${remaining.length}] ${file.path}`);
+
+        const stats = await this.processor.processFile(file);
+        await this.processor.saveProgress(file);
+
+        totalGames += stats.totalGames;
+        keptGames += stats.keptGames;
+        console.log(`✅ ${stats.keptGames}/${stats.totalGames} parties conservées (${stats.filteredGames} filtrées)`);
+      }
+
+      console.log('\nImport terminé !');
+      console.log('Résumé final:');
+      console.log(`  Fichiers importés: ${remaining.length}`);
+      console.log(`  Parties conservées: ${keptGames}/${totalGames}`);
+      console.log(`  Fichier final: ${this.processor.outputFile}`);
+
+    } catch (error) {
+      console.error('Erreur fatale:', error.message);
+      process.exit(1);
+    }
+
+    console.timeEnd('Temps total');
+  }
+}
+
+
+const main = new LocalMain();
+main.run().catch(console.error);
@@ -1,15 +1,74 @@
 #!/usr/bin/env node
 
 import PGNMentorProcessor from './lib/pgnmentor-processor.js';
+import { PGNMENTOR_CATEGORIES } from './lib/config.js';
 import fs from 'fs';
 
-const PROGRESS_FILE = './src/progress/pgnmentor.pv';
-
+/**
+ * Options : --list (catégories de files.html et fichiers retenus par les filtres, sans téléchargement),
+ * --refresh (relit files.html pour mettre à jour la sélection enregistrée)
+ */
 class PgnMentorMain {
-  constructor() {
+  constructor(args = []) {
     this.processor = new PGNMentorProcessor();
+    this.listOnly = args.includes('--list');
+    this.refresh = args.includes('--refresh');
   }
-  async readProgress(progressFile = PROGRESS_FILE) {
+
+  /**
+   * Nombre de fichiers par catégorie : "players: 2, events: 1"
+   */
+  countByCategory(links) {
+    const counts = new Map();
+    for (const link of links) {
+      counts.set(link.category, (counts.get(link.category) || 0) + 1);
+    }
+    return [...counts].map(([category, count]) => `${category}: ${count}`).join(', ') || 'aucun fichier';
+  }
+
+  /**
+   * --list : catalogue de files.html par catégorie, avec les fichiers retenus par les filtres pgnmentor.*
+   */
+  async listCategories() {
+    const catalog = await this.processor.getCatalog();
+    const { categories, include, exclude } = this.processor.filters;
+
+    console.log(`📚 ${catalog.length} fichiers sur ${this.processor.baseUrl}/files.html`);
+    console.log(`🎯 Filtres: catégories ${categories.join(', ')} | include: ${include.join(', ') || '*'} | exclude: ${exclude.join(', ') || 'aucun'}\n`);
+
+    for (const category of PGNMENTOR_CATEGORIES) {
+      const links = catalog.filter(link => link.category === category);
+      if (links.length === 0) continue;
+
+      const selected = links.filter(link => this.processor.matchesFilters(link));
+      console.log(`${categories.includes(category) ? '✅' : '⏭️ '} ${category}: ${links.length} fichiers, ${selected.length} retenus`);
+      const preview = selected.slice(0, 10).map(link => link.name).join(', ');
+      if (preview) {
+        console.log(`   ${preview}${selected.length > 10 ? `, … (+${selected.length - 10})` : ''}`);
+      }
+    }
+  }
+
+  /**
+   * Sélection des fichiers (reprise de pgnmentor-selection.json ou nouvelle) avec son résumé
+   */
+  async selectLinks() {
+    const selection = await this.processor.getSelection({ refresh: this.refresh });
+    const selectionName = this.processor.selectionFile.split('/').pop();
+
+    if (selection.reused) {
+      console.log(`📌 Sélection reprise de ${selectionName} (${selection.selectedAt}): ${selection.links.length}/${selection.catalogSize} fichiers (--refresh pour relire files.html)`);
+    } else {
+      if (selection.filtersChanged) {
+        console.log('🔄 Filtres pgnmentor modifiés depuis la dernière sélection : pgnmentor.pgn et pgnmentor.pv réinitialisés, reconstruction complète');
+      }
+      console.log(`💾 Sélection enregistrée dans ${selectionName}: ${selection.links.length}/${selection.catalogSize} fichiers`);
+    }
+    console.log(`   ${this.countByCategory(selection.links)}`);
+
+    return selection.links;
+  }
+  async readProgress(progressFile = this.processor.progressFile) {
     try {
       if (fs.existsSync(progressFile)) {
         const content = await fs.promises.readFile(progressFile, 'utf8');
@@ -25,7 +84,7 @@ class PgnMentorMain {
     }
   }
 
-  async saveProgress(progressData, progressFile = PROGRESS_FILE) {
+  async saveProgress(progressData, progressFile = this.processor.progressFile) {
     try {
       const content = progressData.processedFiles.join('\n');
       await fs.promises.writeFile(progressFile, content, 'utf8');
@@ -39,6 +98,15 @@ class PgnMentorMain {
 
     try {
 
+      if (this.listOnly) {
+        await this.listCategories();
+        return;
+      }
+
+      console.log('📂 Sélection des fichiers PGN Mentor...');
+      const selectedLinks = await this.selectLinks();
+      console.log('');
+
       console.log('🔄 PRÉPARATION: Chargement des parties existantes');
       await this.processor.loadExistingHashes();
       console.log('');
@@ -51,10 +119,9 @@ class PgnMentorMain {
 
 
       console.log('🎯 PHASE 1: Traitement des tournois (fichiers PGN directs)');
-      console.log('📂 Récupération de la liste des fichiers PGN...');
 
-      const allPgnLinks = await this.processor.getAllPgnLinks();
-      console.log(`📁 ${allPgnLinks.length} fichiers PGN trouvés`);
+      const allPgnLinks = selectedLinks.filter(link => link.name.endsWith('.pgn'));
+      console.log(`📁 ${allPgnLinks.length} fichiers PGN sélectionnés`);
 
 
       const progress = await this.readProgress();
@@ -94,10 +161,9 @@ class PgnMentorMain {
 
 
       console.log('🎯 PHASE 2: Traitement des collections (fichiers ZIP)');
-      console.log('📦 Récupération de la liste des fichiers ZIP...');
 
-      const allZipLinks = await this.processor.getAllZipLinks();
-      console.log(`📁 ${allZipLinks.length} fichiers ZIP trouvés`);
+      const allZipLinks = selectedLinks.filter(link => link.name.endsWith('.zip'));
+      console.log(`📁 ${allZipLinks.length} fichiers ZIP sélectionnés`);
 
       const remainingZipFiles = allZipLinks.filter(link => !processedSet.has(link.name));
       console.log(`⏭️  ${remainingZipFiles.length} fichiers ZIP restants à traiter\n`);
@@ -144,5 +210,5 @@ class PgnMentorMain {
 }
 
 
-const main = new PgnMentorMain();
+const main = new PgnMentorMain(process.argv.slice(2));
 main.run().catch(console.error);
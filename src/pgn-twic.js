@@ -1,105 +1,205 @@
 #!/usr/bin/env node
 
 import TwicProcessor from './lib/twic-processor.js';
+import TwicProgress, { FIRST_WEEK } from './lib/twic-progress.js';
 import fs from 'fs';
+import loadConfig from './lib/config.js';
+
+const config = loadConfig();
+
+const PROGRESS_FILE = './src/progress/twic.json';
+const LEGACY_PROGRESS_FILE = './src/progress/twic.pv';
+
+/**
+ * Options : --start N, --end N (défaut : config twic.*), --full (vide twic.pgn et retraite toute la plage)
+ */
+function parseArgs(args) {
+  const options = {
+    startWeek: config.twic.startWeek,
+    endWeek: config.twic.endWeek,
+    full: args.includes('--full')
+  };
+
+  for (const [flag, key] of [['--start', 'startWeek'], ['--end', 'endWeek']]) {
+    const index = args.indexOf(flag);
+    if (index === -1) continue;
+
+    const value = args[index + 1];
+    if (!/^\d+$/.test(value || '')) {
+      throw new Error(`${flag} attend un numéro de semaine (reçu ${value || 'rien'})`);
+    }
+    options[key] = parseInt(value);
+  }
 
-const PROGRESS_FILE = './src/progress/twic.pv';
+  if (options.startWeek < FIRST_WEEK) {
+    throw new Error(`Les archives PGN TWIC commencent à la semaine ${FIRST_WEEK} (début demandé: ${options.startWeek})`);
+  }
+  if (options.endWeek !== null && options.endWeek < options.startWeek) {
+    throw new Error(`Semaine de fin ${options.endWeek} antérieure à la semaine de début ${options.startWeek}`);
+  }
+
+  return options;
+}
 
 class TwicMain {
-  constructor() {
+  constructor(options) {
+    this.options = options;
     this.processor = new TwicProcessor();
+    this.progress = new TwicProgress(PROGRESS_FILE, LEGACY_PROGRESS_FILE);
+    this.outputFile = this.processor.outputFile;
+    this.maxRetries = config.twic.maxRetries;
+    this.retryDelayMs = config.twic.retryDelayMs;
+    this.totals = { processed: 0, games: 0, missing: 0 };
   }
 
-  async readProgress() {
-    try {
-      if (fs.existsSync(PROGRESS_FILE)) {
-        const content = await fs.promises.readFile(PROGRESS_FILE, 'utf8');
-        const weekNum = parseInt(content.trim());
-        console.log(`Reprise depuis la semaine: ${weekNum}`);
-        return weekNum;
-      } else {
-        console.log('Première exécution');
-        await this.saveProgress(920);
-        return 920;
-      }
-    } catch (error) {
-      console.warn('Erreur lecture progression, reprise depuis 920');
-      return 920;
+  /**
+   * Reprise : semaine interrompue retirée de twic.pgn, seules les semaines absentes de la progression sont ajoutées.
+   * --full ou progression invalide : twic.pgn vidé et progression remise à zéro.
+   */
+  async prepareOutput() {
+    if (this.options.full || !this.progress.recover(this.outputFile)) {
+      this.progress.reset();
+      await fs.promises.writeFile(this.outputFile, '', 'utf8');
+      console.log('📁 Fichier de sortie initialisé');
     }
   }
 
-  async saveProgress(weekNum) {
-    try {
-      await fs.promises.writeFile(PROGRESS_FILE, weekNum.toString(), 'utf8');
-    } catch (error) {
-      console.warn(`Impossible de sauver la progression: ${error.message}`);
-    }
+  /**
+   * Semaine introuvable ou archive corrompue : notée dans la progression et retentée au prochain lancement
+   */
+  recordMissing(week, reason) {
+    this.progress.markMissing(week, reason);
+    this.totals.missing++;
+    console.warn(`⏭️  Semaine ${week} manquante (${reason}), elle sera retentée au prochain lancement`);
   }
 
-  async run() {
-    console.log('Démarrage du traitement TWIC');
-    console.log('Récupération de toutes les semaines depuis 920 jusqu\'à la dernière disponible\n');
+  /**
+   * Télécharge et ajoute une semaine ; en cas d'échec, twic.pgn revient à sa taille d'avant
+   *  - 404 : semaine manquante, sans nouvel essai
+   *  - archive corrompue : twic.maxRetries nouveaux essais, puis semaine manquante
+   *  - autre erreur (réseau, disque) : twic.maxRetries nouveaux essais, puis exception
+   */
+  async processWeek(week) {
+    for (let attempt = 1; ; attempt++) {
+      this.progress.markStarted(week, this.outputFile);
+
+      try {
+        const stats = await this.processor.processWeek(week);
+        this.progress.markCompleted(week, this.outputFile, stats.totalGames);
+        return stats;
+      } catch (error) {
+        this.progress.rollback(this.outputFile);
+
+        if (error.statusCode === 404) {
+          this.recordMissing(week, 'HTTP 404');
+          return null;
+        }
 
-    console.time('Temps total');
+        console.error(`❌ Erreur semaine ${week} (tentative ${attempt}/${this.maxRetries + 1}): ${error.message}`);
+        if (attempt > this.maxRetries) {
+          if (error.corrupt) {
+            this.recordMissing(week, error.message);
+            return null;
+          }
+          throw error;
+        }
 
-    try {
+        console.log(`🔄 Nouvelle tentative dans ${this.retryDelayMs / 1000} secondes...`);
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+      }
+    }
+  }
 
-      const lastWeek = await this.processor.getLatestWeekNumber();
-      console.log(`Dernière semaine disponible: ${lastWeek}`);      let currentWeek = await this.readProgress();
-      let totalProcessed = 0;
-      let totalGames = 0;
-      let consecutiveErrors = 0;
-      const maxRetries = 3;while (currentWeek <= lastWeek) {
-        console.log(`\nTraitement de la semaine: ${currentWeek}`);
+  /**
+   * Rapport des semaines manquantes (celles de ce lancement et des précédents)
+   */
+  reportMissing() {
+    const missing = this.progress.missingWeeks();
+    if (missing.length === 0) {
+      return;
+    }
 
-        try {
-          const timerLabel = `Temps semaine ${currentWeek}`;
-          console.time(timerLabel);
+    console.warn(`  ⚠️  ${missing.length} semaines manquantes, retentées au prochain lancement :`);
+    for (const { week, reason, attempts } of missing) {
+      console.warn(`     - ${week}: ${reason} (${attempts} lancement${attempts > 1 ? 's' : ''})`);
+    }
+  }
 
-          const stats = await this.processor.processWeek(currentWeek);
+  async run() {
+    console.log('Démarrage du traitement TWIC');
+    console.time('Temps total');
 
-          totalProcessed += 1;
-          totalGames += stats.totalGames;
-          consecutiveErrors = 0;
+    const latestWeek = await this.processor.getLatestWeekNumber();
+    console.log(`Dernière semaine disponible: ${latestWeek}`);
 
-          console.timeEnd(timerLabel);
-          console.log(`✅ Semaine ${currentWeek} terminée: ${stats.totalGames} parties`);
-          console.log(`📊 Total: ${totalGames} parties sur ${totalProcessed} semaines`);
+    const startWeek = this.options.startWeek;
+    const endWeek = this.options.endWeek === null ? latestWeek : Math.min(this.options.endWeek, latestWeek);
+    console.log(`Plage demandée: semaines ${startWeek} → ${endWeek}`);
 
-          currentWeek++;
-          await this.saveProgress(currentWeek);
+    await this.prepareOutput();
+    if (this.progress.data.lastWeek !== null) {
+      console.log(`Dernière semaine traitée: ${this.progress.data.lastWeek}`);
+    }
 
-        } catch (error) {
-          consecutiveErrors++;
-          console.error(`❌ Erreur semaine ${currentWeek} (tentative ${consecutiveErrors}/${maxRetries}): ${error.message}`);
+    const remaining = [];
+    for (let week = startWeek; week <= endWeek; week++) {
+      if (!this.progress.isDone(week)) {
+        remaining.push(week);
+      }
+    }
 
-          if (consecutiveErrors < maxRetries) {
-            console.log('🔄 Nouvelle tentative dans 5 secondes...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
+    const retried = this.progress.missingWeeks().filter(({ week }) => remaining.includes(week));
+    if (retried.length > 0) {
+      console.log(`🔁 Semaines manquantes retentées: ${retried.map(({ week }) => week).join(', ')}`);
+    }
+    console.log(`📅 ${remaining.length} semaines à traiter\n`);
+
+    for (const week of remaining) {
+      console.log(`\nTraitement de la semaine: ${week}`);
+
+      const timerLabel = `Temps semaine ${week}`;
+      console.time(timerLabel);
+
+      let stats;
+      try {
+        stats = await this.processWeek(week);
+      } catch (error) {
+        console.error(`💥 ÉCHEC FATAL: Impossible de traiter la semaine ${week} après ${this.maxRetries + 1} tentatives.`);
+        console.error('Les semaines déjà ajoutées sont conservées dans la progression.');
+        console.error('Vérifiez le problème et relancez le script.');
+        process.exit(1);
+      }
 
-          } else {
-            console.error(`💥 ÉCHEC FATAL: Impossible de traiter la semaine ${currentWeek} après ${maxRetries} tentatives.`);
-            console.error('Le script s\'arrête pour éviter de perdre des données.');
-            console.error('Vérifiez le problème et relancez le script.');
-            process.exit(1);
-          }
-        }
-      }console.log('\nTraitement terminé !');
-      console.log(`Résumé final:`);
-      console.log(`  Semaines traitées: ${totalProcessed}`);
-      console.log(`  Total parties: ${totalGames}`);
-      console.log(`  Fichier final: ./src/output/twic.pgn`);
-
-    } catch (error) {
-      console.error('Erreur fatale:', error.message);
-      process.exit(1);
+      console.timeEnd(timerLabel);
+      if (stats) {
+        this.totals.processed++;
+        this.totals.games += stats.totalGames;
+        console.log(`📊 Total: ${this.totals.games} parties sur ${this.totals.processed} semaines`);
+      }
     }
 
-    console.timeEnd('Temps total');
     console.log('\nTraitement terminé !');
+    console.log(`Résumé final:`);
+    console.log(`  Semaines traitées: ${this.totals.processed}${remaining.length === 0 ? ' (aucune nouvelle semaine publiée)' : ''}${this.totals.missing > 0 ? `, ${this.totals.missing} manquantes` : ''}`);
+    console.log(`  Total parties ajoutées: ${this.totals.games}`);
+    console.log(`  Fichier final: ${this.outputFile}`);
+    console.log(`  Progression: ${PROGRESS_FILE}`);
+    this.reportMissing();
+
+    console.timeEnd('Temps total');
   }
 }
 
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-const main = new TwicMain();
-main.run().catch(console.error);
+const main = new TwicMain(options);
+main.run().catch(error => {
+  console.error('Erreur fatale:', error.message);
+  process.exit(1);
+});
@@ -5,10 +5,17 @@ import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import os from 'os'
 import { Worker } from 'worker_threads'
+import { readGames } from './lib/pgn-reader.js'
+import loadConfig from './lib/config.js'
+import { hashSchemeLine } from './lib/position-hash.js'
+import { fenRulesLabel } from './lib/fen-normalize.js'
+import { getGameCount } from './lib/game-count.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
+const config = loadConfig()
+
 class TSVGenerator {
   constructor() {
     this.pgnFile = './src/output/chessmont.pgn'
@@ -16,7 +23,7 @@ class TSVGenerator {
 
     this.pgiStream = null
     this.processedGames = 0
-    this.totalGames = 21521235
+    this.totalGames = 0
     this.totalPositions = 0
     this.startTime = null
     this.lastLogTime = 0
@@ -27,7 +34,7 @@ class TSVGenerator {
   }
 
   async run() {
-    console.log('🚀 TSV GENERATOR V2 - Chess Dataset with cityHash64')
+    console.log(`🚀 TSV GENERATOR V2 - Chess Dataset (hash ${config.positionHash}, FEN ${fenRulesLabel()})`)
     console.log('====================================================')
     console.log(`📁 Input PGN: ${this.pgnFile}`)
     console.log(`📊 Output PGI: ${this.outputPgiFile}`)
@@ -39,6 +46,7 @@ class TSVGenerator {
 
     try {
       await this.validateInputFiles()
+      this.totalGames = await getGameCount(this.pgnFile)
       await this.parseGamesForPgi()
       await this.printFinalStats()
     } catch (error) {
@@ -59,12 +67,14 @@ class TSVGenerator {
     console.time('⏱️  Parsing PGN')
 
     this.pgiStream = fs.createWriteStream(this.outputPgiFile)
+    this.pgiStream.write(hashSchemeLine(config.positionHash) + '\n')
     this.pgiStream.write('hashFen\tfen\tgameId\twhiteElo\tofficial\tdate\n')
 
     const workers = []
     const workerStates = []
     const batchQueue = []
     let isStreamingComplete = false
+    let resumeReading = null
     let activeTasks = 0
 
     for (let i = 0; i < this.numWorkers; i++) {
@@ -120,9 +130,10 @@ class TSVGenerator {
         batchId: Math.random().toString(36)
       })
 
-      if (streamPaused && batchQueue.length < this.maxQueueSize / 2) {
-        streamPaused = false
-        stream.resume()
+      if (resumeReading && batchQueue.length < this.maxQueueSize / 2) {
+        const resume = resumeReading
+        resumeReading = null
+        resume()
       }
     }
 
@@ -138,85 +149,46 @@ class TSVGenerator {
       if (promiseResolve) promiseResolve()
     }
 
+    const done = new Promise((resolve) => {
+      promiseResolve = resolve
+    })
+
     const READ_CHUNK_SIZE = 1024 * 1024
     const stream = fs.createReadStream(this.pgnFile, {
-      encoding: 'utf8',
       highWaterMark: READ_CHUNK_SIZE
     })
 
-    let buffer = ''
-    let currentGame = ''
-    let inGame = false
     let currentBatch = []
-    let streamPaused = false
-
-    stream.on('data', (chunk) => {
-      buffer += chunk
-      const lines = buffer.split('\n')
-      buffer = lines.pop() || ''
-
-      for (const line of lines) {
-        if (line.startsWith('[ID ')) {
-          if (inGame && currentGame.trim()) {
-            currentBatch.push(currentGame)
-
-            if (currentBatch.length >= this.batchSize) {
-              batchQueue.push([...currentBatch])
-              currentBatch = []
-
-              if (!streamPaused && batchQueue.length >= this.maxQueueSize) {
-                streamPaused = true
-                stream.pause()
-              }
 
-              processNextBatch()
-            }
-          }
+    try {
+      for await (const game of readGames(stream)) {
+        currentBatch.push(game.raw + '\n\n')
 
-          currentGame = line + '\n'
-          inGame = true
-        } else {
-          currentGame += line + '\n'
-        }
-      }
-    })
+        if (currentBatch.length >= this.batchSize) {
+          batchQueue.push(currentBatch)
+          currentBatch = []
+          processNextBatch()
 
-    stream.on('end', () => {
-      if (buffer.trim()) {
-        const line = buffer.trim()
-        if (line.startsWith('[ID ')) {
-          if (inGame && currentGame.trim()) {
-            currentBatch.push(currentGame)
+          // File pleine : la lecture reprend quand les workers l'ont vidée de moitié
+          if (batchQueue.length >= this.maxQueueSize) {
+            await new Promise(resolve => { resumeReading = resolve })
           }
-          currentGame = line + '\n'
-          inGame = true
-        } else {
-          currentGame += line + '\n'
         }
       }
-
-      if (inGame && currentGame.trim()) {
-        currentBatch.push(currentGame)
-      }
-
-      if (currentBatch.length > 0) {
-        batchQueue.push(currentBatch)
-      }
-
-      isStreamingComplete = true
-      processNextBatch()
-    })
-
-    stream.on('error', (error) => {
+    } catch (error) {
       console.error('❌ Erreur de lecture du fichier:', error)
       workers.forEach(worker => worker.terminate())
       throw error
-    })
+    }
 
-    return new Promise((resolve, reject) => {
-      promiseResolve = resolve
-      stream.on('error', reject)
-    })
+    if (currentBatch.length > 0) {
+      batchQueue.push(currentBatch)
+    }
+
+    isStreamingComplete = true
+    processNextBatch()
+
+    return done
   }
 
   updateProgressLog(processed, total, type) {
@@ -2,8 +2,9 @@
 
 import fs from 'fs';
 import path from 'path';
-import { createReadStream, createWriteStream } from 'fs';
-import { createInterface } from 'readline';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { readGames } from './lib/pgn-reader.js';
 
 class ComputerGameRemover {
   constructor(inputFile) {
@@ -21,7 +22,7 @@ class ComputerGameRemover {
 
     this.inputFile = inputFile;
     this.tempFile = inputFile + '.remove';
-    this.computerEventPattern = /\[Event .*(TCEC|CCC [Ss]|WCCC|Computer Chess|ICGA)/i;
+    this.computerEventPattern = /(TCEC|CCC [Ss]|WCCC|Computer Chess|ICGA)/i;
 
     this.stats = {
       totalGames: 0,
@@ -33,9 +34,9 @@ class ComputerGameRemover {
   }
 
   /**
-   * Vérifie si une partie est une partie d'ordinateur
+   * Vérifie si une partie est une partie d'ordinateur (d'après son tag Event)
    */
-  isComputerGame = (pgn) => this.computerEventPattern.test(pgn);
+  isComputerGame = (headers) => this.computerEventPattern.test(headers.Event || '');
 
   /**
    * Filtre le fichier PGN en streaming
@@ -52,20 +53,14 @@ class ComputerGameRemover {
     this.stats.totalBytes = fileStats.size;
 
     const writeStream = createWriteStream(this.tempFile, { encoding: 'utf8' });
-    const readStream = createReadStream(this.inputFile, { encoding: 'utf8' });
-    const rl = createInterface({
-      input: readStream,
-      crlfDelay: Infinity
-    });
 
     console.log('🔄 Traitement en streaming...');
     console.log('🎯 Filtrage: TCEC, CCC, WCCC, Computer, ICGA');
 
-    let currentGame = '';
     let lastProgressUpdate = Date.now();
 
-    for await (const line of rl) {
-      this.stats.processedBytes += Buffer.byteLength(line + '\n', 'utf8');
+    for await (const game of readGames(this.inputFile)) {
+      this.stats.processedBytes = game.byteOffset + game.byteLength;
 
       const now = Date.now();
       if (now - lastProgressUpdate > 2000) {
@@ -75,32 +70,15 @@ class ComputerGameRemover {
         lastProgressUpdate = now;
       }
 
-      if (line.startsWith('[Event ')) {
-        if (currentGame.trim() !== '') {
-          this.stats.totalGames++;
-
-          if (this.isComputerGame(currentGame)) {
-            this.stats.removedGames++;
-          } else {
-            this.stats.keptGames++;
-            writeStream.write(currentGame);
-          }
-        }
-
-        currentGame = line + '\n';
-      } else {
-        currentGame += line + '\n';
-      }
-    }
-
-    if (currentGame.trim() !== '') {
       this.stats.totalGames++;
 
-      if (this.isComputerGame(currentGame)) {
+      if (this.isComputerGame(game.headers)) {
         this.stats.removedGames++;
       } else {
         this.stats.keptGames++;
-        writeStream.write(currentGame);
+        if (!writeStream.write(game.raw + '\n\n')) {
+          await once(writeStream, 'drain');
+        }
       }
     }
 
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Préfixe de chaque source (clé de config.sources) sur le serveur de rejeu
+ */
+export const SOURCE_PREFIXES = {
+  lichess: '/lichess',
+  twic: '/twic',
+  pgnmentor: '/pgnmentor',
+  chesscomApi: '/chesscom-api',
+  chesscomWeb: '/chesscom-web'
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.pgn': 'application/x-chess-pgn',
+  '.txt': 'text/plain; charset=utf-8',
+  '.zip': 'application/zip',
+  '.zst': 'application/zstd'
+};
+
+// Fichiers texte dans lesquels {{baseUrl}} est remplacé par l'adresse du serveur
+const TEMPLATE_EXTENSIONS = ['.html', '.json'];
+
+/**
+ * Variables d'environnement qui redirigent toutes les sources vers le serveur
+ */
+export function sourceOverrides(baseUrl) {
+  const env = {};
+  for (const [source, prefix] of Object.entries(SOURCE_PREFIXES)) {
+    const name = source.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+    env[`CHESSMONT_SOURCES__${name}`] = baseUrl + prefix;
+  }
+  return env;
+}
+
+/**
+ * Serveur HTTP local qui rejoue les fixtures enregistrées à la place des sites réels
+ *  - fixtures/routes.json : réponses particulières (motifs *, statut, en-têtes, séquence de réponses,
+ *    truncateAt : connexion coupée après N octets)
+ *  - sinon le chemin de l'URL est servi depuis fixtures/ (essais : tel quel, .json, .html)
+ *  - les requêtes Range (bytes=début-) reçoivent une réponse 206 partielle
+ */
+class ReplayServer {
+  constructor({ fixturesDir = DEFAULT_FIXTURES_DIR, port = 0, host = '127.0.0.1', verbose = false } = {}) {
+    this.fixturesDir = path.resolve(fixturesDir);
+    this.port = port;
+    this.host = host;
+    this.verbose = verbose;
+    this.baseUrl = null;
+    this.server = null;
+
+    this.routes = this.loadRoutes();
+    this.requests = [];
+  }
+
+  /**
+   * Charge fixtures/routes.json et compile les motifs de chemin
+   */
+  loadRoutes() {
+    const routesFile = path.join(this.fixturesDir, 'routes.json');
+    if (!fs.existsSync(routesFile)) {
+      return [];
+    }
+
+    const { routes = [] } = JSON.parse(fs.readFileSync(routesFile, 'utf8'));
+    return routes.map(route => ({
+      pattern: new RegExp('^' + route.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*') + '$'),
+      responses: route.responses || [route],
+      served: 0
+    }));
+  }
+
+  /**
+   * Démarre le serveur et retourne son adresse (port libre si port = 0)
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(error.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.baseUrl = `http://${this.host}:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Prochaine réponse d'une route : les réponses sont servies dans l'ordre, la dernière est répétée
+   */
+  matchRoute(pathname) {
+    const route = this.routes.find(candidate => candidate.pattern.test(pathname));
+    if (!route) return null;
+
+    const response = route.responses[Math.min(route.served, route.responses.length - 1)];
+    route.served++;
+    return response;
+  }
+
+  /**
+   * Résout un chemin de fixture sans sortir du dossier des fixtures
+   */
+  resolveFixture(relativePath) {
+    const filePath = path.join(this.fixturesDir, relativePath);
+    if (!filePath.startsWith(this.fixturesDir + path.sep)) {
+      return null;
+    }
+
+    for (const candidate of [filePath, `${filePath}.json`, `${filePath}.html`]) {
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, this.baseUrl);
+    const route = this.matchRoute(pathname);
+    const response = route || { file: decodeURIComponent(pathname) };
+
+    let body = null;
+    let contentType = 'text/plain; charset=utf-8';
+
+    if (response.file) {
+      const filePath = this.resolveFixture(response.file);
+      if (filePath) {
+        const extension = path.extname(filePath);
+        body = await fs.promises.readFile(filePath);
+        contentType = CONTENT_TYPES[extension] || 'application/octet-stream';
+
+        if (TEMPLATE_EXTENSIONS.includes(extension)) {
+          body = Buffer.from(body.toString('utf8').replaceAll('{{baseUrl}}', this.baseUrl));
+        }
+      }
+    } else if (response.body !== undefined) {
+      body = Buffer.from(response.body);
+      contentType = response.body.trimStart().startsWith('{') ? CONTENT_TYPES['.json'] : contentType;
+    }
+
+    let status = body === null ? 404 : (response.status || 200);
+    if (body === null) {
+      body = Buffer.from(`Fixture introuvable: ${pathname}`);
+    }
+
+    const headers = { 'Content-Type': contentType, 'Accept-Ranges': 'bytes' };
+    if (status === 200 && response.file) {
+      // ETag des fixtures : les requêtes conditionnelles (If-None-Match) reçoivent 304
+      headers['ETag'] = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+      if (req.headers['if-none-match'] === headers['ETag']) {
+        status = 304;
+        body = Buffer.alloc(0);
+      }
+    }
+    const range = status === 200 && /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    if (range) {
+      const start = parseInt(range[1]);
+      if (start >= body.length) {
+        status = 416;
+        headers['Content-Range'] = `bytes */${body.length}`;
+        body = Buffer.alloc(0);
+      } else {
+        status = 206;
+        headers['Content-Range'] = `bytes ${start}-${body.length - 1}/${body.length}`;
+        body = body.subarray(start);
+      }
+    }
+
+    this.requests.push({ method: req.method, path: pathname, status });
+    if (this.verbose) {
+      console.log(`🎞️  ${req.method} ${pathname} → ${status}`);
+    }
+
+    res.writeHead(status, {
+      ...headers,
+      'Content-Length': body.length,
+      ...(response.headers || {})
+    });
+
+    if (response.truncateAt !== undefined && req.method !== 'HEAD' && response.truncateAt < body.length) {
+      // Coupure réseau simulée : la taille annoncée n'est jamais atteinte
+      res.write(body.subarray(0, response.truncateAt), () => res.destroy());
+      return;
+    }
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+}
+
+if (process.argv[1] && process.argv[1].endsWith('replay-server.js')) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : 8765;
+
+  const server = new ReplayServer({ port, verbose: true });
+  const baseUrl = await server.start();
+
+  console.log(`🎞️  Serveur de rejeu démarré sur ${baseUrl} (fixtures: ${server.fixturesDir})`);
+  console.log('Pour rediriger les téléchargements vers ce serveur :\n');
+  for (const [name, value] of Object.entries(sourceOverrides(baseUrl))) {
+    console.log(`export ${name}=${value}`);
+  }
+  console.log('\nCtrl+C pour arrêter');
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+export default ReplayServer;
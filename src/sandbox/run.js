@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import ReplayServer, { sourceOverrides } from './replay-server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Données générées par le pipeline : jamais copiées dans le bac à sable
+const EXCLUDED = ['.git', 'node_modules', 'local', 'dataset', 'src/output', 'src/progress', 'src/temp']
+  .map(entry => path.join(ROOT_DIR, entry));
+
+/**
+ * Exécute start.js de bout en bout contre le serveur de rejeu,
+ * dans une copie du projet pour ne jamais toucher src/output ni src/progress
+ */
+class SandboxRun {
+  constructor(args) {
+    this.keep = args.includes('--keep');
+
+    const dirIndex = args.indexOf('--dir');
+    this.sandboxDir = dirIndex !== -1 ? path.resolve(args[dirIndex + 1]) : null;
+
+    this.pipelineArgs = args.filter((arg, index) =>
+      arg !== '--keep' && arg !== '--dir' && (dirIndex === -1 || index !== dirIndex + 1));
+    if (!this.pipelineArgs.includes('--profile')) {
+      this.pipelineArgs.push('--profile', 'sandbox');
+    }
+  }
+
+  /**
+   * Copie le code (sans les données) et relie node_modules
+   */
+  prepareSandbox() {
+    if (this.sandboxDir) {
+      fs.mkdirSync(this.sandboxDir, { recursive: true });
+    } else {
+      this.sandboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chessmont-sandbox-'));
+    }
+
+    fs.cpSync(ROOT_DIR, this.sandboxDir, {
+      recursive: true,
+      filter: (source) => !EXCLUDED.includes(source)
+    });
+
+    const modules = path.join(ROOT_DIR, 'node_modules');
+    const link = path.join(this.sandboxDir, 'node_modules');
+    if (fs.existsSync(modules) && !fs.existsSync(link)) {
+      fs.symlinkSync(modules, link, 'dir');
+    }
+  }
+
+  runPipeline(env) {
+    return new Promise((resolve) => {
+      const child = spawn('node', ['start.js', ...this.pipelineArgs], {
+        cwd: this.sandboxDir,
+        env: { ...process.env, ...env },
+        stdio: 'inherit'
+      });
+
+      child.on('close', (code) => resolve(code ?? 1));
+      child.on('error', (error) => {
+        console.error(`❌ Impossible de lancer start.js: ${error.message}`);
+        resolve(1);
+      });
+    });
+  }
+
+  async run() {
+    this.prepareSandbox();
+
+    const server = new ReplayServer();
+    const baseUrl = await server.start();
+
+    console.log('🧪 BAC À SABLE');
+    console.log(`   📂 Copie du projet: ${this.sandboxDir}`);
+    console.log(`   🎞️  Serveur de rejeu: ${baseUrl}`);
+    console.log(`   ▶️  node start.js ${this.pipelineArgs.join(' ')}\n`);
+
+    let code;
+    try {
+      code = await this.runPipeline(sourceOverrides(baseUrl));
+    } finally {
+      await server.stop();
+    }
+
+    const byStatus = {};
+    for (const request of server.requests) {
+      byStatus[request.status] = (byStatus[request.status] || 0) + 1;
+    }
+    console.log(`\n🎞️  ${server.requests.length} requêtes servies (${Object.entries(byStatus).map(([status, count]) => `${status}: ${count}`).join(', ') || 'aucune'})`);
+
+    if (this.keep) {
+      console.log(`📂 Résultats conservés dans ${this.sandboxDir}`);
+    } else {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+
+    return code;
+  }
+}
+
+const sandbox = new SandboxRun(process.argv.slice(2));
+sandbox.run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`❌ Erreur bac à sable: ${error.message}`);
+    process.exit(1);
+  });
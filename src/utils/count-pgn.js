@@ -2,79 +2,39 @@
 
 import fs from 'fs';
 import path from 'path';
-import { createReadStream } from 'fs';
+import { countGames } from '../lib/pgn-reader.js';
 
 /**
  * Script pour compter le nombre de parties dans un fichier PGN (avec streaming)
  * Usage: node count-pgn.js <fichier.pgn>
  */
 
-function countGamesInPGN(filePath) {
-  return new Promise((resolve, reject) => {
-    try {
-
-      if (!fs.existsSync(filePath)) {
-        console.error(`❌ Fichier non trouvé: ${filePath}`);
-        process.exit(1);
-      }
-
-
-      const fileStats = fs.statSync(filePath);
-      const fileSizeMB = (fileStats.size / 1024 / 1024).toFixed(2);
-
-      console.log(`📖 Streaming du fichier: ${path.basename(filePath)}`);
-      console.log(`📏 Taille: ${fileSizeMB} MB`);
-      console.log(`⏳ Comptage en cours...`);
-
-      const startTime = Date.now();
-
-
-      const readStream = createReadStream(filePath, {
-        encoding: 'utf8',
-        highWaterMark: 64 * 1024
-      });
-
-      let buffer = '';
-      let gameCount = 0;
-
-      readStream.on('data', (chunk) => {
-        buffer += chunk;
-
-
-        let match;
-        const regex = /\[Event /g;
-
-        while ((match = regex.exec(buffer)) !== null) {
-          gameCount++;
-        }
+async function countGamesInPGN(filePath) {
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ Fichier non trouvé: ${filePath}`);
+    process.exit(1);
+  }
 
+  const fileStats = fs.statSync(filePath);
+  const fileSizeMB = (fileStats.size / 1024 / 1024).toFixed(2);
 
-        const lastEventIndex = buffer.lastIndexOf('[Event ');
-        if (lastEventIndex > 0) {
-          buffer = buffer.substring(lastEventIndex);
-        }
-      });
+  console.log(`📖 Streaming du fichier: ${path.basename(filePath)}`);
+  console.log(`📏 Taille: ${fileSizeMB} MB`);
+  console.log(`⏳ Comptage en cours...`);
 
-      readStream.on('end', () => {
-        const endTime = Date.now();
-        const duration = ((endTime - startTime) / 1000).toFixed(2);
+  const startTime = Date.now();
 
-        console.log(`📊 Résultats pour: ${path.basename(filePath)}`);
-        console.log(`   Taille du fichier: ${fileSizeMB} MB`);
-        console.log(`   Nombre de parties: ${gameCount.toLocaleString()}`);
-        console.log(`⏱️  Temps de traitement: ${duration}s`);
+  const gameCount = await countGames(filePath);
 
-        resolve(gameCount);
-      });
+  const endTime = Date.now();
+  const duration = ((endTime - startTime) / 1000).toFixed(2);
 
-      readStream.on('error', (error) => {
-        reject(error);
-      });
+  console.log(`📊 Résultats pour: ${path.basename(filePath)}`);
+  console.log(`   Taille du fichier: ${fileSizeMB} MB`);
+  console.log(`   Nombre de parties: ${gameCount.toLocaleString()}`);
+  console.log(`⏱️  Temps de traitement: ${duration}s`);
 
-    } catch (error) {
-      reject(error);
-    }
-  });
+  return gameCount;
 }
 
 
@@ -2,7 +2,9 @@
 
 import fs from 'fs';
 import path from 'path';
+import { once } from 'events';
 import { fileURLToPath } from 'url';
+import { readGames } from '../../lib/pgn-reader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -76,152 +78,61 @@ class EloRefilter {
 
     let totalGamesInput = 0;
     let totalGamesOutput = 0;
-    let processedSize = 0;
-    let currentGame = '';
-    let gameHeaders = {};
-    let inGameMoves = false;
 
     const writeStream = fs.createWriteStream(output, { flags: 'w' });
 
-    const processCompleteGame = () => {
-      if (currentGame.trim()) {
-        totalGamesInput++;
+    // Découpage partagé (pgn-reader) : les en-têtes sont déjà analysés
+    for await (const game of readGames(input)) {
+      totalGamesInput++;
 
-        if (this.shouldKeepGame(gameHeaders)) {
-          writeStream.write(currentGame + '\n\n');
-          totalGamesOutput++;
-        }
-
-
-        if (totalGamesInput % 5000 === 0) {
-          const progress = ((processedSize / inputStats.size) * 100).toFixed(1);
-          const keepRate = totalGamesInput > 0 ? ((totalGamesOutput / totalGamesInput) * 100).toFixed(1) : '0.0';
-          const rejected = totalGamesInput - totalGamesOutput;
-          process.stdout.write(`\r📈 Traité: ${totalGamesInput.toLocaleString()} | ✅ Gardé: ${totalGamesOutput.toLocaleString()} (${keepRate}%) | ❌ Rejeté: ${rejected.toLocaleString()} | 📊 Progression: ${progress}%`);
+      if (this.shouldKeepGame(game.headers)) {
+        if (!writeStream.write(game.raw + '\n\n')) {
+          await once(writeStream, 'drain');
         }
+        totalGamesOutput++;
       }
 
+      if (totalGamesInput % 5000 === 0) {
+        const progress = (((game.byteOffset + game.byteLength) / inputStats.size) * 100).toFixed(1);
+        const keepRate = ((totalGamesOutput / totalGamesInput) * 100).toFixed(1);
+        const rejected = totalGamesInput - totalGamesOutput;
+        process.stdout.write(`\r📈 Traité: ${totalGamesInput.toLocaleString()} | ✅ Gardé: ${totalGamesOutput.toLocaleString()} (${keepRate}%) | ❌ Rejeté: ${rejected.toLocaleString()} | 📊 Progression: ${progress}%`);
+      }
+    }
 
-      currentGame = '';
-      gameHeaders = {};
-      inGameMoves = false;
-    };
-
-
-    const stream = fs.createReadStream(input, { encoding: 'utf8' });
-    let buffer = '';
-
-    return new Promise((resolve, reject) => {
-      stream.on('data', (chunk) => {
-        buffer += chunk;
-        processedSize += chunk.length;
-
-        const lines = buffer.split('\n');
-
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.startsWith('[Event ')) {
-            if (currentGame) {
-              processCompleteGame();
-            }
-            currentGame = line + '\n';
-            gameHeaders = { Event: this.extractHeaderValue(line, 'Event') };
-            inGameMoves = false;
-          }
-          else if (line.startsWith('[') && !inGameMoves) {
-            currentGame += line + '\n';
-
-            if (line.startsWith('[WhiteElo ')) {
-              gameHeaders.WhiteElo = parseInt(this.extractHeaderValue(line, 'WhiteElo')) || 0;
-            } else if (line.startsWith('[BlackElo ')) {
-              gameHeaders.BlackElo = parseInt(this.extractHeaderValue(line, 'BlackElo')) || 0;
-            }
-          }
-          else if (line.trim() === '' && currentGame && !inGameMoves) {
-            currentGame += line + '\n';
-            inGameMoves = true;
-          }
-          else if (inGameMoves || (!line.startsWith('[') && currentGame)) {
-            currentGame += line + '\n';
-            inGameMoves = true;
-
-
-            if (line.match(/\s+(1-0|0-1|1\/2-1\/2|\*)\s*$/)) {
-              processCompleteGame();
-            }
-          }
-        }
-      });
-
-      stream.on('end', () => {
-
-        if (buffer.trim()) {
-          const line = buffer.trim();
-          if (line.startsWith('[Event ')) {
-            if (currentGame) {
-              processCompleteGame();
-            }
-            currentGame = line + '\n';
-          } else if (currentGame) {
-            currentGame += line + '\n';
-            if (line.match(/\s+(1-0|0-1|1\/2-1\/2|\*)\s*$/)) {
-              processCompleteGame();
-            }
-          }
-        }
-
-
-        if (currentGame) {
-          processCompleteGame();
-        }
-
-        writeStream.end();
-
+    writeStream.end();
+    await once(writeStream, 'finish');
 
-        const outputStats = fs.statSync(output);
-        const outputSizeMB = (outputStats.size / (1024 * 1024)).toFixed(2);
-        const reductionPercent = (((inputStats.size - outputStats.size) / inputStats.size) * 100).toFixed(1);
 
-        console.log(`\n✅ ${name} terminé:`);
-        const keepRate = totalGamesInput > 0 ? ((totalGamesOutput / totalGamesInput) * 100).toFixed(1) : '0.0';
-        const rejected = totalGamesInput - totalGamesOutput;
-        console.log(`   📊 Parties: ${totalGamesInput.toLocaleString()} → ${totalGamesOutput.toLocaleString()} (${keepRate}% gardées)`);
-        console.log(`   ❌ Rejetées: ${rejected.toLocaleString()} (ELO < 2500)`);
-        console.log(`   📏 Taille: ${inputSizeMB} MB → ${outputSizeMB} MB (-${reductionPercent}%)`);
-        console.log(`   📁 Sortie: ${path.basename(output)}`);
+    const outputStats = fs.statSync(output);
+    const outputSizeMB = (outputStats.size / (1024 * 1024)).toFixed(2);
+    const reductionPercent = (((inputStats.size - outputStats.size) / inputStats.size) * 100).toFixed(1);
 
+    console.log(`\n✅ ${name} terminé:`);
+    const keepRate = totalGamesInput > 0 ? ((totalGamesOutput / totalGamesInput) * 100).toFixed(1) : '0.0';
+    const rejected = totalGamesInput - totalGamesOutput;
+    console.log(`   📊 Parties: ${totalGamesInput.toLocaleString()} → ${totalGamesOutput.toLocaleString()} (${keepRate}% gardées)`);
+    console.log(`   ❌ Rejetées: ${rejected.toLocaleString()} (ELO < 2500)`);
+    console.log(`   📏 Taille: ${inputSizeMB} MB → ${outputSizeMB} MB (-${reductionPercent}%)`);
+    console.log(`   📁 Sortie: ${path.basename(output)}`);
 
-        this.stats.totalFiles++;
-        this.stats.totalGamesInput += totalGamesInput;
-        this.stats.totalGamesOutput += totalGamesOutput;
-        this.stats.totalSizeInput += inputStats.size;
-        this.stats.totalSizeOutput += outputStats.size;
 
-        resolve();
-      });
-
-      stream.on('error', reject);
-    });
+    this.stats.totalFiles++;
+    this.stats.totalGamesInput += totalGamesInput;
+    this.stats.totalGamesOutput += totalGamesOutput;
+    this.stats.totalSizeInput += inputStats.size;
+    this.stats.totalSizeOutput += outputStats.size;
   }
   /**
    * Vérifie si une partie doit être conservée (ELO >= 2500)
    */
   shouldKeepGame(gameHeaders) {
-    const whiteElo = gameHeaders.WhiteElo || 0;
-    const blackElo = gameHeaders.BlackElo || 0;
+    const whiteElo = parseInt(gameHeaders.WhiteElo) || 0;
+    const blackElo = parseInt(gameHeaders.BlackElo) || 0;
 
     return whiteElo >= 2500 && blackElo >= 2500;
   }
 
-  /**
-   * Extrait la valeur d'un header PGN
-   */
-  extractHeaderValue(headerLine, headerName) {
-    const match = headerLine.match(new RegExp(`\\[${headerName}\\s+"([^"]*)"\\]`));
-    return match ? match[1] : '';
-  }
-
   /**
    * Affiche les statistiques finales
    */
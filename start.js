@@ -4,14 +4,16 @@ import fs from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
+import Pipeline from './src/lib/pipeline.js';
+import PipelineManifest from './src/lib/pipeline-manifest.js';
+import loadConfig, { getConfigSource } from './src/lib/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
-// Charger la configuration
-const configPath = path.join(__dirname, 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const config = loadConfig();
+const configSource = getConfigSource();
 
 class DatasetGenerator {
   constructor() {
@@ -22,26 +24,121 @@ class DatasetGenerator {
     const minElo = config.minOnlineElo;
     const minTime = config.minGameTime;
 
-    this.sourceFiles = {
-      twic: path.join(this.outputDir, 'twic.pgn'),
-      pgnmentor: path.join(this.outputDir, 'pgnmentor.pgn'),
-      chesscom: path.join(this.outputDir, `chesscom-${minElo}-${minTime}.pgn`),
-      lichess: path.join(this.outputDir, `lichess-${minElo}-${minTime}.pgn`)
-    };
-
     this.finalPGN = path.join(this.outputDir, config.finalPGNFileName);
     this.officialPGN = path.join(this.outputDir, config.officialPGNFileName);
     this.withOnlineGame = config.withOnlineGame;
+
+    const datasetPGN = this.withOnlineGame ? this.finalPGN : this.officialPGN;
+
+    // Variables utilisables dans la section "pipeline" de config.json
+    this.variables = {
+      root: __dirname,
+      src: this.srcDir,
+      output: this.outputDir,
+      officialPGN: this.officialPGN,
+      finalPGN: this.finalPGN,
+      datasetPGN,
+      datasetName: path.basename(datasetPGN, '.pgn'),
+      chesscomPGN: path.join(this.outputDir, `chesscom-${minElo}-${minTime}.pgn`),
+      lichessPGN: path.join(this.outputDir, `lichess-${minElo}-${minTime}.pgn`)
+    };
+
+    this.pipeline = new Pipeline(config.pipeline, config, this.variables);
+    this.steps = this.pipeline.order;
+    this.manifest = new PipelineManifest(path.join(this.outputDir, 'pipeline-manifest.json'));
+  }
+
+  /**
+   * Décide si une étape doit être exécutée selon les options CLI et le manifeste
+   */
+  async shouldRunStep(step, options, upstreamRan) {
+    if (options.only) {
+      return step.name === options.only
+        ? { run: true, reason: 'demandée via --only' }
+        : { run: false, reason: 'hors --only' };
+    }
+
+    if (options.from) {
+      return this.pipeline.descendants(options.from).has(step.name)
+        ? { run: true, reason: `relance depuis --from ${options.from}` }
+        : { run: false, reason: `hors de la relance --from ${options.from}` };
+    }
+
+    if (options.force.includes(step.name)) {
+      return { run: true, reason: 'forcée via --force' };
+    }
+
+    if (step.always) {
+      return { run: true, reason: 'source incrémentale, toujours vérifiée (always)' };
+    }
+
+    if (upstreamRan) {
+      return { run: true, reason: 'une étape dont elle dépend a été relancée' };
+    }
+
+    const status = await this.manifest.checkStep(step.name, step);
+    return status.upToDate
+      ? { run: false, reason: 'sorties valides et entrées inchangées' }
+      : { run: true, reason: status.reason };
+  }
+
+  /**
+   * Arguments effectifs d'une étape : {inputs} est remplacé par la liste des entrées
+   * (limitée aux fichiers non vides pour les étapes à entrées optionnelles)
+   */
+  resolveStepArgs(step) {
+    const inputs = step.optionalInputs
+      ? step.inputs.filter(file => this.checkFile(file))
+      : step.inputs;
+
+    const args = step.args.flatMap(arg => arg === '{inputs}' ? inputs : [arg]);
+    return { args, inputs };
+  }
+
+  /**
+   * Exécute une étape en tenant le manifeste à jour
+   * Retourne false si l'étape n'a rien changé pour ses dépendantes : ignorée faute d'entrée,
+   * ou étape "always" dont les sorties sont identiques à celles d'avant son lancement
+   */
+  async runStep(step) {
+    const { args, inputs } = this.resolveStepArgs(step);
+
+    if (step.optionalInputs && step.inputs.length > 0 && inputs.length === 0) {
+      console.log(`⏭️  Étape ${step.name}: aucune entrée disponible, ignorée`);
+      this.manifest.markSkipped(step.name, 'aucune entrée disponible');
+      return false;
+    }
+
+    const outputsBefore = step.always ? await this.manifest.signatures(step.outputs) : null;
+    await this.manifest.markStarted(step.name, step);
+
+    try {
+      await this.runNodeScript(step.script, args, step.name);
+      await this.manifest.markCompleted(step.name, step.outputs);
+    } catch (error) {
+      this.manifest.markFailed(step.name, error);
+      throw error;
+    }
+
+    if (outputsBefore) {
+      const outputsAfter = await this.manifest.signatures(step.outputs);
+      if (step.outputs.every(file => this.manifest.sameSignature(outputsBefore[file], outputsAfter[file]))) {
+        console.log(`💤 Étape ${step.name}: sorties inchangées, les étapes dépendantes suivent leurs propres signatures`);
+        return false;
+      }
+    }
+
+    return true;
   }
 
   /**
    * Exécute une commande Node.js et retourne une promesse
    */
-  runNodeScript(scriptPath, args = []) {
+  runNodeScript(scriptPath, args = [], label = path.basename(scriptPath)) {
     return new Promise((resolve, reject) => {
       const scriptName = path.basename(scriptPath);
-      console.log(`\n🚀 Lancement: ${scriptName} ${args.join(' ')}`);
-      console.time(`⏱️  ${scriptName}`);
+      console.log(`\n🚀 Lancement [${label}]: ${scriptName} ${args.join(' ')}`);
+      console.time(`⏱️  ${label}`);
 
       const nodeProcess = spawn('node', [scriptPath, ...args], {
         stdio: 'inherit',
@@ -49,18 +146,18 @@ class DatasetGenerator {
       });
 
       nodeProcess.on('close', (code) => {
-        console.timeEnd(`⏱️  ${scriptName}`);
+        console.timeEnd(`⏱️  ${label}`);
         if (code === 0) {
-          console.log(`✅ ${scriptName} terminé avec succès`);
+          console.log(`✅ ${label} terminé avec succès`);
           resolve();
         } else {
-          console.error(`❌ ${scriptName} a échoué avec le code: ${code}`);
+          console.error(`❌ ${label} a échoué avec le code: ${code}`);
           reject(new Error(`Script ${scriptName} failed with code ${code}`));
         }
       });
 
       nodeProcess.on('error', (error) => {
-        console.timeEnd(`⏱️  ${scriptName}`);
+        console.timeEnd(`⏱️  ${label}`);
         console.error(`❌ Erreur lors du lancement de ${scriptName}:`, error.message);
         reject(error);
       });
@@ -70,233 +167,106 @@ class DatasetGenerator {
   /**
    * Vérifie si un fichier existe et contient des données
    */
-  checkFile(filePath) {
+  checkFile(filePath, silent = false) {
     try {
       const stats = fs.statSync(filePath);
       const sizeKB = (stats.size / 1024).toFixed(1);
-      console.log(`📁 ${path.basename(filePath)}: ${sizeKB} KB`);
+      if (!silent) console.log(`📁 ${path.basename(filePath)}: ${sizeKB} KB`);
       return stats.size > 0;
     } catch (error) {
-      console.log(`⚠️  ${path.basename(filePath)}: Non trouvé`);
+      if (!silent) console.log(`⚠️  ${path.basename(filePath)}: Non trouvé`);
       return false;
     }
   }
 
   /**
-   * Affiche un rapport des fichiers générés
-   */
-  showFilesReport() {
-    console.log('\n📊 FICHIERS GÉNÉRÉS');
-    console.log('===================');
-
-    Object.entries(this.expectedFiles).forEach(([source, filePath]) => {
-      this.checkFile(filePath);
-    });
-
-    console.log('\n📋 FICHIERS FINAUX');
-    console.log('==================');
-    this.checkFile(this.finalPGN);
-    this.checkFile(this.officialPGN);
-  }
-
-  /**
-   * Télécharge les données depuis toutes les sources acceptées
+   * Exécute le graphe d'étapes : une étape démarre quand toutes ses dépendances sont terminées,
+   * jusqu'à pipeline.maxParallel étapes en même temps (une étape "exclusive" tourne seule)
    */
-  async downloadAllSources() {
-    console.log('\n🌐 PHASE 1: TÉLÉCHARGEMENT DES SOURCES');
-    console.log('======================================');
-
-
-    const mandatoryScripts = [
-      path.join(this.srcDir, 'pgn-pgnmentor.js'),
-      path.join(this.srcDir, 'pgn-twic.js')
-    ];
-
-
-    const onlineScripts = [
-      path.join(this.srcDir, 'pgn-chesscom.js'),
-      path.join(this.srcDir, 'pgn-lichess.js')
-    ];
-
+  async runPipeline(options) {
+    const pending = [...this.steps];
+    const finished = new Set();
+    const executed = new Set();
+    const running = new Map();
+    let fatalError = null;
+
+    const isReady = (step) => step.dependsOn.every(name => finished.has(name));
+    const exclusiveRunning = () => [...running.values()].some(entry => entry.step.exclusive);
+
+    while (pending.length > 0 || running.size > 0) {
+      while (!fatalError && pending.length > 0 && running.size < this.pipeline.maxParallel && !exclusiveRunning()) {
+        const index = pending.findIndex(isReady);
+        if (index === -1) break;
+
+        const step = pending[index];
+        if (step.exclusive && running.size > 0) break;
+        pending.splice(index, 1);
+
+        const upstreamRan = step.dependsOn.some(name => executed.has(name));
+        const decision = await this.shouldRunStep(step, options, upstreamRan);
+
+        if (!decision.run) {
+          console.log(`\n⏭️  Étape ${step.name} ignorée (${decision.reason})`);
+          this.manifest.markSkipped(step.name, decision.reason);
+          finished.add(step.name);
+          continue;
+        }
 
-    console.log('📦 Téléchargement des sources obligatoires (TWIC + PGN Mentor)');
-    for (const script of mandatoryScripts) {
-      try {
-        await this.runNodeScript(script);
-      } catch (error) {
-        console.error(`⚠️  Échec du téléchargement ${path.basename(script)}, mais on continue...`);
+        console.log(`\n▶️  Étape ${step.name}${step.description ? ` - ${step.description}` : ''} (${decision.reason})`);
+        const promise = this.runStep(step).then(
+          ran => ({ step, ran, error: null }),
+          error => ({ step, ran: true, error })
+        );
+        running.set(step.name, { step, promise });
       }
-    }
 
-
-    if (this.withOnlineGame) {
-      console.log('🌐 Téléchargement des sources en ligne (Chess.com + Lichess)');
-      for (const script of onlineScripts) {
-        try {
-          await this.runNodeScript(script);
-        } catch (error) {
-          console.error(`⚠️  Échec du téléchargement ${path.basename(script)}, mais on continue...`);
-        }
+      if (running.size === 0) {
+        if (fatalError || pending.length === 0) break;
+        throw new Error(`Étapes bloquées: ${pending.map(step => step.name).join(', ')}`);
       }
-    } else {
-      console.log('⏭️  Sources en ligne désactivées (withOnlineGame: false)');
-    }
-  }
-
-  /**
-   * ÉTAPE 2: Compile TWIC + PGN Mentor avec --official
-   */
-  async compileOfficial() {
-    console.log('\n🔧 PHASE 2: COMPILATION OFFICIELLE (TWIC + PGN Mentor)');
-    console.log('=====================================================');
-
-    const compilScript = path.join(this.srcDir, 'compil.js');
-    const officialSources = [this.sourceFiles.twic, this.sourceFiles.pgnmentor];
-
-    console.log(`📦 Compilation officielle → ${config.officialPGNFileName}`);
-    await this.runNodeScript(compilScript, [...officialSources, '--official']);
-  }
-
-  /**
-   * ÉTAPE 3: Déduplique le fichier officiel
-   */
-  async deduplicateOfficial() {
-    console.log('\n🔄 PHASE 3: DÉDUPLICATION DU FICHIER OFFICIEL');
-    console.log('==============================================');
-
-    const deduplicateScript = path.join(this.srcDir, 'deduplicate-pgn.js');
-    console.log(`🧹 Déduplication → ${config.officialPGNFileName}`);
-    await this.runNodeScript(deduplicateScript, [this.officialPGN]);
-  }
-
-  /**
-   * ÉTAPE 4: Vérifie et nettoie les fichiers avec game-checker
-   */
-  async checkAndCleanGames() {
-    console.log('\n🔍 PHASE 4: VÉRIFICATION ET NETTOYAGE DES PARTIES');
-    console.log('=================================================');
-
-    const gameCheckerScript = path.join(this.srcDir, 'game-checker.js');
-
-    if (this.withOnlineGame) {
 
-      console.log('🌐 Vérification des 3 sources (en ligne + officiel)');
+      const { step, ran, error } = await Promise.race([...running.values()].map(entry => entry.promise));
+      running.delete(step.name);
+      finished.add(step.name);
+      if (ran) executed.add(step.name);
 
-      const filesToCheck = [
-        this.sourceFiles.chesscom,
-        this.sourceFiles.lichess,
-        this.officialPGN
-      ];
-
-      for (const file of filesToCheck) {
-        if (this.checkFile(file)) {
-          console.log(`🔍 Vérification → ${path.basename(file)}`);
-          await this.runNodeScript(gameCheckerScript, [file]);
+      if (error) {
+        if (step.continueOnError) {
+          console.error(`⚠️  Échec de l'étape ${step.name}, mais on continue...`);
         } else {
-          console.log(`⏭️  Fichier absent, ignoré → ${path.basename(file)}`);
+          fatalError = fatalError || error;
         }
       }
-    } else {
-
-      console.log('📁 Vérification du fichier officiel uniquement');
-      console.log(`🔍 Vérification → ${config.officialPGNFileName}`);
-      await this.runNodeScript(gameCheckerScript, [this.officialPGN]);
     }
-  }
 
-  /**
-   * ÉTAPE 5: Compile le dataset final (si withOnlineGame = true)
-   */
-  async compileFinal() {
-    if (!this.withOnlineGame) {
-      console.log('\n⏭️  PHASE 5: COMPILATION FINALE IGNORÉE (withOnlineGame: false)');
-      return;
+    if (fatalError) {
+      throw fatalError;
     }
-
-    console.log('\n🔧 PHASE 5: COMPILATION FINALE (TOUTES LES SOURCES)');
-    console.log('===================================================');
-
-    const compilScript = path.join(this.srcDir, 'compil.js');
-
-
-    const availableFiles = [];
-    const filesToCompile = [
-      this.sourceFiles.chesscom,
-      this.sourceFiles.lichess,
-      this.officialPGN
-    ];
-
-    filesToCompile.forEach(file => {
-      if (this.checkFile(file)) {
-        availableFiles.push(file);
-      }
-    });
-
-    if (availableFiles.length === 0) {
-      throw new Error('Aucun fichier source disponible pour la compilation finale');
-    }
-
-    console.log(`📦 Compilation finale (${availableFiles.length} sources) → ${config.finalPGNFileName}`);
-    await this.runNodeScript(compilScript, availableFiles);
   }
 
-  /**
-   * ÉTAPE 6: Génère les FENs (optionnel)
-   */
-  async generateFens() {
-    console.log('\n♟️  PHASE 6: GÉNÉRATION DES FENs');
-    console.log('===============================');
-
-    // Vérifier si la génération des FENs est activée
-    if (!config.generateFen) {
-      console.log('⏭️  Génération des FENs désactivée dans la configuration');
-      console.log('💡 Pour activer : définir "generateFen": true dans config.json');
-      return;
-    }
-
-    const fenScript = path.join(this.srcDir, 'fen.js');
-
-
-    const sourceFile = this.withOnlineGame ? this.finalPGN : this.officialPGN;
-    const sourceLabel = this.withOnlineGame ? config.finalPGNFileName : config.officialPGNFileName;
-
-    console.log(`♟️  Génération FENs depuis → ${sourceLabel}`);
-    await this.runNodeScript(fenScript, [sourceFile]);
-  }
   /**
    * Lance le processus complet de génération selon la configuration
    */
-  async generateDataset() {
+  async generateDataset(options = { from: null, only: null, force: [] }) {
     const startTime = Date.now();
 
     console.log('🏁 GÉNÉRATEUR DE DATASET D\'ÉCHECS');
     console.log('==================================');
     console.log(`📅 Démarrage: ${new Date().toLocaleString('fr-FR')}`);
-    console.log(`⚙️  Configuration:`);
+    console.log(`⚙️  Configuration: ${path.relative(__dirname, configSource.configFile)}${configSource.profile ? ` (profil ${configSource.profile})` : ''}`);
+    if (configSource.overrides.length > 0) {
+      console.log(`   • Surcharges d'environnement: ${configSource.overrides.join(', ')}`);
+    }
     console.log(`   • ELO minimum: ${config.minOnlineElo}`);
     console.log(`   • Temps minimum: ${config.minGameTime}s`);
     console.log(`   • Profondeur: ${config.minPlyDepth} coups`);
     console.log(`   • Sources en ligne: ${this.withOnlineGame ? 'OUI' : 'NON'}`);
+    console.log(`   • Étapes: ${this.steps.length} (parallélisme max: ${this.pipeline.maxParallel})`);
 
-    try {
-
-      await this.downloadAllSources();
-
-
-      await this.compileOfficial();
-
-
-      await this.deduplicateOfficial();
-
-
-      await this.checkAndCleanGames();
-
+    console.log(`📒 Manifeste: ${this.manifest.manifestFile}`);
 
-      await this.compileFinal();
-
-
-      // ÉTAPE 6: Génération des FENs (selon configuration)
-      await this.generateFens();
+    try {
+      await this.runPipeline(options);
 
 
       const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
@@ -320,40 +290,45 @@ class DatasetGenerator {
   }
 
   /**
-   * Affiche un rapport des fichiers générés
+   * Affiche un rapport des fichiers produits par les étapes du pipeline
    */
   showFilesReport() {
     console.log('\n📊 RAPPORT DES FICHIERS');
     console.log('=======================');
 
-    console.log('\n📁 Sources téléchargées:');
-    console.log(`   TWIC: ${this.checkFile(this.sourceFiles.twic) ? '✅' : '❌'}`);
-    console.log(`   PGN Mentor: ${this.checkFile(this.sourceFiles.pgnmentor) ? '✅' : '❌'}`);
-
-    if (this.withOnlineGame) {
-      console.log(`   Chess.com: ${this.checkFile(this.sourceFiles.chesscom) ? '✅' : '❌'}`);
-      console.log(`   Lichess: ${this.checkFile(this.sourceFiles.lichess) ? '✅' : '❌'}`);
-    }
+    const reported = new Set();
+    for (const step of this.steps) {
+      const outputs = step.outputs.filter(file => !reported.has(file));
+      if (outputs.length === 0) continue;
 
-    console.log('\n📋 Fichiers finaux:');
-    const officialExists = this.checkFile(this.officialPGN);
-    const finalExists = this.checkFile(this.finalPGN);
-
-    console.log(`   ${config.officialPGNFileName}: ${officialExists ? '✅' : '❌'}`);
-    if (this.withOnlineGame) {
-      console.log(`   ${config.finalPGNFileName}: ${finalExists ? '✅' : '❌'}`);
+      console.log(`\n📁 ${step.name}:`);
+      for (const file of outputs) {
+        reported.add(file);
+        const exists = this.checkFile(file, true);
+        console.log(`   ${path.basename(file)}: ${exists ? '✅' : '❌'}`);
+      }
     }
-
-
-    if (officialExists) this.checkFile(this.officialPGN);
-    if (finalExists && this.withOnlineGame) this.checkFile(this.finalPGN);
   }
 }
 
 
 const args = process.argv.slice(2);
 
+let generator;
+try {
+  generator = new DatasetGenerator();
+} catch (error) {
+  console.error(`❌ Pipeline invalide: ${error.message}`);
+  process.exit(1);
+}
+
 if (args.includes('--help') || args.includes('-h')) {
+  const stepLines = generator.pipeline.allSteps.map((step, index) => {
+    const status = step.enabled ? '' : ' (désactivée)';
+    const dependencies = step.enabled && step.dependsOn.length > 0 ? `\n     ↳ après: ${step.dependsOn.join(', ')}` : '';
+    return `  ${index + 1}. ${step.name}${status}: ${step.description || path.basename(step.script)}${dependencies}`;
+  }).join('\n');
+
   console.log(`
 🏁 Générateur de Dataset d'Échecs
 =================================
@@ -361,27 +336,31 @@ if (args.includes('--help') || args.includes('-h')) {
 Usage: node start.js [options]
 
 Options:
-  --help, -h     Affiche cette aide
+  --help, -h          Affiche cette aide
+  --from <étape>      Relance cette étape et toutes celles qui en dépendent (les autres sont ignorées)
+  --only <étape>      N'exécute que cette étape
+  --force <étape>     Force la relance de cette étape et de celles qui en dépendent (répétable)
+  --dry-run           Affiche le plan (mois, semaines, archives, volumes, fichiers) sans rien télécharger
+  --config <fichier>  Utilise un autre fichier de configuration (ou CHESSMONT_CONFIG)
+  --profile <nom>     Applique un profil de la section "profiles" (ou CHESSMONT_PROFILE)
+
+Surcharges d'environnement:
+  CHESSMONT_MIN_ONLINE_ELO=2200, CHESSMONT_CHESSCOM__USER_AGENT="..." ("__" pour les sous-sections)
+
+Reprise:
+  Le manifeste output/pipeline-manifest.json garde l'état de chaque étape.
+  Au redémarrage, une étape est sautée si ses sorties sont intactes et ses
+  entrées inchangées.
 
 Description:
   Lance le processus complet de génération du dataset d'échecs selon la configuration.
+  Les étapes sont décrites dans la section "pipeline" de config.json ; les étapes
+  indépendantes tournent en parallèle (max ${generator.pipeline.maxParallel}).
 
-PROCESSUS (6 ÉTAPES):
-  1. 🌐 Téléchargement des sources (IDs ajoutés automatiquement)
-     ${config.withOnlineGame ? '• TWIC, PGN Mentor, Chess.com, Lichess' : '• TWIC, PGN Mentor uniquement'}
-
-  2. 🔧 Compilation officielle (TWIC + PGN Mentor → ${config.officialPGNFileName})
-
-  3. 🔄 Déduplication du fichier officiel
-
-  4. 🔍 Vérification et nettoyage des parties
-     ${config.withOnlineGame ? '• Chess.com, Lichess, Officiel' : '• Fichier officiel uniquement'}
-
-  5. 📦 Compilation finale${config.withOnlineGame ? ` (toutes sources → ${config.finalPGNFileName})` : ' (ignorée)'}
-
-  6. ♟️  Génération des FENs (selon configuration)
+PIPELINE (${generator.steps.length} ÉTAPES ACTIVES):
+${stepLines}
 
-Configuration actuelle (config.json):
+Configuration actuelle (${path.relative(__dirname, configSource.configFile)}${configSource.profile ? `, profil ${configSource.profile}` : ''}):
   • ELO minimum: ${config.minOnlineElo}
   • Temps minimum: ${config.minGameTime}s
   • Profondeur: ${config.minPlyDepth} coups
@@ -396,8 +375,49 @@ Fichiers générés:
 }
 
 
-const generator = new DatasetGenerator();
-generator.generateDataset().catch(error => {
+/**
+ * Lit les options --from / --only / --force de la ligne de commande
+ */
+function parseStepOptions(args, stepNames) {
+  const options = { from: null, only: null, force: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i];
+    if (!['--from', '--only', '--force'].includes(flag)) continue;
+
+    const stepName = args[i + 1];
+    if (!stepName || !stepNames.includes(stepName)) {
+      console.error(`❌ Étape inconnue pour ${flag}: ${stepName || '(vide)'}`);
+      console.error(`💡 Étapes disponibles: ${stepNames.join(', ')}`);
+      process.exit(1);
+    }
+
+    if (flag === '--force') {
+      options.force.push(stepName);
+    } else {
+      options[flag.slice(2)] = stepName;
+    }
+    i++;
+  }
+
+  if (options.from && options.only) {
+    console.error('❌ --from et --only ne peuvent pas être utilisés ensemble');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+
+const stepOptions = parseStepOptions(args, generator.steps.map(step => step.name));
+
+if (args.includes('--dry-run')) {
+  const { default: DryRunPlanner } = await import('./src/lib/dry-run-planner.js');
+  await new DryRunPlanner(generator).run(stepOptions);
+  process.exit(0);
+}
+
+generator.generateDataset(stepOptions).catch(error => {
   console.error('Erreur fatale:', error.message);
   process.exit(1);
 });